@@ -369,8 +369,9 @@ async function launchBrowser() {
   }
 }
 
-// Create and configure a new page
-async function setupPage(browser) {
+// Create and configure a new page.
+// Pass `options.allowImages` to load images and fonts, e.g. for screenshots of charts.
+async function setupPage(browser, options = {}) {
   const page = await browser.newPage();
   
   // Set viewport and user agent
@@ -388,11 +389,12 @@ async function setupPage(browser) {
   });
   
   // Block unnecessary resources to improve performance
+  const blockedResourceTypes = options.allowImages ? ['media'] : ['image', 'media', 'font'];
   await page.setRequestInterception(true);
   page.on('request', (request) => {
     const resourceType = request.resourceType();
     // Block unnecessary resources but allow CSS to prevent preload errors
-    if (['image', 'media', 'font'].includes(resourceType)) {
+    if (blockedResourceTypes.includes(resourceType)) {
       request.abort();
     } else {
       request.continue();
@@ -0,0 +1,39 @@
+#!/usr/bin/env node
+require("dotenv").config();
+
+const { loadSchedulerState } = require("../services/scheduler");
+
+// Prints the last/next run times recorded by a running daemon
+async function main() {
+  const state = await loadSchedulerState();
+  if (!state) {
+    console.log("No daemon state found. Start the daemon with `npm run delphi:daemon`.");
+    process.exitCode = 1;
+    return;
+  }
+
+  let alive = false;
+  try {
+    process.kill(state.pid, 0);
+    alive = true;
+  } catch (error) {
+    alive = error.code === "EPERM";
+  }
+
+  console.log(`Daemon pid ${state.pid}: ${alive ? "running" : "not running"}`);
+  console.log(`Started at: ${state.startedAt || "unknown"}`);
+  console.log(`State updated at: ${state.updatedAt}`);
+
+  for (const [name, job] of Object.entries(state.jobs || {})) {
+    console.log(`\n[${name}] schedule: ${job.schedule}`);
+    console.log(`  running:      ${job.running}`);
+    console.log(`  last run:     ${job.lastRunAt || "never"} (${job.lastResult || "n/a"})`);
+    if (job.lastError) {
+      console.log(`  last error:   ${job.lastError}`);
+    }
+    console.log(`  next run:     ${job.nextRunAt || "unknown"}`);
+    console.log(`  skipped runs: ${job.skippedRuns}`);
+  }
+}
+
+main();
@@ -19,7 +19,11 @@ const config = {
   // and improve performance by caching results for CACHE_EXPIRY_DAYS
   CACHE_FILE: 'data/processed_reports_cache.json',
   CACHE_EXPIRY_DAYS: 7, // Default expiry days for cache entries
+  CACHE_MAX_ENTRIES: 1000, // Least recently used summaries beyond this are evicted
   VISITED_LINKS_FILE: 'data/visited_links.json',
+  DAEMON_STATE_FILE: 'data/daemon_state.json', // Last/next run times written by the daemon
+  SEARCH_INDEX_FILE: 'data/search_index.json', // Inverted index over archived reports
+  EMBEDDINGS_FILE: 'data/report_embeddings.json', // Report embeddings for related reports
   // HISTORY_FILE: 'data/slack_message_history.json',
   RATE_LIMIT_DELAY_MS: 1000, // Delay between requests to avoid rate limiting
   
@@ -39,19 +43,197 @@ const config = {
     historyFile: '' // Default empty, won't save history
   },
   SLACK_TOKEN: '', // Default empty
+  SLACK_SIGNING_SECRET: '', // Default empty, required by the webhook server
+  SLACK_WEBHOOK_PORT: 3000, // Port for the slash command server
   SLACK_DIGEST_SCHEDULE: '' , // Default empty
+  SLACK_WEEKLY_DIGEST_SCHEDULE: '', // Default empty, e.g. '0 9 * * 1' for Monday mornings
+  SLACK_MONTHLY_DIGEST_SCHEDULE: '', // Default empty, e.g. '0 9 1 * *'
+  
+  // Digest settings per cadence. Each cadence covers reports processed since its own last digest,
+  // or the last lookbackHours on its first run.
+  DIGEST_CONFIG: {
+    mustReadCount: 3, // Most Kaia-relevant reports listed at the top; 0 disables
+    // AI-written briefing across all reports at the top of the digest
+    overview: {
+      enabled: true,
+      maxContextTokens: 12000, // Token budget for the report entries sent to the model
+      maxOutputTokens: 1024
+    },
+    cadences: {
+      daily: { lookbackHours: 24, groupBy: 'sector' },
+      weekly: { lookbackHours: 24 * 7, groupBy: 'sector' },
+      monthly: { lookbackHours: 24 * 31, groupBy: 'sector' } // groupBy: sector, category or none
+    }
+  },
+  // Rules mapping reports to extra Slack channels; see config/slack-routing.example.json.
+  // Reports that match no rule go to SLACK_CONFIG.channelId.
+  SLACK_ROUTING_FILE: 'config/slack-routing.json',
+  
+  // Where reports and digests are sent. Each notifier formats them for its destination.
+  NOTIFIER_CONFIG: {
+    enabled: ['slack'], // Any of: slack, discord, telegram, teams, webhook, email
+    timeoutMs: 15000, // Request timeout for webhook-based and email notifiers
+    discord: {
+      webhookUrl: ''
+    },
+    telegram: {
+      botToken: '',
+      chatId: '',
+      apiBaseUrl: 'https://api.telegram.org'
+    },
+    teams: {
+      webhookUrl: '' // Incoming webhook (Workflows or legacy connector)
+    },
+    // Generic JSON webhook, e.g. a local HTTP stand-in or an internal service
+    webhook: {
+      url: '',
+      headers: {}
+    },
+    // Digest emails over SMTP (digests only, no per-report emails)
+    email: {
+      smtp: {
+        host: '',
+        port: 587,
+        secure: false, // true for implicit TLS (port 465); STARTTLS is used when the server offers it
+        user: '',
+        pass: ''
+      },
+      from: '',
+      recipients: [] // [{address, cadences: ['weekly']}]; no cadences means every cadence
+    }
+  },
+  
+  // Text extraction from PDFs linked in report pages
+  PDF_CONFIG: {
+    enabled: true,
+    maxFiles: 3, // PDFs read per report
+    maxBytes: 25 * 1024 * 1024,
+    maxPages: 150, // Pages extracted per PDF
+    maxCharsPerFile: 300000,
+    timeoutMs: 60000
+  },
+  
+  // Reports listing pagination
+  CRAWL_CONFIG: {
+    maxPages: 10, // Listing pages read per run while looking for already processed reports
+    seenGraceWindow: 5, // Already processed reports in a row that end the crawl
+    backfillMaxPages: 200, // Listing pages read by the backfill
+    loadMoreTimeoutMs: 10000 // Wait for more reports after clicking "Load more" or scrolling
+  },
+  
+  // Chart screenshots attached to Slack posts (renders each report a second time with images)
+  CHART_CONFIG: {
+    enabled: false,
+    maxCharts: 3, // Largest charts kept per report
+    minWidth: 300, // Smaller images are treated as icons or logos
+    minHeight: 150,
+    viewportWidth: 1280,
+    imageTimeoutMs: 15000 // Wait for lazy-loaded images after scrolling
+  },
   
   // AI settings
   AI_CONFIG: {
-    model: "gemini-2.0-flash-lite",
-    temperature: 0.7,
-    topK: 40,
-    topP: 0.95,
-    maxOutputTokens: 1024
+    provider: 'gemini', // One of: gemini, openai, anthropic
+    timeoutMs: 120000, // Request timeout for HTTP-based providers
+    // Long reports are summarized map-reduce style: per-chunk notes, then one final summary
+    summarization: {
+      maxSinglePassTokens: 12000, // Reports up to this size are summarized in one call
+      chunkTokens: 6000, // Token budget per chunk in the map step
+      maxChunks: 10, // Upper bound on map calls per report; later chunks are dropped
+      chunkNotesTokens: 512, // Output token limit for each chunk's notes
+      maxRepairAttempts: 2 // Re-prompts when the structured summary fails validation
+    },
+    gemini: {
+      model: "gemini-2.0-flash-lite",
+      temperature: 0.7,
+      topK: 40,
+      topP: 0.95,
+      maxOutputTokens: 2048
+    },
+    // Any OpenAI-compatible endpoint, e.g. Ollama at http://localhost:11434/v1
+    openai: {
+      baseUrl: 'https://api.openai.com/v1',
+      model: 'gpt-4o-mini',
+      temperature: 0.7,
+      topP: 0.95,
+      maxOutputTokens: 2048
+    },
+    anthropic: {
+      baseUrl: 'https://api.anthropic.com',
+      apiVersion: '2023-06-01',
+      model: 'claude-3-5-haiku-latest',
+      temperature: 0.7,
+      maxOutputTokens: 2048
+    }
+  },
+  
+  // Embeddings for "Related past reports"
+  EMBEDDING_CONFIG: {
+    provider: '', // One of: openai, gemini, local; empty (default) disables related reports
+    maxInputChars: 8000, // Title + summary + start of body sent for embedding
+    relatedLimit: 3, // Related reports attached to each Slack post
+    minSimilarity: 0.75, // Cosine similarity threshold for model embeddings
+    // Hashed bag-of-words, no model download; only matches shared vocabulary, so scores run lower than for real models
+    local: {
+      dimensions: 1024,
+      minSimilarity: 0.35
+    },
+    // Any OpenAI-compatible /embeddings endpoint, e.g. Ollama with nomic-embed-text
+    openai: {
+      baseUrl: 'https://api.openai.com/v1',
+      model: 'text-embedding-3-small'
+    },
+    gemini: {
+      model: 'text-embedding-004'
+    }
+  },
+  
+  // Q&A bot settings (Slack @mentions)
+  QA_CONFIG: {
+    maxSources: 5, // Reports passed to the model per question
+    maxContextTokens: 8000 // Token budget for report excerpts across all sources
+  },
+  
+  // RSS 2.0 / Atom feeds of summarized reports
+  FEED_CONFIG: {
+    title: 'Delphi Digital Report Summaries',
+    description: 'AI summaries of Delphi Digital research reports, with their relevance to Kaia',
+    author: 'Kaia Research Bot',
+    siteUrl: 'https://members.delphidigital.io/reports',
+    baseUrl: '', // Public URL the feed files are served from, used for self links
+    maxItems: 50,
+    outputDir: 'data/feeds',
+    rssFileName: 'rss.xml',
+    atomFileName: 'atom.xml',
+    writeOnRun: false // Rewrite the feed files after every run that processed new reports
+  },
+  
+  // Read-only REST API (npm run api)
+  API_CONFIG: {
+    port: 3001,
+    token: '', // Required as "Authorization: Bearer <token>"
+    allowNoToken: false, // Serve the API without a token; it exposes full report bodies
+    defaultLimit: 20,
+    maxLimit: 100
+  },
+  
+  // Archive exports
+  EXPORT_CONFIG: {
+    markdown: {
+      outputDir: 'data/export/markdown' // Point at a folder inside an Obsidian vault to export into it
+    }
+  },
+  
+  // Web dashboard served with the API at /dashboard
+  DASHBOARD_CONFIG: {
+    password: '', // HTTP basic auth password; API_CONFIG.token is used when unset, and without either the dashboard is off
+    pageSize: 50
   },
   
   // Add Gemini API Key from environment
   GEMINI_API_KEY: '', // Default empty
+  OPENAI_API_KEY: '', // Default empty, optional for local servers
+  ANTHROPIC_API_KEY: '', // Default empty
 };
 
 // Function to load config values FROM environment variables, OVERWRITING defaults
@@ -74,18 +256,107 @@ function loadConfigFromEnv() {
   const cacheDays = parseInt(process.env.CACHE_EXPIRY_DAYS, 10);
   if (!isNaN(cacheDays)) config.CACHE_EXPIRY_DAYS = cacheDays;
 
+  const cacheMaxEntries = parseInt(process.env.CACHE_MAX_ENTRIES, 10);
+  if (!isNaN(cacheMaxEntries)) config.CACHE_MAX_ENTRIES = cacheMaxEntries;
+
   const rateLimit = parseInt(process.env.RATE_LIMIT_DELAY_MS, 10);
   if (!isNaN(rateLimit)) config.RATE_LIMIT_DELAY_MS = rateLimit;
 
   // Load Slack config
   config.SLACK_CONFIG.channelId = process.env.SLACK_CHANNEL_ID || config.SLACK_CONFIG.channelId;
   config.SLACK_TOKEN = process.env.SLACK_TOKEN || config.SLACK_TOKEN;
+  config.SLACK_SIGNING_SECRET = process.env.SLACK_SIGNING_SECRET || config.SLACK_SIGNING_SECRET;
+
+  config.SLACK_ROUTING_FILE = process.env.SLACK_ROUTING_FILE || config.SLACK_ROUTING_FILE;
+
+  // Load feed settings
+  config.FEED_CONFIG.baseUrl = process.env.FEED_BASE_URL || config.FEED_CONFIG.baseUrl;
+  config.FEED_CONFIG.outputDir = process.env.FEED_OUTPUT_DIR || config.FEED_CONFIG.outputDir;
+  const feedMaxItems = parseInt(process.env.FEED_MAX_ITEMS, 10);
+  if (!isNaN(feedMaxItems)) config.FEED_CONFIG.maxItems = feedMaxItems;
+  if (process.env.FEED_WRITE_ON_RUN) config.FEED_CONFIG.writeOnRun = process.env.FEED_WRITE_ON_RUN === 'true';
+
+  config.EXPORT_CONFIG.markdown.outputDir = process.env.MARKDOWN_EXPORT_DIR || config.EXPORT_CONFIG.markdown.outputDir;
+
+  // Load API settings
+  const apiPort = parseInt(process.env.API_PORT, 10);
+  if (!isNaN(apiPort)) config.API_CONFIG.port = apiPort;
+  config.API_CONFIG.token = process.env.API_TOKEN || config.API_CONFIG.token;
+  if (process.env.API_ALLOW_NO_TOKEN) config.API_CONFIG.allowNoToken = process.env.API_ALLOW_NO_TOKEN === 'true';
+  config.DASHBOARD_CONFIG.password = process.env.DASHBOARD_PASSWORD || config.DASHBOARD_CONFIG.password;
 
-  // Load Gemini Key
+  const webhookPort = parseInt(process.env.SLACK_WEBHOOK_PORT, 10);
+  if (!isNaN(webhookPort)) config.SLACK_WEBHOOK_PORT = webhookPort;
+
+  // Load notifier settings
+  if (process.env.NOTIFIERS) {
+    config.NOTIFIER_CONFIG.enabled = process.env.NOTIFIERS.split(',').map(name => name.trim()).filter(Boolean);
+  }
+  config.NOTIFIER_CONFIG.discord.webhookUrl = process.env.DISCORD_WEBHOOK_URL || config.NOTIFIER_CONFIG.discord.webhookUrl;
+  config.NOTIFIER_CONFIG.telegram.botToken = process.env.TELEGRAM_BOT_TOKEN || config.NOTIFIER_CONFIG.telegram.botToken;
+  config.NOTIFIER_CONFIG.telegram.chatId = process.env.TELEGRAM_CHAT_ID || config.NOTIFIER_CONFIG.telegram.chatId;
+  config.NOTIFIER_CONFIG.teams.webhookUrl = process.env.TEAMS_WEBHOOK_URL || config.NOTIFIER_CONFIG.teams.webhookUrl;
+  config.NOTIFIER_CONFIG.webhook.url = process.env.WEBHOOK_URL || config.NOTIFIER_CONFIG.webhook.url;
+  if (process.env.WEBHOOK_TOKEN) {
+    config.NOTIFIER_CONFIG.webhook.headers.Authorization = `Bearer ${process.env.WEBHOOK_TOKEN}`;
+  }
+  const emailConfig = config.NOTIFIER_CONFIG.email;
+  emailConfig.smtp.host = process.env.SMTP_HOST || emailConfig.smtp.host;
+  emailConfig.smtp.port = parseInt(process.env.SMTP_PORT, 10) || emailConfig.smtp.port;
+  if (process.env.SMTP_SECURE) emailConfig.smtp.secure = process.env.SMTP_SECURE === 'true';
+  emailConfig.smtp.user = process.env.SMTP_USER || emailConfig.smtp.user;
+  emailConfig.smtp.pass = process.env.SMTP_PASS || emailConfig.smtp.pass;
+  emailConfig.from = process.env.EMAIL_FROM || emailConfig.from;
+  // "alice@example.com:weekly,bob@example.com:daily+weekly,carol@example.com"
+  if (process.env.EMAIL_RECIPIENTS) {
+    emailConfig.recipients = process.env.EMAIL_RECIPIENTS.split(',').map(entry => entry.trim()).filter(Boolean).map(entry => {
+      const [address, cadences] = entry.split(':');
+      return { address: address.trim(), cadences: cadences ? cadences.split('+').map(cadence => cadence.trim()).filter(Boolean) : [] };
+    });
+  }
+
+  if (process.env.PDF_EXTRACTION_ENABLED) config.PDF_CONFIG.enabled = process.env.PDF_EXTRACTION_ENABLED !== 'false';
+
+  // Load listing pagination settings
+  if (process.env.CRAWL_MAX_PAGES) config.CRAWL_CONFIG.maxPages = parseInt(process.env.CRAWL_MAX_PAGES, 10) || config.CRAWL_CONFIG.maxPages;
+  if (process.env.CRAWL_SEEN_GRACE_WINDOW) config.CRAWL_CONFIG.seenGraceWindow = parseInt(process.env.CRAWL_SEEN_GRACE_WINDOW, 10) || config.CRAWL_CONFIG.seenGraceWindow;
+  if (process.env.BACKFILL_MAX_PAGES) config.CRAWL_CONFIG.backfillMaxPages = parseInt(process.env.BACKFILL_MAX_PAGES, 10) || config.CRAWL_CONFIG.backfillMaxPages;
+
+  // Load chart capture settings
+  if (process.env.CHART_CAPTURE_ENABLED) config.CHART_CONFIG.enabled = process.env.CHART_CAPTURE_ENABLED === 'true';
+  if (process.env.CHART_MAX_COUNT) config.CHART_CONFIG.maxCharts = parseInt(process.env.CHART_MAX_COUNT, 10) || config.CHART_CONFIG.maxCharts;
+
+  // Load AI provider settings
+  config.AI_CONFIG.provider = process.env.AI_PROVIDER || config.AI_CONFIG.provider;
+  const aiProviderConfig = config.AI_CONFIG[config.AI_CONFIG.provider];
+  if (aiProviderConfig) {
+    aiProviderConfig.model = process.env.AI_MODEL || aiProviderConfig.model;
+  }
+  config.AI_CONFIG.openai.baseUrl = process.env.OPENAI_BASE_URL || config.AI_CONFIG.openai.baseUrl;
+
+  // Load embedding provider settings
+  config.EMBEDDING_CONFIG.provider = process.env.EMBEDDING_PROVIDER ?? config.EMBEDDING_CONFIG.provider;
+  const embeddingProviderConfig = config.EMBEDDING_CONFIG[config.EMBEDDING_CONFIG.provider];
+  if (embeddingProviderConfig && process.env.EMBEDDING_MODEL) {
+    embeddingProviderConfig.model = process.env.EMBEDDING_MODEL;
+  }
+  config.EMBEDDING_CONFIG.openai.baseUrl = process.env.EMBEDDING_BASE_URL || config.EMBEDDING_CONFIG.openai.baseUrl;
+
+  // Load API keys
   config.GEMINI_API_KEY = process.env.GEMINI_API_KEY || config.GEMINI_API_KEY;
+  config.OPENAI_API_KEY = process.env.OPENAI_API_KEY || config.OPENAI_API_KEY;
+  config.ANTHROPIC_API_KEY = process.env.ANTHROPIC_API_KEY || config.ANTHROPIC_API_KEY;
 
   // Load Slack Digest Schedule
   config.SLACK_DIGEST_SCHEDULE = process.env.SLACK_DIGEST_SCHEDULE || config.SLACK_DIGEST_SCHEDULE;
+  config.SLACK_WEEKLY_DIGEST_SCHEDULE = process.env.SLACK_WEEKLY_DIGEST_SCHEDULE || config.SLACK_WEEKLY_DIGEST_SCHEDULE;
+  config.SLACK_MONTHLY_DIGEST_SCHEDULE = process.env.SLACK_MONTHLY_DIGEST_SCHEDULE || config.SLACK_MONTHLY_DIGEST_SCHEDULE;
+
+  const mustReadCount = parseInt(process.env.DIGEST_MUST_READ_COUNT, 10);
+  if (!isNaN(mustReadCount)) config.DIGEST_CONFIG.mustReadCount = mustReadCount;
+  if (process.env.DIGEST_OVERVIEW_ENABLED) {
+    config.DIGEST_CONFIG.overview.enabled = process.env.DIGEST_OVERVIEW_ENABLED !== 'false';
+  }
 
   return config;
 }
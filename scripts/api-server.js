@@ -0,0 +1,63 @@
+#!/usr/bin/env node
+require("dotenv").config();
+
+const express = require("express");
+const logger = require("../utils/logger");
+const { loadConfigFromEnv } = require("../config/config");
+const { createApiRouter } = require("../services/api");
+const { createDashboardRouter } = require("../services/dashboard");
+const { initializeAI } = require("../services/ai");
+const { initializeEmbeddings } = require("../services/embeddings");
+const { initializeNotifiers } = require("../services/notifier");
+
+// Load configuration
+const appConfig = loadConfigFromEnv();
+
+// Builds the express app serving the dashboard and the read-only report API
+function createApp() {
+  const app = express();
+
+  app.get("/health", (req, res) => res.json({ status: "ok" }));
+  // Mounted first: the dashboard has its own basic auth, the API router requires API_TOKEN for everything else
+  const dashboard = createDashboardRouter();
+  if (dashboard) {
+    app.use("/dashboard", dashboard);
+  }
+  app.use(createApiRouter());
+  app.use((req, res) => res.status(404).json({ error: "Not found" }));
+
+  return app;
+}
+
+function main() {
+  if (!appConfig.API_CONFIG.token) {
+    if (!appConfig.API_CONFIG.allowNoToken) {
+      logger.error("[API] API_TOKEN is not set. Refusing to start; set API_ALLOW_NO_TOKEN=true to serve the API without authentication.");
+      process.exit(1);
+    }
+    logger.warn("[API] API_TOKEN is not set and API_ALLOW_NO_TOKEN=true. The API is open to anyone who can reach the port.");
+  }
+  if (!appConfig.DASHBOARD_CONFIG.password && !appConfig.API_CONFIG.token) {
+    logger.warn("[API] Neither DASHBOARD_PASSWORD nor API_TOKEN is set. The dashboard is disabled.");
+  } else if (!appConfig.DASHBOARD_CONFIG.password) {
+    logger.info("[API] DASHBOARD_PASSWORD is not set; the dashboard uses API_TOKEN as its password.");
+  }
+
+  // Used by the dashboard actions (re-summarize, re-post)
+  initializeAI(appConfig);
+  initializeEmbeddings(appConfig);
+  initializeNotifiers(appConfig);
+
+  const app = createApp();
+  app.listen(appConfig.API_CONFIG.port, () => {
+    logger.info(`[API] Report API and dashboard listening on port ${appConfig.API_CONFIG.port}`);
+  });
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  createApp,
+};
@@ -0,0 +1,91 @@
+#!/usr/bin/env node
+require("dotenv").config();
+
+const { launchBrowser, setupPage } = require("../browser/browser");
+const { login } = require("../services/auth");
+const { initializeAI } = require("../services/ai");
+const { initializeEmbeddings } = require("../services/embeddings");
+const { initializeNotifiers } = require("../services/notifier");
+const { runBackfill } = require("../services/backfill");
+const { loadConfigFromEnv } = require("../config/config");
+
+const USAGE = `Usage: npm run backfill -- --from YYYY-MM-DD [options]
+
+Collects every report published between two days from the reports listing and
+summarizes them oldest first. Progress is saved in data/backfill_state.json;
+running the same range again resumes it and retries failed reports.
+
+Options:
+  --from <day>   First publication day, inclusive (required)
+  --to <day>     Last publication day, inclusive (default today)
+  --notify       Also post each report through the configured notifiers
+  --restart      Read the listing again and forget earlier progress for the range`;
+
+function readOption(args, name) {
+  const index = args.indexOf(name);
+  return index === -1 ? undefined : args[index + 1] || "";
+}
+
+function isDay(value) {
+  return /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(new Date(value));
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  if (args.includes("--help") || args.includes("-h")) {
+    console.log(USAGE);
+    return;
+  }
+
+  const from = readOption(args, "--from");
+  const to = readOption(args, "--to") || new Date().toISOString().substring(0, 10);
+  if (!isDay(from) || !isDay(to) || from > to) {
+    console.error(`--from and --to must be days (YYYY-MM-DD) with --from not after --to.\n\n${USAGE}`);
+    process.exitCode = 1;
+    return;
+  }
+
+  const appConfig = loadConfigFromEnv();
+  if (!initializeAI(appConfig)) {
+    console.error("No AI provider is configured; reports cannot be summarized.");
+    process.exitCode = 1;
+    return;
+  }
+  initializeEmbeddings(appConfig);
+  const notify = args.includes("--notify");
+  if (notify && !initializeNotifiers(appConfig)) {
+    console.error("--notify was given but no notifier is configured.");
+    process.exitCode = 1;
+    return;
+  }
+
+  const browser = await launchBrowser();
+  try {
+    const page = await setupPage(browser);
+    const loggedIn = await login(page, appConfig.DELPHI_EMAIL, appConfig.DELPHI_PASSWORD, "data/delphi_cookies.json");
+    if (!loggedIn) {
+      console.error("Could not log in to Delphi.");
+      process.exitCode = 1;
+      return;
+    }
+
+    const counts = await runBackfill(page, { from, to, notify, restart: args.includes("--restart") });
+    console.log(
+      `Backfill ${from}..${to}: ${counts.total} candidates, ${counts.summarized} summarized, ${counts.posted} posted, ` +
+        `${counts.archived} already archived, ${counts["out-of-range"]} outside the range, ${counts.failed} failed`
+    );
+    if (!counts.listingComplete) {
+      console.log("The listing was not read back to --from; raise BACKFILL_MAX_PAGES to reach older reports.");
+    }
+    if (counts.failed > 0) {
+      process.exitCode = 1;
+    }
+  } catch (error) {
+    console.error(`Backfill failed: ${error.message}`);
+    process.exitCode = 1;
+  } finally {
+    await browser.close();
+  }
+}
+
+main();
@@ -9,27 +9,46 @@ const {
   checkForNewReports,
   fetchReportContent
 } = require("../services/reports");
+const { initializeNotifiers } = require("../services/notifier");
+const { deliverReport } = require("../services/report-actions");
+const { initializeAI, getSummary } = require("../services/ai");
+const { renderSummaryText } = require("../services/summary-schema");
 const {
-  initializeSlack,
-  sendSlackMessage,
-  formatReportForSlack,
-} = require("../services/slack");
-const { initializeGemini, getSummaryFromGemini } = require("../services/ai");
+  initializeEmbeddings,
+  embedReport,
+  findRelatedReports,
+} = require("../services/embeddings");
 const { loadConfigFromEnv } = require("../config/config");
 const {
   readLastVisitedLink,
   writeLastVisitedLink,
+  readSeededLinks,
 } = require("../utils/link-tracker");
+const {
+  REPORT_STATUS,
+  getReport,
+  isReportProcessed,
+  loadSeenUrls,
+  upsertReport,
+} = require("../utils/report-store");
+const { runHistory } = require("../utils/history-store");
+const { indexReport } = require("../utils/search-index");
+const { writeFeeds } = require("../services/feed");
+const { captureCharts } = require("../services/charts");
+const {
+  scheduleJob,
+  runJob,
+  stopAllJobs,
+  waitForIdle,
+} = require("../services/scheduler");
 
 // Load configuration
 const appConfig = loadConfigFromEnv();
 
 // Initialize services
-const geminiInitialized = initializeGemini(appConfig.GEMINI_API_KEY);
-const slackInitialized = initializeSlack(
-  appConfig.SLACK_TOKEN,
-  appConfig.SLACK_CONFIG.channelId
-);
+const aiInitialized = initializeAI(appConfig);
+const embeddingsInitialized = initializeEmbeddings(appConfig);
+const notifiersInitialized = initializeNotifiers(appConfig);
 
 // Function to retry failed operations
 async function retryOperation(operation, maxRetries = 3, delay = 5000) {
@@ -46,14 +65,29 @@ async function retryOperation(operation, maxRetries = 3, delay = 5000) {
   }
 }
 
-// Main function to handle the complete flow
-async function main() {
-  logger.info(`[Flow:1] Starting Delphi full flow at ${new Date().toISOString()}`);
+// Browser kept open between scheduled runs in daemon mode
+let warmBrowser = null;
+
+// Main function to handle the complete flow.
+// When a shared browser is passed (daemon mode) only the page is closed afterwards.
+async function main(sharedBrowser = null) {
+  // Recorded in data/run_history.json when the run ends
+  const run = {
+    startedAt: new Date().toISOString(),
+    finishedAt: null,
+    outcome: "running",
+    newReports: 0,
+    processed: 0,
+    reports: [],
+    error: null,
+  };
+  logger.info(`[Flow:1] Starting Delphi full flow at ${run.startedAt}`);
 
-  const browser = await launchBrowser();
+  const browser = sharedBrowser || (await launchBrowser());
+  let page = null;
 
   try {
-    const page = await setupPage(browser);
+    page = await setupPage(browser);
 
     // Step 1: Login to Delphi with retry
     logger.info("[Auth:2] Initiating Delphi Digital login process");
@@ -72,19 +106,26 @@ async function main() {
       );
     });
 
-    // Step 2: Read the last visited link
-    logger.info("[Link:3] Reading last visited link from storage");
-    const lastVisitedUrl = await readLastVisitedLink();
-    logger.info(`[Link:3.1] Last visited URL: ${lastVisitedUrl || "None (first run)"}`);
+    // Step 2: Load the reports processed so far
+    logger.info("[Link:3] Loading already processed reports from the archive");
+    const seenUrls = await loadSeenUrls();
+    const seededUrls = await readSeededLinks();
+    seededUrls.forEach((url) => seenUrls.add(url));
+    // The last visited link only seeds the crawl once, on a fresh install or one upgraded from a version
+    // that archived nothing; from then on the seen set decides, so a re-ordered report cannot end the crawl
+    const lastVisitedUrl = seededUrls.length === 0 ? await readLastVisitedLink() : null;
+    logger.info(
+      `[Link:3.1] ${seenUrls.size} processed reports in the archive and seeded links` +
+        (seededUrls.length === 0 ? `; last visited URL: ${lastVisitedUrl || "None (first run)"}` : "")
+    );
 
-    // Step 3: Check for new reports since the last visited one
+    // Step 3: Check for reports that have not been processed yet
     logger.info("[Reports:4] Checking for new reports");
     const newReports = await retryOperation(async () => {
-      return await checkForNewReports(
-        page,
-        appConfig.DELPHI_REPORTS_URL,
-        lastVisitedUrl
-      );
+      return await checkForNewReports(page, appConfig.DELPHI_REPORTS_URL, {
+        seenUrls,
+        stopUrl: lastVisitedUrl,
+      });
     });
 
     newReports.reverse();
@@ -92,16 +133,35 @@ async function main() {
     // Step 4: Process each new report
     if (newReports && newReports.length > 0) {
       logger.info(`[Reports:5] Found ${newReports.length} new reports to process`);
+      run.newReports = newReports.length;
       let processedReportsThisRun = 0;
+      // The last visited link seeds the seen set, so it must not move past a report that is to be retried
+      let advanceLastVisited = true;
+      const updateLastVisitedLink = async (storedReport) => {
+        if (!advanceLastVisited || !storedReport || !isReportProcessed(storedReport)) {
+          advanceLastVisited = false;
+          return;
+        }
+        logger.info("[Link:5.5] Updating last visited link");
+        await writeLastVisitedLink(storedReport.url);
+      };
 
       for (const report of newReports) {
+        // Another run (e.g. a manual run next to the daemon) may have processed it since the listing was read
+        const archived = await getReport(report.url);
+        if (archived && isReportProcessed(archived)) {
+          logger.info(`[Report:5.1] Skipping already processed report: "${report.title}"`);
+          await updateLastVisitedLink(archived);
+          continue;
+        }
         logger.info(`[Report:5.1] Processing: "${report.title}"`);
         let temporaryBody = "";
         let summary = "Error: Could not summarize.";
+        let structuredSummary = null;
         let processedReportData = { ...report };
 
         try {
-          const { reportContent, publicationDate } = await fetchReportContent(page, report.url);
+          const { reportContent, publicationDate, category, attachments } = await fetchReportContent(page, report.url);
           temporaryBody = reportContent;
 
           if (
@@ -111,84 +171,229 @@ async function main() {
             logger.info(
               `[Report:5.2] Content fetched successfully. Length: ${reportContent.length} characters`
             );
+            processedReportData.publicationDate = publicationDate;
+            processedReportData.category = category || null;
+            await upsertReport({
+              url: report.url,
+              title: report.title,
+              body: reportContent,
+              publicationDate,
+              category: category || null,
+              attachments: attachments || [],
+              status: REPORT_STATUS.FETCHED,
+              error: null,
+            });
 
-            if (geminiInitialized) {
-              summary = await getSummaryFromGemini(report.title, temporaryBody);
-              if (!summary || summary.startsWith("Error:")) {
-                summary = summary || "Error: Failed to get summary from Gemini.";
+            if (aiInitialized) {
+              structuredSummary = await getSummary(report.title, temporaryBody, {
+                url: report.url,
+              });
+              if (!structuredSummary) {
+                summary = "Error: Failed to get summary from AI provider.";
                 logger.warn(`[AI:5.3] Summary generation failed for: "${report.title}"`);
               } else {
+                summary = renderSummaryText(structuredSummary);
                 logger.info(`[AI:5.3] Summary generated successfully for: "${report.title}"`);
               }
             } else {
-              summary = "Error: Gemini not initialized.";
-              logger.warn("[AI:5.3] Summary generation skipped: Gemini not initialized");
+              summary = "Error: AI provider not initialized.";
+              logger.warn("[AI:5.3] Summary generation skipped: AI provider not initialized");
+            }
+
+            const storedReport = summary.startsWith("Error:")
+              ? await upsertReport({ url: report.url, status: REPORT_STATUS.FAILED, error: summary })
+              : await upsertReport({
+                url: report.url,
+                summary,
+                structuredSummary,
+                status: REPORT_STATUS.SUMMARIZED,
+                summarizedAt: new Date().toISOString(),
+              });
+            await indexReport(storedReport);
+
+            if (embeddingsInitialized && storedReport && !summary.startsWith("Error:")) {
+              await embedReport(storedReport);
+              const relatedReports = await findRelatedReports(report.url);
+              if (relatedReports.length > 0) {
+                logger.info(`[AI:5.3] Found ${relatedReports.length} related past reports for: "${report.title}"`);
+              }
+              processedReportData.relatedReports = relatedReports;
+              await upsertReport({ url: report.url, relatedReports });
             }
 
-            if (slackInitialized && !summary.startsWith("Error:")) {
-              processedReportData.publicationDate = publicationDate;
+            if (notifiersInitialized && !summary.startsWith("Error:")) {
               processedReportData.summary = summary;
+              processedReportData.structuredSummary = structuredSummary;
+              if (appConfig.CHART_CONFIG.enabled) {
+                // Screenshots only go to Slack; they are not stored in the archive
+                logger.info(`[Charts:5.4] Capturing charts for: "${report.title}"`);
+                processedReportData.charts = await captureCharts(browser, report.url);
+              }
               try {
-                logger.info(`[Slack:5.4] Sending summary for: "${processedReportData.title}"`);
-                const blocks = formatReportForSlack(processedReportData);
-                await sendSlackMessage(
-                  `New Report Summary: ${processedReportData.title}`,
-                  blocks
-                );
-                logger.info(`[Slack:5.4] Summary sent successfully for: "${processedReportData.title}"`);
+                logger.info(`[Notify:5.4] Sending summary for: "${processedReportData.title}"`);
+                const { deliveredTo } = await deliverReport(processedReportData);
+                if (deliveredTo.length > 0) {
+                  logger.info(`[Notify:5.4] Summary sent via ${deliveredTo.join(", ")} for: "${processedReportData.title}"`);
+                } else {
+                  logger.warn(`[Notify:5.4] No notifier confirmed delivery for: "${processedReportData.title}"`);
+                }
 
-                logger.info("[Link:5.5] Updating last visited link");
-                await writeLastVisitedLink(report.url);
-                logger.info(`[Link:5.5] Updated last visited link to: ${report.url}`);
                 processedReportsThisRun++;
-              } catch (slackError) {
+              } catch (notifyError) {
                 logger.error(
-                  `[Slack:5.4] Failed to send report "${processedReportData.title}": ${slackError.message}`,
-                  { stack: slackError.stack }
+                  `[Notify:5.4] Failed to send report "${processedReportData.title}": ${notifyError.message}`,
+                  { stack: notifyError.stack }
                 );
               }
             } else if (!summary.startsWith("Error:")) {
-              logger.warn(`[Slack:5.4] Notification skipped: Slack not initialized for "${processedReportData.title}"`);
+              logger.warn(`[Notify:5.4] Notification skipped: no notifiers configured for "${processedReportData.title}"`);
+              // Archived without posting on purpose; counts as processed so later runs do not fetch it again
+              await upsertReport({ url: report.url, archivedOnly: true });
             } else {
-              logger.warn(`[Slack:5.4] Notification skipped: Summary error for "${processedReportData.title}"`);
+              logger.warn(`[Notify:5.4] Notification skipped: Summary error for "${processedReportData.title}"`);
             }
           } else {
             logger.warn(`[Report:5.2] Content fetch failed for: "${report.title}"`);
+            await upsertReport({
+              url: report.url,
+              title: report.title,
+              status: REPORT_STATUS.FAILED,
+              error: "Error fetching content.",
+            });
           }
         } catch (error) {
           logger.error(
             `[Report:5.1] Processing error for "${report.url}": ${error.message}`,
             { stack: error.stack }
           );
+          await upsertReport({
+            url: report.url,
+            title: report.title,
+            status: REPORT_STATUS.FAILED,
+            error: error.message,
+          });
         } finally {
+          const storedReport = await getReport(report.url);
+          await updateLastVisitedLink(storedReport);
+          run.reports.push({
+            url: report.url,
+            title: report.title,
+            status: storedReport ? storedReport.status : null,
+            error: storedReport ? storedReport.error : null,
+          });
           logger.info(`[Report:5.1] Completed processing: "${report.title}"`);
         }
       }
+      run.processed = processedReportsThisRun;
 
       logger.info(
         `[Flow:6] Processing complete. Successfully processed ${processedReportsThisRun} reports`
       );
+
+      if (appConfig.FEED_CONFIG.writeOnRun && processedReportsThisRun > 0) {
+        logger.info("[Feed:6.1] Rewriting RSS and Atom feeds");
+        await writeFeeds();
+      }
     } else {
       logger.info("[Reports:5] No new reports found since last visit");
     }
 
+    run.outcome = "success";
     return true;
   } catch (error) {
     logger.error(
       `[Flow:7] Unexpected error: ${error.message}`,
       { stack: error.stack }
     );
+    run.outcome = "failed";
+    run.error = error.message;
     return false;
   } finally {
-    if (browser) {
+    if (sharedBrowser) {
+      if (page) {
+        await page.close().catch((closeError) =>
+          logger.warn(`[Browser:8] Failed to close page: ${closeError.message}`)
+        );
+      }
+      logger.info("[Browser:8] Page closed, browser kept warm for the next run");
+    } else if (browser) {
       await browser.close();
       logger.info("[Browser:8] Session closed");
     }
-    logger.info(`[Flow:9] Delphi full flow completed at ${new Date().toISOString()}`);
+    run.finishedAt = new Date().toISOString();
+    await runHistory.append(run);
+    logger.info(`[Flow:9] Delphi full flow completed at ${run.finishedAt}`);
   }
 }
 
+// Returns the warm browser, relaunching it if it crashed or was never started
+async function getWarmBrowser() {
+  if (warmBrowser && warmBrowser.connected) {
+    return warmBrowser;
+  }
+  if (warmBrowser) {
+    logger.warn("[Daemon] Browser disconnected, relaunching");
+  }
+  warmBrowser = await launchBrowser();
+  return warmBrowser;
+}
+
+// Long-running mode: full flow on CRON_SCHEDULE, digests on their SLACK_*DIGEST_SCHEDULE
+async function startDaemon() {
+  logger.info(`[Daemon] Starting Delphi daemon (pid ${process.pid})`);
+
+  const flowScheduled = scheduleJob("full-flow", appConfig.CRON_SCHEDULE, async () =>
+    main(await getWarmBrowser())
+  );
+  if (!flowScheduled) {
+    logger.error("[Daemon] Could not schedule the full flow. Check CRON_SCHEDULE.");
+    process.exit(1);
+  }
+
+  const digestSchedules = {
+    daily: ["SLACK_DIGEST_SCHEDULE", appConfig.SLACK_DIGEST_SCHEDULE],
+    weekly: ["SLACK_WEEKLY_DIGEST_SCHEDULE", appConfig.SLACK_WEEKLY_DIGEST_SCHEDULE],
+    monthly: ["SLACK_MONTHLY_DIGEST_SCHEDULE", appConfig.SLACK_MONTHLY_DIGEST_SCHEDULE],
+  };
+  for (const [cadence, [envName, schedule]] of Object.entries(digestSchedules)) {
+    if (schedule) {
+      const { runDigest } = require("../services/digest");
+      scheduleJob(`digest:${cadence}`, schedule, () => runDigest(cadence));
+    } else {
+      logger.info(`[Daemon] ${envName} not set, ${cadence} digest will not be scheduled`);
+    }
+  }
+
+  let shuttingDown = false;
+  const shutdown = async (signal) => {
+    if (shuttingDown) return;
+    shuttingDown = true;
+    logger.info(`[Daemon] Received ${signal}, waiting for running jobs to finish`);
+    stopAllJobs();
+    await waitForIdle();
+    if (warmBrowser) {
+      await warmBrowser.close().catch(() => {});
+      logger.info("[Daemon] Browser closed");
+    }
+    process.exit(0);
+  };
+  process.on("SIGINT", () => shutdown("SIGINT"));
+  process.on("SIGTERM", () => shutdown("SIGTERM"));
+
+  // Run once on startup so a fresh container does not wait for the first tick
+  await runJob("full-flow");
+}
+
 // Run the main function
 if (require.main === module) {
-  main();
-}
\ No newline at end of file
+  if (process.argv.includes("--daemon")) {
+    startDaemon();
+  } else {
+    main();
+  }
+}
+
+module.exports = {
+  main,
+  startDaemon,
+};
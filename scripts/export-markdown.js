@@ -0,0 +1,42 @@
+#!/usr/bin/env node
+require("dotenv").config();
+
+const { exportMarkdown } = require("../services/markdown-export");
+
+const USAGE = `Usage: npm run export:markdown -- [options]
+
+Writes every summarized report to <dir>/YYYY/MM/YYYY-MM-DD-title.md with YAML front matter.
+Only new or changed reports are written on later runs.
+
+Options:
+  --out <dir>   Output directory (default MARKDOWN_EXPORT_DIR or data/export/markdown)
+  --full        Rewrite every file instead of only new and changed ones`;
+
+async function main() {
+  const args = process.argv.slice(2);
+  if (args.includes("--help") || args.includes("-h")) {
+    console.log(USAGE);
+    return;
+  }
+
+  const outIndex = args.indexOf("--out");
+  if (outIndex !== -1 && !args[outIndex + 1]) {
+    console.error(`--out needs a directory.\n\n${USAGE}`);
+    process.exitCode = 1;
+    return;
+  }
+
+  const result = await exportMarkdown({
+    outputDir: outIndex !== -1 ? args[outIndex + 1] : undefined,
+    full: args.includes("--full"),
+  });
+  if (!result) {
+    process.exitCode = 1;
+    return;
+  }
+  console.log(
+    `Exported to ${result.outputDir}: ${result.written} written, ${result.unchanged} unchanged, ${result.removed} removed`
+  );
+}
+
+main();
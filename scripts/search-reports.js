@@ -0,0 +1,98 @@
+#!/usr/bin/env node
+require("dotenv").config();
+
+const { searchReports, rebuildIndex } = require("../utils/search-index");
+
+const USAGE = `Usage: npm run search -- [terms...] [options]
+
+Options:
+  --tag <tag>         Only reports with this sector/token/protocol tag (repeatable)
+  --field <field>     Match terms only in title, body or tags (repeatable)
+  --from <date>       Only reports published on or after this date (e.g. 2025-01-01)
+  --to <date>         Only reports published on or before this date
+  --limit <n>         Maximum number of results (default 20)
+  --json              Print results as JSON
+  --rebuild           Rebuild the index from the report archive`;
+
+// Splits argv into free-text terms and repeatable --flag values
+function parseArgs(argv) {
+  const options = { terms: [], tags: [], fields: [], json: false, rebuild: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    switch (arg) {
+      case "--tag":
+        options.tags.push(argv[++i]);
+        break;
+      case "--field":
+        options.fields.push(argv[++i]);
+        break;
+      case "--from":
+        options.from = argv[++i];
+        break;
+      case "--to":
+        options.to = argv[++i];
+        break;
+      case "--limit":
+        options.limit = parseInt(argv[++i], 10);
+        break;
+      case "--json":
+        options.json = true;
+        break;
+      case "--rebuild":
+        options.rebuild = true;
+        break;
+      case "--help":
+        options.help = true;
+        break;
+      default:
+        options.terms.push(arg);
+    }
+  }
+  return options;
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  if (options.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  if (options.rebuild) {
+    await rebuildIndex();
+    if (options.terms.length === 0 && options.tags.length === 0) return;
+  }
+
+  let results;
+  try {
+    results = await searchReports({
+      query: options.terms.join(" "),
+      fields: options.fields.length > 0 ? options.fields : undefined,
+      tags: options.tags,
+      from: options.from,
+      to: options.to,
+      limit: isNaN(options.limit) || options.limit === undefined ? 20 : options.limit,
+    });
+  } catch (error) {
+    console.error(error.message);
+    process.exitCode = 1;
+    return;
+  }
+
+  if (options.json) {
+    console.log(JSON.stringify(results, null, 2));
+    return;
+  }
+
+  if (results.length === 0) {
+    console.log("No matching reports.");
+    return;
+  }
+  for (const result of results) {
+    const date = result.publicationDate || (result.date ? result.date.slice(0, 10) : "unknown date");
+    console.log(`${result.score.toFixed(2).padStart(6)}  ${date}  ${result.title}`);
+    console.log(`        ${result.url}${result.tags.length > 0 ? `  [${result.tags.join(", ")}]` : ""}`);
+  }
+}
+
+main();
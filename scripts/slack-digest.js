@@ -0,0 +1,41 @@
+#!/usr/bin/env node
+require("dotenv").config();
+
+const { initializeAI } = require("../services/ai");
+const { CADENCES, runDigest, buildDigestPreview } = require("../services/digest");
+const { loadConfigFromEnv } = require("../config/config");
+
+const USAGE = `Usage: npm run digest -- [${CADENCES.join("|")}] [--dry-run]
+
+Sends the digest for a cadence (default daily) through every notifier and advances its state.
+  --dry-run    Print the digest (overview, must reads and groups) as JSON for the cadence's lookback window without sending`;
+
+async function main() {
+  const args = process.argv.slice(2);
+  if (args.includes("--help") || args.includes("-h")) {
+    console.log(USAGE);
+    return;
+  }
+
+  const cadence = args.find((arg) => !arg.startsWith("--")) || "daily";
+  if (!CADENCES.includes(cadence)) {
+    console.error(`Unknown cadence '${cadence}'.\n\n${USAGE}`);
+    process.exitCode = 1;
+    return;
+  }
+
+  // Without a provider the digest is still sent, just without the executive overview
+  initializeAI(loadConfigFromEnv());
+
+  if (args.includes("--dry-run")) {
+    const digest = await buildDigestPreview(cadence, { withOverview: true });
+    // Report bodies would drown out the digest itself
+    const json = digest && JSON.stringify(digest, (key, value) => (key === "body" ? undefined : value), 2);
+    console.log(json || `No reports in the ${cadence} digest window.`);
+    return;
+  }
+
+  await runDigest(cadence);
+}
+
+main();
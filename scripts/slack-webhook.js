@@ -0,0 +1,77 @@
+#!/usr/bin/env node
+require("dotenv").config();
+
+const express = require("express");
+const bodyParser = require("body-parser");
+const logger = require("../utils/logger");
+const { loadConfigFromEnv } = require("../config/config");
+const {
+  captureRawBody,
+  requireSlackSignature,
+} = require("../utils/slack-signature");
+const { handleSlashCommand } = require("../services/slack-commands");
+const { handleSlackEvent } = require("../services/slack-events");
+const { initializeSlack } = require("../services/slack");
+const { initializeAI } = require("../services/ai");
+
+// Load configuration
+const appConfig = loadConfigFromEnv();
+
+// Builds the express app serving Slack slash commands and events
+function createApp() {
+  const app = express();
+
+  app.get("/health", (req, res) => res.json({ status: "ok" }));
+
+  app.post(
+    "/slack/commands",
+    bodyParser.urlencoded({ extended: false, verify: captureRawBody }),
+    requireSlackSignature(appConfig.SLACK_SIGNING_SECRET),
+    async (req, res) => {
+      logger.info(
+        `[Webhook] ${req.body.command} ${req.body.text || ""} from ${req.body.user_name || req.body.user_id}`
+      );
+      res.json(await handleSlashCommand(req.body.text));
+    }
+  );
+
+  app.post(
+    "/slack/events",
+    bodyParser.json({ verify: captureRawBody }),
+    requireSlackSignature(appConfig.SLACK_SIGNING_SECRET),
+    (req, res) => {
+      // Retries are sent when we answered slowly; the original delivery is already being handled
+      if (req.get("X-Slack-Retry-Num")) {
+        return res.json({});
+      }
+      return res.json(handleSlackEvent(req.body));
+    }
+  );
+
+  return app;
+}
+
+function main() {
+  if (!appConfig.SLACK_SIGNING_SECRET) {
+    logger.error("[Webhook] SLACK_SIGNING_SECRET is not set. Refusing to start.");
+    process.exit(1);
+  }
+
+  initializeSlack(appConfig.SLACK_TOKEN, appConfig.SLACK_CONFIG.channelId);
+  if (!initializeAI(appConfig)) {
+    logger.warn("[Webhook] AI provider not configured. @mention questions will not be answered.");
+  }
+
+  const app = createApp();
+  app.listen(appConfig.SLACK_WEBHOOK_PORT, () => {
+    logger.info(`[Webhook] Slack server listening on port ${appConfig.SLACK_WEBHOOK_PORT}`);
+  });
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  createApp,
+};
@@ -0,0 +1,82 @@
+#!/usr/bin/env node
+require("dotenv").config();
+
+const {
+  CACHE_FILE,
+  listCacheEntries,
+  clearCache,
+} = require("../utils/summary-cache");
+
+const USAGE = `Usage: npm run cache -- <command> [options]
+
+Commands:
+  list [--expired]        List cached summaries (optionally only expired ones)
+  show <url>              Print the cached summaries for a report URL
+  clear [--url <url>]     Remove all entries, or only those for one report URL
+  clear --expired         Remove expired entries and entries over CACHE_MAX_ENTRIES`;
+
+// Returns the value following a flag, e.g. getFlagValue(args, "--url")
+function getFlagValue(args, flag) {
+  const index = args.indexOf(flag);
+  return index !== -1 ? args[index + 1] : undefined;
+}
+
+async function main() {
+  const [command, ...args] = process.argv.slice(2);
+
+  switch (command) {
+    case "list": {
+      const entries = await listCacheEntries();
+      const shown = args.includes("--expired")
+        ? entries.filter((entry) => entry.expired)
+        : entries;
+      console.log(`${shown.length} of ${entries.length} entries in ${CACHE_FILE}`);
+      for (const entry of shown) {
+        console.log(
+          `${entry.createdAt}  ${entry.expired ? "expired" : "valid  "}  ${entry.model}  v${entry.promptVersion}  ${entry.url}`
+        );
+      }
+      break;
+    }
+    case "show": {
+      const url = args[0];
+      if (!url) {
+        console.error(USAGE);
+        process.exitCode = 1;
+        return;
+      }
+      const entries = (await listCacheEntries()).filter((entry) => entry.url === url);
+      if (entries.length === 0) {
+        console.log(`No cached summaries for ${url}`);
+        return;
+      }
+      console.log(JSON.stringify(entries, null, 2));
+      break;
+    }
+    case "clear": {
+      const url = getFlagValue(args, "--url");
+      // A bare --url must not fall through to clearing every entry
+      if (args.includes("--url") && (!url || url.startsWith("--"))) {
+        console.error(`--url needs a report URL.\n\n${USAGE}`);
+        process.exitCode = 1;
+        return;
+      }
+      const removed = await clearCache({
+        url,
+        expiredOnly: args.includes("--expired"),
+      });
+      if (removed === null) {
+        console.error(`${CACHE_FILE} could not be read or is locked by another process (see the log above). Run clear without options to reset an unreadable cache.`);
+        process.exitCode = 1;
+        return;
+      }
+      console.log(`Removed ${removed} entries from ${CACHE_FILE}`);
+      break;
+    }
+    default:
+      console.log(USAGE);
+      if (command) process.exitCode = 1;
+  }
+}
+
+main();
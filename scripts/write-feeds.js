@@ -0,0 +1,16 @@
+#!/usr/bin/env node
+require("dotenv").config();
+
+const { writeFeeds } = require("../services/feed");
+
+// Writes the RSS and Atom feeds from the report archive, e.g. for a static file server
+async function main() {
+  const result = await writeFeeds();
+  if (!result) {
+    process.exitCode = 1;
+    return;
+  }
+  console.log(`Wrote ${result.items} reports to:\n  ${result.rss}\n  ${result.atom}`);
+}
+
+main();
@@ -1,61 +1,347 @@
-const { GoogleGenerativeAI } = require('@google/generative-ai');
+const { createProvider } = require('./llm');
+const { config } = require('../config/config');
+const { estimateTokens, chunkBySections } = require('../utils/text-chunker');
+const {
+  SUMMARY_JSON_INSTRUCTIONS,
+  parseSummaryResponse,
+  validateSummary,
+  coerceLegacySummary,
+  renderSummaryText
+} = require('./summary-schema');
+const { hashContent, getCachedSummary, setCachedSummary } = require('../utils/summary-cache');
+const logger = require('../utils/logger');
 
-// Initialize Gemini client with default configs
-let genAI = null;
+// Active LLM provider, selected via AI_CONFIG.provider
+let provider = null;
 
-// Initialize Gemini API
-function initializeGemini(apiKey) {
-  if (!apiKey) {
-    console.log('Gemini API key not configured');
+// Bump when the summarization prompts or schema change so cached summaries are regenerated
+const SUMMARY_PROMPT_VERSION = 3;
+
+/**
+ * Initializes the LLM provider configured in AI_CONFIG.
+ * @param {object} appConfig - Loaded app config (AI_CONFIG and API keys).
+ * @returns {boolean} True if a provider is ready to use.
+ */
+function initializeAI(appConfig) {
+  try {
+    provider = createProvider(appConfig.AI_CONFIG, {
+      gemini: appConfig.GEMINI_API_KEY,
+      openai: appConfig.OPENAI_API_KEY,
+      anthropic: appConfig.ANTHROPIC_API_KEY
+    });
+    logger.info(`AI provider initialized: ${provider.name} (${provider.model})`);
+    return true;
+  } catch (error) {
+    provider = null;
+    logger.warn(`AI provider not configured: ${error.message}`);
     return false;
   }
-  
-  genAI = new GoogleGenerativeAI(apiKey);
-  return true;
 }
 
-// Function to get summary using Gemini
-async function getSummaryFromGemini(title, body) {
-  try {
-    if (!genAI) {
-      throw new Error('Gemini API not initialized');
-    }
-    
-    // Initialize with specific model configuration
-    const model = genAI.getGenerativeModel({ 
-      model: "gemini-2.0-flash-lite",
-      generationConfig: {
-        temperature: 0.7,
-        topK: 40,
-        topP: 0.95,
-        maxOutputTokens: 1024,
-      },
-    });
-    
-    const prompt = `
+// Initialize Gemini API (kept for callers that predate the provider layer)
+function initializeGemini(apiKey) {
+  return initializeAI({
+    ...config,
+    AI_CONFIG: { ...config.AI_CONFIG, provider: 'gemini' },
+    GEMINI_API_KEY: apiKey
+  });
+}
+
+/**
+ * Returns the active provider, or null if none was initialized.
+ */
+function getProvider() {
+  return provider;
+}
+
+// Builds the summarization prompt for a single report
+function buildSummaryPrompt(title, body) {
+  return `
 Summarize this Delphi Digital report directly without any introductory phrases.
 Title: ${title}
 
 Content:
 ${body}
 
-Your response MUST follow this exact format:
-1. A direct, concise summary of the report's main points in 1-2 sentences (max 160 characters).
+${SUMMARY_JSON_INSTRUCTIONS}`;
+}
+
+// Builds the map-step prompt for one chunk of a long report
+function buildChunkNotesPrompt(title, chunk, index, total) {
+  const sections = chunk.headings.length > 0 ? `\nSections: ${chunk.headings.join('; ')}` : '';
+  return `
+You are reading part ${index + 1} of ${total} of the Delphi Digital report "${title}".${sections}
+
+Content:
+${chunk.text}
+
+Write concise bullet-point notes capturing the key claims, conclusions and notable numbers in this part.
+Only use information from this part. Do not add an introduction.`;
+}
+
+// Builds the reduce-step prompt from the notes of every chunk
+function buildReducePrompt(title, notes) {
+  const sectionNotes = notes
+    .map((note, i) => `Part ${i + 1}${note.headings.length > 0 ? ` (${note.headings.join('; ')})` : ''}:\n${note.text}`)
+    .join('\n\n');
+  return `
+Summarize this Delphi Digital report directly without any introductory phrases.
+The report was too long to read at once, so below are notes taken from each of its parts in order.
+Title: ${title}
+
+Notes:
+${sectionNotes}
+
+${SUMMARY_JSON_INSTRUCTIONS}`;
+}
+
+// Builds a follow-up prompt asking the model to fix a response that failed validation
+function buildRepairPrompt(originalPrompt, previousResponse, errors) {
+  return `${originalPrompt}
+
+Your previous response was not valid:
+${previousResponse}
+
+Problems found:
+${errors.map(error => `- ${error}`).join('\n')}
+
+Return the corrected JSON object only.`;
+}
+
+// Generates a structured summary, re-prompting with the validation errors until it is valid
+async function generateStructuredSummary(title, prompt) {
+  const maxAttempts = 1 + config.AI_CONFIG.summarization.maxRepairAttempts;
+  let currentPrompt = prompt;
+  let lastResponse = null;
+
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    lastResponse = await provider.generate(currentPrompt);
+    const { valid, errors, value } = validateSummary(parseSummaryResponse(lastResponse));
+    if (valid) {
+      return value;
+    }
+    logger.warn(`Malformed summary for "${title}" (attempt ${attempt}/${maxAttempts}): ${errors.join('; ')}`);
+    currentPrompt = buildRepairPrompt(prompt, lastResponse, errors);
+  }
+
+  // Free-text answers can still be used in the legacy "summary + Relevance" shape
+  const fallback = parseSummaryResponse(lastResponse) ? null : coerceLegacySummary(lastResponse);
+  if (fallback) {
+    logger.warn(`Using plain-text fallback summary for "${title}"`);
+    return fallback;
+  }
+  throw new Error(`No valid structured summary after ${maxAttempts} attempts`);
+}
+
+// Summarizes a long report: notes per chunk (map), then one final summary (reduce)
+async function summarizeInChunks(title, body, limits) {
+  let chunks = chunkBySections(body, limits.chunkTokens);
+  const totalChunks = chunks.length;
+  logger.info(`Report "${title}" is ~${estimateTokens(body)} tokens; summarizing in ${totalChunks} chunks`);
+
+  if (totalChunks > limits.maxChunks) {
+    logger.warn(`Report "${title}" needs ${totalChunks} chunks; only the first ${limits.maxChunks} will be summarized (AI_CONFIG.summarization.maxChunks)`);
+    chunks = chunks.slice(0, limits.maxChunks);
+  }
+
+  const notes = [];
+  for (let i = 0; i < chunks.length; i++) {
+    try {
+      const text = await provider.generate(
+        buildChunkNotesPrompt(title, chunks[i], i, chunks.length),
+        { maxOutputTokens: limits.chunkNotesTokens }
+      );
+      notes.push({ headings: chunks[i].headings, text: text.trim() });
+    } catch (error) {
+      logger.warn(`Failed to summarize chunk ${i + 1}/${chunks.length} of "${title}": ${error.message}`);
+    }
+  }
+
+  if (notes.length === 0) {
+    throw new Error('All chunk summaries failed');
+  }
+  if (notes.length === 1 && totalChunks === 1) {
+    return generateStructuredSummary(title, buildSummaryPrompt(title, chunks[0].text));
+  }
+
+  const summary = await generateStructuredSummary(title, buildReducePrompt(title, notes));
+  // Record that parts of the report never reached the model (dropped or failed chunks)
+  if (notes.length < totalChunks) {
+    logger.warn(`Summary of "${title}" covers ${notes.length} of ${totalChunks} chunks`);
+    summary.partial = { summarizedChunks: notes.length, totalChunks };
+  }
+  return summary;
+}
 
-2. A brief one-liner explaining why this research/topic is relevant to the Kaia ecosystem and technology stack.
+/**
+ * Gets a validated structured summary of a report from the configured provider.
+ * When a URL is given, summaries are cached by URL + content hash + model + prompt version.
+ * @param {string} title - Report title.
+ * @param {string} body - Report content.
+ * @param {object} [options]
+ * @param {string} [options.url] - Report URL, enables the summary cache.
+ * @param {boolean} [options.skipCache] - Ignore cached summaries (the new one is still cached).
+ * @returns {Promise<object|null>} Structured summary (see summary-schema.js) or null on failure.
+ */
+async function getSummary(title, body, options = {}) {
+  try {
+    if (!provider) {
+      throw new Error('AI provider not initialized');
+    }
 
-Format your response exactly as:
-[Main summary of the report]
+    const cacheParams = options.url
+      ? {
+        url: options.url,
+        contentHash: hashContent(body),
+        model: `${provider.name}:${provider.model}`,
+        promptVersion: SUMMARY_PROMPT_VERSION
+      }
+      : null;
 
-Relevance: [How this relates to Kaia]
+    if (cacheParams && !options.skipCache) {
+      const cached = await getCachedSummary(cacheParams);
+      if (cached) {
+        logger.info(`Using cached summary for "${title}"`);
+        return cached;
+      }
+    }
 
-Do not use phrases like "Here's a summary" or "This report discusses". Start directly with the core information.`;
+    const limits = config.AI_CONFIG.summarization;
+    const summary = estimateTokens(body) > limits.maxSinglePassTokens
+      ? await summarizeInChunks(title, body, limits)
+      : await generateStructuredSummary(title, buildSummaryPrompt(title, body));
 
-    const result = await model.generateContent(prompt);
-    const response = await result.response;
-    return response.text();
+    // Plain-text fallbacks and partial summaries are not cached so the next run gets another chance
+    if (cacheParams && !summary.degraded && !summary.partial) {
+      await setCachedSummary(cacheParams, summary);
+    }
+    return summary;
   } catch (error) {
-    console.error('Error getting summary from Gemini:', error);
+    logger.error(`Error getting summary from ${provider ? provider.name : 'AI provider'}: ${error.message}`, { stack: error.stack });
+    return null;
+  }
+}
+
+// Plain-text summary in the legacy "summary + Relevance" format
+async function getSummaryText(title, body, options) {
+  const summary = await getSummary(title, body, options);
+  return summary ? renderSummaryText(summary) : null;
+}
+
+// Builds the Q&A prompt over numbered report sources
+function buildQuestionPrompt(question, sources) {
+  const sourceText = sources
+    .map((source, i) => `[${i + 1}] ${source.title}${source.publicationDate ? ` (Published: ${source.publicationDate})` : ''}
+URL: ${source.url}
+Summary: ${source.summary || 'n/a'}
+Excerpts:
+${source.excerpt || 'n/a'}`)
+    .join('\n\n');
+
+  return `
+You are a research assistant for the Kaia blockchain team. Answer the question using ONLY the Delphi Digital report sources below.
+Cite the sources you use inline with their numbers in square brackets, e.g. [1] or [2][3].
+If the sources do not contain the answer, say so plainly instead of guessing.
+Keep the answer under 200 words. Use plain sentences or short bullet points starting with "•"; no headings.
+
+Question: ${question}
+
+Sources:
+${sourceText}`;
+}
+
+/**
+ * Answers a research question from the given report sources.
+ * @param {string} question - Natural language question.
+ * @param {Array<{title: string, url: string, publicationDate?: string, summary?: string, excerpt?: string}>} sources
+ *   Reports to answer from, cited by their 1-based position.
+ * @returns {Promise<string|null>} Answer text with [n] citations, or null on failure.
+ */
+async function answerResearchQuestion(question, sources) {
+  try {
+    if (!provider) {
+      throw new Error('AI provider not initialized');
+    }
+    const answer = await provider.generate(buildQuestionPrompt(question, sources));
+    return answer.trim();
+  } catch (error) {
+    logger.error(`Error answering question with ${provider ? provider.name : 'AI provider'}: ${error.message}`, { stack: error.stack });
+    return null;
+  }
+}
+
+// One compact entry per report for the digest overview; full bodies would not fit for a weekly digest
+function formatOverviewSource(report, number) {
+  const summary = report.structuredSummary;
+  const lines = [`[${number}] ${report.title}${report.publicationDate ? ` (Published: ${report.publicationDate})` : ''}`];
+  if (summary) {
+    lines.push(`Summary: ${summary.headline}. ${summary.summary}`);
+    if (summary.relevance) lines.push(`Relevance to Kaia: ${summary.relevance}`);
+    if (summary.keyTakeaways && summary.keyTakeaways.length > 0) {
+      lines.push(`Key takeaways: ${summary.keyTakeaways.join(' | ')}`);
+    }
+    if (summary.sectors && summary.sectors.length > 0) lines.push(`Sectors: ${summary.sectors.join(', ')}`);
+    if (summary.sentiment) lines.push(`Sentiment: ${summary.sentiment}`);
+  } else {
+    lines.push(`Summary: ${report.summary || 'n/a'}`);
+  }
+  return lines.join('\n');
+}
+
+// Builds the executive overview prompt over numbered digest reports
+function buildDigestOverviewPrompt(sources) {
+  return `
+You are briefing the executive team of the Kaia blockchain on this period's Delphi Digital research.
+Write a synthesis across ALL of the reports below, not a list of per-report summaries. Use exactly these three parts:
+
+*Themes* - 2-4 cross-cutting themes that several reports point to
+*Conflicting views* - where reports disagree or reach different conclusions; write "None this period." if they do not
+*Implications for Kaia* - 2-4 concrete implications or action items for Kaia
+
+Reference the reports inline with their numbers in square brackets, e.g. [1] or [2][3]; every bullet needs at least one reference.
+Format for Slack: each part name in *bold* on its own line, followed by bullet points starting with "•". No other headings, no introduction, no closing remarks.
+Keep the whole overview under 250 words.
+
+Reports:
+${sources.join('\n\n')}`;
+}
+
+/**
+ * Writes an executive overview across the reports of a digest.
+ * Reports are referenced as [n] by their 1-based position; reports beyond the token budget are left out of the prompt.
+ * @param {Array<object>} reports - Archived reports in digest order.
+ * @param {object} [options]
+ * @param {number} [options.maxContextTokens] - Token budget for the report entries (default 12000).
+ * @param {number} [options.maxOutputTokens] - Output token limit (default 1024).
+ * @returns {Promise<string|null>} Overview in Slack mrkdwn with [n] references, or null on failure.
+ */
+async function generateDigestOverview(reports, options = {}) {
+  const { maxContextTokens = 12000, maxOutputTokens = 1024 } = options;
+  try {
+    if (!provider) {
+      throw new Error('AI provider not initialized');
+    }
+
+    const sources = [];
+    let usedTokens = 0;
+    for (const [index, report] of reports.entries()) {
+      const source = formatOverviewSource(report, index + 1);
+      const tokens = estimateTokens(source);
+      if (usedTokens + tokens > maxContextTokens) {
+        logger.warn(`Digest overview covers ${sources.length} of ${reports.length} reports to stay within ${maxContextTokens} tokens`);
+        break;
+      }
+      sources.push(source);
+      usedTokens += tokens;
+    }
+    if (sources.length === 0) {
+      return null;
+    }
+
+    const overview = await provider.generate(buildDigestOverviewPrompt(sources), { maxOutputTokens });
+    return overview.trim() || null;
+  } catch (error) {
+    logger.error(`Error generating digest overview with ${provider ? provider.name : 'AI provider'}: ${error.message}`, { stack: error.stack });
     return null;
   }
 }
@@ -73,8 +359,15 @@ async function summarizeContent(content) {
 }
 
 module.exports = {
+  SUMMARY_PROMPT_VERSION,
+  initializeAI,
   initializeGemini,
-  getSummaryFromGemini,
+  getProvider,
+  getSummary,
+  getSummaryText,
+  // Alias kept for existing callers expecting plain text
+  getSummaryFromGemini: getSummaryText,
+  answerResearchQuestion,
+  generateDigestOverview,
   summarizeContent
-}; 
-
+};
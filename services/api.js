@@ -0,0 +1,174 @@
+const express = require('express');
+const { loadReports, getReportId } = require('../utils/report-store');
+const { searchReports } = require('../utils/search-index');
+const { runHistory, digestHistory } = require('../utils/history-store');
+const { selectFeedReports, buildRssFeed, buildAtomFeed } = require('./feed');
+const { safeEqual } = require('../utils/safe-compare');
+const { loadConfigFromEnv } = require('../config/config');
+const logger = require('../utils/logger');
+
+// Load configuration
+const appConfig = loadConfigFromEnv();
+const API_CONFIG = appConfig.API_CONFIG;
+const FEED_CONFIG = appConfig.FEED_CONFIG;
+
+// Wraps an async handler so failures answer with a 500 instead of an unhandled rejection
+function handle(handler) {
+  return async (req, res) => {
+    try {
+      await handler(req, res);
+    } catch (error) {
+      logger.error(`[API] ${req.method} ${req.baseUrl}${req.path} failed: ${error.message}`, { stack: error.stack });
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  };
+}
+
+// Reads limit/offset query parameters, capped at API_CONFIG.maxLimit
+function getPagination(query) {
+  const limit = parseInt(query.limit, 10);
+  const offset = parseInt(query.offset, 10);
+  return {
+    limit: Math.min(limit > 0 ? limit : API_CONFIG.defaultLimit, API_CONFIG.maxLimit),
+    offset: offset > 0 ? offset : 0
+  };
+}
+
+// Query parameters may be repeated (?tag=DeFi&tag=L2) or comma-separated (?tag=DeFi,L2)
+function getList(value) {
+  return [].concat(value || []).flatMap(item => String(item).split(',')).map(item => item.trim()).filter(Boolean);
+}
+
+function getSortDate(report) {
+  const published = new Date(report.publicationDate);
+  return report.publicationDate && !isNaN(published) ? published : new Date(report.scrapedAt || 0);
+}
+
+// List entries leave out the body and delivery details
+function toListItem(report, score) {
+  const summary = report.structuredSummary;
+  return {
+    id: getReportId(report.url),
+    url: report.url,
+    title: report.title,
+    publicationDate: report.publicationDate || null,
+    category: report.category || null,
+    status: report.status || null,
+    headline: summary && !summary.degraded ? summary.headline : null,
+    sectors: summary && summary.sectors ? summary.sectors : [],
+    lastChecked: report.lastChecked || null,
+    ...(score !== undefined ? { score } : {})
+  };
+}
+
+/**
+ * GET /reports?q=&tag=&from=&to=&status=&limit=&offset=
+ * Text, tag and date filters go through the search index; results are ranked by relevance when
+ * `q` is set and by date otherwise.
+ */
+async function listReports(req, res) {
+  const { q, from, to } = req.query;
+  const tags = getList(req.query.tag);
+  const statuses = getList(req.query.status);
+  const { limit, offset } = getPagination(req.query);
+
+  for (const [name, value] of [['from', from], ['to', to]]) {
+    if (value && isNaN(new Date(value))) {
+      return res.status(400).json({ error: `Invalid '${name}' date: ${value}` });
+    }
+  }
+
+  const archive = await loadReports();
+  let matches;
+  if (q || tags.length > 0 || from || to) {
+    const byUrl = new Map(archive.map(report => [report.url, report]));
+    const results = await searchReports({ query: q || '', tags, from, to, limit: Infinity });
+    matches = results
+      .filter(result => byUrl.has(result.url))
+      .map(result => ({ report: byUrl.get(result.url), score: q ? result.score : undefined }));
+  } else {
+    matches = archive
+      .slice()
+      .sort((a, b) => getSortDate(b) - getSortDate(a))
+      .map(report => ({ report }));
+  }
+
+  if (statuses.length > 0) {
+    matches = matches.filter(({ report }) => statuses.includes(report.status));
+  }
+
+  res.json({
+    total: matches.length,
+    limit,
+    offset,
+    reports: matches.slice(offset, offset + limit).map(({ report, score }) => toListItem(report, score))
+  });
+}
+
+/**
+ * GET /reports/:id - the full archived record, including body, summaries and delivery details.
+ */
+async function getReportById(req, res) {
+  const report = (await loadReports()).find(candidate => getReportId(candidate.url) === req.params.id);
+  if (!report) {
+    return res.status(404).json({ error: 'Report not found' });
+  }
+  res.json({ id: req.params.id, ...report });
+}
+
+// GET /runs and GET /digests page through a history file, newest first
+function listHistory(store, key) {
+  return async (req, res) => {
+    const entries = await store.load();
+    const { limit, offset } = getPagination(req.query);
+    res.json({ total: entries.length, limit, offset, [key]: entries.slice(offset, offset + limit) });
+  };
+}
+
+// Rejects requests without the API_TOKEN bearer token. Without a token every request is rejected,
+// unless the API was explicitly opened with API_ALLOW_NO_TOKEN. Feed readers that cannot send
+// headers may pass the token as ?token= where `acceptQueryToken` is set.
+function requireToken(token, allowNoToken, acceptQueryToken = false) {
+  return (req, res, next) => {
+    const match = /^Bearer (.+)$/.exec(req.get('Authorization') || '');
+    const supplied = match ? match[1] : acceptQueryToken ? req.query.token : null;
+    if (token ? safeEqual(supplied, token) : allowNoToken) {
+      return next();
+    }
+    res.status(401).json({ error: 'Unauthorized' });
+  };
+}
+
+// Serves a feed built from the current archive on every request
+function serveFeed(buildFeed, contentType) {
+  return async (req, res) => {
+    const reports = selectFeedReports(await loadReports());
+    res.type(contentType).send(buildFeed(reports));
+  };
+}
+
+/**
+ * Builds the read-only API router.
+ * @param {object} [options]
+ * @param {string} [options.token] - Bearer token required on every request.
+ * @param {boolean} [options.allowNoToken] - Serve requests without authentication when no token is set.
+ * @returns {express.Router}
+ */
+function createApiRouter({ token = API_CONFIG.token, allowNoToken = API_CONFIG.allowNoToken } = {}) {
+  const router = express.Router();
+  const feedAuth = requireToken(token, allowNoToken, true);
+  router.get(`/feeds/${FEED_CONFIG.rssFileName}`, feedAuth, handle(serveFeed(buildRssFeed, 'application/rss+xml; charset=utf-8')));
+  router.get(`/feeds/${FEED_CONFIG.atomFileName}`, feedAuth, handle(serveFeed(buildAtomFeed, 'application/atom+xml; charset=utf-8')));
+  router.use(requireToken(token, allowNoToken));
+
+  router.get('/reports', handle(listReports));
+  router.get('/reports/:id', handle(getReportById));
+  router.get('/runs', handle(listHistory(runHistory, 'runs')));
+  router.get('/digests', handle(listHistory(digestHistory, 'digests')));
+
+  return router;
+}
+
+module.exports = {
+  createApiRouter
+};
@@ -0,0 +1,165 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { loadConfigFromEnv } = require('../config/config');
+const { loadReportsPage, collectReportLinks, fetchReportContent, toDay } = require('./reports');
+const { deliverReport, summarizeReport } = require('./report-actions');
+const { REPORT_STATUS, getReport, isReportDelivered, upsertReport } = require('../utils/report-store');
+const logger = require('../utils/logger');
+const { getTempPath } = require('../utils/file-utils');
+
+// Load configuration
+const appConfig = loadConfigFromEnv();
+
+const BACKFILL_STATE_PATH = path.resolve(process.cwd(), 'data/backfill_state.json');
+
+// Outcomes that are not retried when a backfill is resumed; failed reports are
+const FINAL_OUTCOMES = ['summarized', 'posted', 'archived', 'out-of-range'];
+// With --notify, summarized and archived reports are checked again: they may never have been delivered
+const FINAL_NOTIFY_OUTCOMES = ['posted', 'out-of-range'];
+
+async function loadBackfillState() {
+  try {
+    return JSON.parse(await fs.readFile(BACKFILL_STATE_PATH, 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      logger.error(`Error loading backfill state from ${BACKFILL_STATE_PATH}: ${error.message}`);
+    }
+    return null;
+  }
+}
+
+// Written after every report so an interrupted backfill resumes where it stopped
+async function saveBackfillState(state) {
+  const tmpPath = getTempPath(BACKFILL_STATE_PATH);
+  state.updatedAt = new Date().toISOString();
+  await fs.mkdir(path.dirname(BACKFILL_STATE_PATH), { recursive: true });
+  await fs.writeFile(tmpPath, JSON.stringify(state, null, 2), 'utf8');
+  await fs.rename(tmpPath, BACKFILL_STATE_PATH);
+}
+
+// Listing dates are only a hint; links without one are kept and checked on the report page
+function isListedInRange(link, from, to) {
+  const day = toDay(link.listedAt);
+  return !day || (day >= from && day <= to);
+}
+
+// Posts an archived, summarized report through the notifiers
+async function postReport(url) {
+  const { deliveredTo } = await deliverReport(await getReport(url));
+  return deliveredTo.length > 0
+    ? { outcome: 'posted', deliveredTo }
+    : { outcome: 'failed', error: 'No notifier confirmed delivery.' };
+}
+
+// Fetches, archives and summarizes one report; returns its outcome for the state file
+async function backfillReport(page, link, { from, to, notify }) {
+  const existing = await getReport(link.url);
+  if (existing && existing.status === REPORT_STATUS.SUMMARIZED && notify && !isReportDelivered(existing)) {
+    return postReport(existing.url);
+  }
+  if (existing && [REPORT_STATUS.SUMMARIZED, REPORT_STATUS.POSTED, REPORT_STATUS.SKIPPED].includes(existing.status)) {
+    return { outcome: 'archived', status: existing.status };
+  }
+
+  const content = await fetchReportContent(page, link.url);
+  if (typeof content === 'string') {
+    return { outcome: 'failed', error: content };
+  }
+
+  const day = toDay(content.publicationDate);
+  if (day && (day < from || day > to)) {
+    return { outcome: 'out-of-range', publicationDate: content.publicationDate };
+  }
+
+  await upsertReport({
+    url: link.url,
+    title: link.title,
+    body: content.reportContent,
+    publicationDate: content.publicationDate,
+    category: content.category || null,
+    attachments: content.attachments || [],
+    status: REPORT_STATUS.FETCHED,
+    // Keeps the report out of the digests, which cover newly published research
+    backfilled: true,
+    error: null
+  });
+
+  const summarized = await summarizeReport(link.url);
+  if (!summarized.ok) {
+    return { outcome: 'failed', error: summarized.message };
+  }
+  if (!notify) {
+    // Counts as processed, so the full flow does not post it later
+    await upsertReport({ url: link.url, archivedOnly: true });
+    return { outcome: 'summarized' };
+  }
+  return postReport(link.url);
+}
+
+/**
+ * Collects every report published between two days from the listing and processes them oldest
+ * first: fetch, archive, summarize, index and embed, and optionally post.
+ * Progress is kept in data/backfill_state.json; running the same range again resumes it and
+ * retries failed reports; with `notify` it also posts reports that were summarized but never
+ * delivered. Reports already summarized in the archive are not summarized again.
+ * @param {object} page - Logged-in Puppeteer page.
+ * @param {object} options
+ * @param {string} options.from - First day (YYYY-MM-DD), inclusive.
+ * @param {string} options.to - Last day (YYYY-MM-DD), inclusive.
+ * @param {boolean} [options.notify] - Post each report through the notifiers.
+ * @param {boolean} [options.restart] - Crawl the listing again and forget earlier progress.
+ * @returns {Promise<object>} Counts per outcome, plus `total` and `listingComplete`.
+ */
+async function runBackfill(page, { from, to, notify = false, restart = false }) {
+  let state = await loadBackfillState();
+  if (state && (state.from !== from || state.to !== to)) {
+    logger.info(`Discarding backfill progress for ${state.from}..${state.to}`);
+    state = null;
+  }
+  if (!state || restart) {
+    state = { from, to, startedAt: new Date().toISOString(), updatedAt: null, listingComplete: false, queue: null, results: {} };
+  }
+
+  if (!state.queue) {
+    await loadReportsPage(page, appConfig.DELPHI_REPORTS_URL);
+    const { links, complete } = await collectReportLinks(page, { since: from, maxPages: appConfig.CRAWL_CONFIG.backfillMaxPages });
+    // The listing is newest first
+    state.queue = links.filter(link => isListedInRange(link, from, to)).reverse();
+    state.listingComplete = complete;
+    await saveBackfillState(state);
+    logger.info(`Backfill ${from}..${to}: ${state.queue.length} candidate reports from ${links.length} listed`);
+    if (!complete) {
+      logger.warn('The listing was not read back to the start date; raise BACKFILL_MAX_PAGES to reach older reports.');
+    }
+  } else {
+    logger.info(`Resuming backfill ${from}..${to} started at ${state.startedAt}`);
+  }
+
+  const finalOutcomes = notify ? FINAL_NOTIFY_OUTCOMES : FINAL_OUTCOMES;
+  for (const [index, link] of state.queue.entries()) {
+    const previous = state.results[link.url];
+    if (previous && finalOutcomes.includes(previous.outcome)) continue;
+
+    logger.info(`[Backfill ${index + 1}/${state.queue.length}] ${link.title}`);
+    let result;
+    try {
+      result = await backfillReport(page, link, { from, to, notify });
+    } catch (error) {
+      logger.error(`Backfill failed for ${link.url}: ${error.message}`, { stack: error.stack });
+      result = { outcome: 'failed', error: error.message };
+    }
+    state.results[link.url] = { ...result, at: new Date().toISOString() };
+    await saveBackfillState(state);
+  }
+
+  const counts = { total: state.queue.length, listingComplete: state.listingComplete };
+  for (const outcome of [...FINAL_OUTCOMES, 'failed']) {
+    counts[outcome] = state.queue.filter(link => (state.results[link.url] || {}).outcome === outcome).length;
+  }
+  logger.info(`Backfill ${from}..${to} finished: ${JSON.stringify(counts)}`);
+  return counts;
+}
+
+module.exports = {
+  runBackfill
+};
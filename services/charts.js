@@ -0,0 +1,120 @@
+const { setupPage } = require('../browser/browser');
+const { loadConfigFromEnv } = require('../config/config');
+const logger = require('../utils/logger');
+
+// Load configuration
+const appConfig = loadConfigFromEnv();
+const CHART_CONFIG = appConfig.CHART_CONFIG;
+
+// Attribute used to find the selected elements again from outside the page
+const CHART_ATTRIBUTE = 'data-kaia-chart';
+
+// Scrolls through the page so lazy-loaded images start loading, then waits for them
+async function loadLazyImages(page) {
+  await page.evaluate(async () => {
+    for (let y = 0; y < document.body.scrollHeight; y += window.innerHeight) {
+      window.scrollTo(0, y);
+      await new Promise(resolve => setTimeout(resolve, 150));
+    }
+    window.scrollTo(0, 0);
+  });
+  await page.evaluate(timeoutMs => Promise.race([
+    Promise.all(Array.from(document.images)
+      .filter(image => !image.complete)
+      .map(image => new Promise(resolve => {
+        image.addEventListener('load', resolve, { once: true });
+        image.addEventListener('error', resolve, { once: true });
+      }))),
+    new Promise(resolve => setTimeout(resolve, timeoutMs))
+  ]), CHART_CONFIG.imageTimeoutMs);
+}
+
+/**
+ * Marks the largest visual elements (images, SVGs, canvases) in the report content as charts.
+ * The biggest `maxCharts` elements are picked and returned in reading order.
+ * @param {object} page - Page showing the report, with images loaded.
+ * @returns {Promise<Array<{index: number, caption: string, width: number, height: number}>>}
+ */
+function selectCharts(page) {
+  return page.evaluate((attribute, settings) => {
+    const root = document.querySelector('.delphi-report-content') || document.body;
+    const targets = new Map();
+    for (const element of root.querySelectorAll('img, svg, canvas')) {
+      // Icons inside charts are part of their parent SVG
+      if (element.tagName.toLowerCase() === 'svg' && element.parentElement.closest('svg')) continue;
+      // A figure is captured whole so its title and caption are in the image
+      const target = element.closest('figure') || element;
+      if (targets.has(target)) continue;
+
+      const rect = target.getBoundingClientRect();
+      const style = window.getComputedStyle(target);
+      if (rect.width < settings.minWidth || rect.height < settings.minHeight) continue;
+      if (style.visibility === 'hidden' || style.display === 'none') continue;
+      if (element.tagName.toLowerCase() === 'img' && !element.naturalWidth) continue;
+
+      const figcaption = target.tagName.toLowerCase() === 'figure' ? target.querySelector('figcaption') : null;
+      const caption = (figcaption && figcaption.innerText) || element.getAttribute('alt') ||
+        element.getAttribute('aria-label') || element.getAttribute('title') || '';
+      targets.set(target, {
+        caption: caption.trim().substring(0, 200),
+        width: Math.round(rect.width),
+        height: Math.round(rect.height),
+        top: rect.top + window.scrollY
+      });
+    }
+
+    return Array.from(targets.entries())
+      .sort(([, a], [, b]) => b.width * b.height - a.width * a.height)
+      .slice(0, settings.maxCharts)
+      .sort(([, a], [, b]) => a.top - b.top)
+      .map(([target, info], index) => {
+        target.setAttribute(attribute, String(index));
+        return { index, caption: info.caption, width: info.width, height: info.height };
+      });
+  }, CHART_ATTRIBUTE, CHART_CONFIG);
+}
+
+/**
+ * Renders a report page with images and screenshots its key charts.
+ * Uses a separate page so the text scrape keeps blocking images. Returns an empty list
+ * when chart capture is disabled or fails.
+ * @param {object} browser - Logged-in browser.
+ * @param {string} url - Report URL.
+ * @returns {Promise<Array<{fileName: string, caption: string, image: Buffer}>>} PNG screenshots in reading order.
+ */
+async function captureCharts(browser, url) {
+  if (!CHART_CONFIG.enabled) return [];
+
+  let page = null;
+  try {
+    page = await setupPage(browser, { allowImages: true });
+    await page.setViewport({ width: CHART_CONFIG.viewportWidth, height: 1000, deviceScaleFactor: 2 });
+    await page.goto(url, { waitUntil: 'networkidle2', timeout: 90000 });
+    await loadLazyImages(page);
+
+    const charts = [];
+    for (const chart of await selectCharts(page)) {
+      const element = await page.$(`[${CHART_ATTRIBUTE}="${chart.index}"]`);
+      if (!element) continue;
+      try {
+        const image = Buffer.from(await element.screenshot({ type: 'png' }));
+        charts.push({ fileName: `chart-${chart.index + 1}.png`, caption: chart.caption, image });
+      } catch (error) {
+        logger.warn(`Failed to screenshot chart ${chart.index + 1} on ${url}: ${error.message}`);
+      }
+    }
+    logger.info(`Captured ${charts.length} charts from ${url}`);
+    return charts;
+  } catch (error) {
+    logger.warn(`Chart capture failed for ${url}: ${error.message}`);
+    return [];
+  } finally {
+    if (page) {
+      await page.close().catch(() => {});
+    }
+  }
+}
+
+module.exports = {
+  captureCharts
+};
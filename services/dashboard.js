@@ -0,0 +1,278 @@
+const express = require('express');
+const { loadReports, getReportId, REPORT_STATUS } = require('../utils/report-store');
+const { resummarizeReport, repostReport, markReportSkipped } = require('./report-actions');
+const { safeEqual } = require('../utils/safe-compare');
+const { loadConfigFromEnv } = require('../config/config');
+const logger = require('../utils/logger');
+
+// Load configuration
+const appConfig = loadConfigFromEnv();
+const DASHBOARD_CONFIG = appConfig.DASHBOARD_CONFIG;
+const API_CONFIG = appConfig.API_CONFIG;
+
+const ACTIONS = {
+  resummarize: { label: 'Re-summarize', run: resummarizeReport },
+  repost: { label: 'Re-post', run: repostReport },
+  skip: { label: 'Mark as skipped', run: markReportSkipped }
+};
+
+const STATUS_COLORS = {
+  [REPORT_STATUS.FETCHED]: '#6b7280',
+  [REPORT_STATUS.SUMMARIZED]: '#2563eb',
+  [REPORT_STATUS.POSTED]: '#16a34a',
+  [REPORT_STATUS.FAILED]: '#dc2626',
+  [REPORT_STATUS.SKIPPED]: '#a16207'
+};
+
+const STYLE = `
+  body { font-family: -apple-system, Segoe UI, Helvetica, Arial, sans-serif; margin: 24px auto; max-width: 1200px; color: #111827; padding: 0 16px; }
+  a { color: #1d4ed8; text-decoration: none; } a:hover { text-decoration: underline; }
+  table { border-collapse: collapse; width: 100%; font-size: 14px; }
+  th, td { text-align: left; padding: 8px; border-bottom: 1px solid #e5e7eb; vertical-align: top; }
+  th { background: #f9fafb; }
+  .badge { display: inline-block; padding: 2px 8px; border-radius: 10px; color: #fff; font-size: 12px; }
+  .muted { color: #6b7280; font-size: 13px; }
+  .error { color: #dc2626; }
+  .notice { padding: 10px 14px; border-radius: 6px; margin-bottom: 16px; }
+  .notice.ok { background: #dcfce7; } .notice.failed { background: #fee2e2; }
+  nav a { margin-right: 12px; } nav a.active { font-weight: bold; }
+  form.inline { display: inline; } button { margin-right: 8px; cursor: pointer; }
+  pre { white-space: pre-wrap; background: #f9fafb; padding: 12px; max-height: 480px; overflow: auto; }
+`;
+
+function escapeHtml(text) {
+  return String(text ?? '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+function page(title, content) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head><meta charset="utf-8"><title>${escapeHtml(title)}</title><style>${STYLE}</style></head>
+<body>
+<h1><a href="/dashboard">Delphi reports</a></h1>
+${content}
+</body>
+</html>`;
+}
+
+function statusBadge(status) {
+  return `<span class="badge" style="background: ${STATUS_COLORS[status] || '#6b7280'}">${escapeHtml(status || 'unknown')}</span>`;
+}
+
+function formatTime(value) {
+  const date = new Date(value);
+  return value && !isNaN(date) ? date.toISOString().replace('T', ' ').substring(0, 16) : escapeHtml(value || '');
+}
+
+// ✓/✗ per notifier from the last delivery attempt
+function formatNotifications(report) {
+  return Object.entries(report.notifications || {})
+    .map(([name, result]) => `<span title="${escapeHtml(result.error || result.deliveredAt || '')}">${result.delivered ? '✓' : '✗'} ${escapeHtml(name)}</span>`)
+    .join('<br>');
+}
+
+function getSortDate(report) {
+  return new Date(report.lastChecked || report.scrapedAt || 0);
+}
+
+// Builds a dashboard URL, keeping only the query parameters that are set
+function dashboardUrl(params) {
+  const query = new URLSearchParams(Object.entries(params).filter(([, value]) => value));
+  return `/dashboard${query.toString() ? `?${query}` : ''}`;
+}
+
+function renderNotice(query) {
+  if (!query.notice) return '';
+  return `<div class="notice ${query.ok === '1' ? 'ok' : 'failed'}">${escapeHtml(query.notice)}</div>`;
+}
+
+/**
+ * GET /dashboard?status=&q=&page= - processed reports, most recently checked first.
+ */
+async function listReports(req, res) {
+  const status = req.query.status || '';
+  const query = (req.query.q || '').trim().toLowerCase();
+  const pageNumber = Math.max(parseInt(req.query.page, 10) || 1, 1);
+
+  const reports = (await loadReports()).sort((a, b) => getSortDate(b) - getSortDate(a));
+  const counts = {};
+  for (const report of reports) {
+    counts[report.status] = (counts[report.status] || 0) + 1;
+  }
+
+  const matches = reports.filter(report =>
+    (!status || report.status === status) &&
+    (!query || `${report.title} ${report.url}`.toLowerCase().includes(query)));
+  const pageCount = Math.max(Math.ceil(matches.length / DASHBOARD_CONFIG.pageSize), 1);
+  const visible = matches.slice((pageNumber - 1) * DASHBOARD_CONFIG.pageSize, pageNumber * DASHBOARD_CONFIG.pageSize);
+
+  const nav = [['', `All (${reports.length})`], ...Object.values(REPORT_STATUS).map(value => [value, `${value} (${counts[value] || 0})`])]
+    .map(([value, label]) => `<a href="${escapeHtml(dashboardUrl({ status: value, q: req.query.q }))}" class="${value === status ? 'active' : ''}">${escapeHtml(label)}</a>`)
+    .join('');
+
+  const rows = visible.map(report => {
+    const summary = report.structuredSummary;
+    const detail = report.status === REPORT_STATUS.FAILED && report.error
+      ? `<span class="error">${escapeHtml(report.error)}</span>`
+      : escapeHtml(summary && !summary.degraded ? summary.headline : (report.summary || '').substring(0, 200));
+    return `<tr>
+      <td class="muted">${formatTime(report.lastChecked)}</td>
+      <td><a href="/dashboard/reports/${getReportId(report.url)}">${escapeHtml(report.title)}</a><br><span class="muted">${escapeHtml(report.publicationDate || '')}</span></td>
+      <td>${statusBadge(report.status)}</td>
+      <td>${detail}</td>
+      <td class="muted">${formatNotifications(report)}</td>
+    </tr>`;
+  }).join('\n');
+
+  const pager = pageCount > 1
+    ? `<p>${pageNumber > 1 ? `<a href="${escapeHtml(dashboardUrl({ status, q: req.query.q, page: pageNumber - 1 }))}">← Newer</a> ` : ''}` +
+      `Page ${pageNumber} of ${pageCount}` +
+      `${pageNumber < pageCount ? ` <a href="${escapeHtml(dashboardUrl({ status, q: req.query.q, page: pageNumber + 1 }))}">Older →</a>` : ''}</p>`
+    : '';
+
+  res.send(page('Delphi reports', `
+${renderNotice(req.query)}
+<nav>${nav}</nav>
+<form method="get" action="/dashboard" style="margin: 16px 0;">
+  <input type="hidden" name="status" value="${escapeHtml(status)}">
+  <input type="search" name="q" value="${escapeHtml(req.query.q || '')}" placeholder="Filter by title or URL" size="40">
+  <button type="submit">Filter</button>
+</form>
+<table>
+  <tr><th>Last checked</th><th>Report</th><th>Status</th><th>Summary / error</th><th>Notifications</th></tr>
+  ${rows || '<tr><td colspan="5" class="muted">No reports.</td></tr>'}
+</table>
+${pager}`));
+}
+
+function renderStructuredSummary(summary) {
+  if (!summary) return '<p class="muted">No structured summary.</p>';
+  if (summary.degraded) return '<p class="muted">Degraded summary: the AI output could not be parsed, only the plain text below is available.</p>';
+
+  const list = items => `<ul>${items.map(item => `<li>${escapeHtml(item)}</li>`).join('')}</ul>`;
+  return `${summary.partial ? `
+<p class="muted">Partial summary: only ${summary.partial.summarizedChunks} of ${summary.partial.totalChunks} parts of the report were summarized.</p>` : ''}
+<p><strong>${escapeHtml(summary.headline)}</strong></p>
+<p>${escapeHtml(summary.summary)}</p>
+<p><strong>Relevance to Kaia${summary.relevanceScore ? ` (${summary.relevanceScore}/5)` : ''}:</strong> ${escapeHtml(summary.relevance)}</p>
+<p class="muted">Sectors: ${escapeHtml(summary.sectors.join(', ') || 'none')} · Sentiment: ${escapeHtml(summary.sentiment || 'n/a')}
+  · Tokens: ${escapeHtml((summary.tokens || []).join(', ') || 'none')} · Protocols: ${escapeHtml((summary.protocols || []).join(', ') || 'none')}</p>
+${summary.keyTakeaways.length > 0 ? `<h3>Key takeaways</h3>${list(summary.keyTakeaways)}` : ''}
+${(summary.sections || []).map(section => `<h3>${escapeHtml(section.heading)}</h3>${list(section.points)}`).join('')}
+${(summary.notableNumbers || []).length > 0 ? `<h3>Notable numbers</h3>${list(summary.notableNumbers)}` : ''}`;
+}
+
+/**
+ * GET /dashboard/reports/:id - one report with its summary, delivery results and actions.
+ */
+async function showReport(req, res) {
+  const report = (await loadReports()).find(candidate => getReportId(candidate.url) === req.params.id);
+  if (!report) {
+    return res.status(404).send(page('Report not found', '<p>Report not found.</p>'));
+  }
+
+  const actions = Object.entries(ACTIONS).map(([name, action]) =>
+    `<form class="inline" method="post" action="/dashboard/reports/${req.params.id}/${name}"><button type="submit">${escapeHtml(action.label)}</button></form>`).join('');
+
+  const facts = [
+    ['URL', `<a href="${escapeHtml(report.url)}">${escapeHtml(report.url)}</a>`],
+    ['Status', statusBadge(report.status)],
+    ['Error', report.error ? `<span class="error">${escapeHtml(report.error)}</span>` : ''],
+    ['Published', escapeHtml(report.publicationDate || '')],
+    ['Category', escapeHtml(report.category || '')],
+    ['First seen', formatTime(report.scrapedAt)],
+    ['Last checked', formatTime(report.lastChecked)],
+    ['Notifications', formatNotifications(report)],
+    ['Slack posts', (report.slackPosts || []).map(post => `${escapeHtml(post.channel)} · ts ${escapeHtml(post.ts)}`).join('<br>') || escapeHtml(report.slackTs || '')]
+  ].filter(([, value]) => value);
+
+  const related = report.relatedReports && report.relatedReports.length > 0
+    ? `<h2>Related past reports</h2><ul>${report.relatedReports.map(item =>
+      `<li><a href="/dashboard/reports/${getReportId(item.url)}">${escapeHtml(item.title)}</a></li>`).join('')}</ul>`
+    : '';
+
+  res.send(page(report.title, `
+${renderNotice(req.query)}
+<h2>${escapeHtml(report.title)}</h2>
+<table>${facts.map(([label, value]) => `<tr><th>${label}</th><td>${value}</td></tr>`).join('')}</table>
+<p>${actions}</p>
+<h2>Summary</h2>
+${renderStructuredSummary(report.structuredSummary)}
+<details><summary>Plain-text summary</summary><pre>${escapeHtml(report.summary || '')}</pre></details>
+${related}
+<details><summary>Report content (${(report.body || '').length} characters)</summary><pre>${escapeHtml(report.body || '')}</pre></details>`));
+}
+
+/**
+ * POST /dashboard/reports/:id/:action - runs an action and redirects back to the report with its outcome.
+ */
+async function runAction(req, res) {
+  const action = ACTIONS[req.params.action];
+  const report = (await loadReports()).find(candidate => getReportId(candidate.url) === req.params.id);
+  if (!action || !report) {
+    return res.status(404).send(page('Not found', '<p>Not found.</p>'));
+  }
+
+  logger.info(`[Dashboard] ${action.label}: "${report.title}"`);
+  const result = await action.run(report.url);
+  res.redirect(303, `/dashboard/reports/${req.params.id}?${new URLSearchParams({ ok: result.ok ? '1' : '0', notice: result.message })}`);
+}
+
+// Wraps an async handler so failures answer with a 500 instead of an unhandled rejection
+function handle(handler) {
+  return async (req, res) => {
+    try {
+      await handler(req, res);
+    } catch (error) {
+      logger.error(`[Dashboard] ${req.method} ${req.originalUrl} failed: ${error.message}`, { stack: error.stack });
+      res.status(500).send(page('Error', '<p class="error">Something went wrong. Check the logs for details.</p>'));
+    }
+  };
+}
+
+// HTTP basic auth with the dashboard password; any user name is accepted
+function requirePassword(password) {
+  return (req, res, next) => {
+    const [scheme, encoded] = (req.get('Authorization') || '').split(' ');
+    const supplied = scheme === 'Basic' && encoded ? Buffer.from(encoded, 'base64').toString('utf8').split(':').slice(1).join(':') : null;
+    if (safeEqual(supplied, password)) {
+      return next();
+    }
+    res.set('WWW-Authenticate', 'Basic realm="Delphi dashboard"').status(401).send('Authentication required');
+  };
+}
+
+// Browsers send basic auth credentials with cross-site form posts too, so actions must come from our own pages
+function requireSameOrigin(req, res, next) {
+  const origin = req.get('Origin') || req.get('Referer');
+  try {
+    if (origin && new URL(origin).host === req.get('Host')) {
+      return next();
+    }
+  } catch (error) {
+    // Malformed header, rejected below
+  }
+  res.status(403).send('Cross-site requests are not allowed');
+}
+
+/**
+ * Builds the dashboard router, always behind HTTP basic auth: DASHBOARD_PASSWORD, or API_TOKEN
+ * when that is not set. The dashboard shows full report bodies, so it is never served without one.
+ * @param {object} [options]
+ * @param {string} [options.password] - Basic auth password.
+ * @returns {express.Router|null} Null when there is no password to protect it with.
+ */
+function createDashboardRouter({ password = DASHBOARD_CONFIG.password || API_CONFIG.token } = {}) {
+  if (!password) return null;
+
+  const router = express.Router();
+  router.use(requirePassword(password));
+  router.post('/reports/:id/:action', requireSameOrigin, handle(runAction));
+  router.get('/', handle(listReports));
+  router.get('/reports/:id', handle(showReport));
+  return router;
+}
+
+module.exports = {
+  createDashboardRouter
+};
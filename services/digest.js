@@ -1,103 +1,115 @@
 const fs = require('fs').promises;
 const path = require('path');
 const { config, loadConfigFromEnv } = require('../config/config');
-const { initializeSlack, sendSlackMessage } = require('./slack');
-const { ensureJsonFileExists } = require('../utils/file-utils');
+const { initializeNotifiers, getNotifiers, getDigestTargets, notifyDigest } = require('./notifier');
+const { getProvider, generateDigestOverview } = require('./ai');
+const { loadReports, REPORT_STATUS } = require('../utils/report-store');
+const { digestHistory } = require('../utils/history-store');
 const logger = require('../utils/logger');
+const { getTempPath } = require('../utils/file-utils');
 
 // Load configuration
 const appConfig = loadConfigFromEnv();
 appConfig.SLACK_CONFIG = appConfig.SLACK_CONFIG || {};
-const slackInitialized = initializeSlack(appConfig.SLACK_TOKEN, appConfig.SLACK_CONFIG.channelId, appConfig.SLACK_CONFIG.historyFile);
-const VISITED_LINKS_PATH = path.resolve(process.cwd(), appConfig.VISITED_LINKS_FILE || 'data/visited_links.json');
 const DIGEST_STATE_PATH = path.resolve(process.cwd(), appConfig.SLACK_CONFIG.digestStateFile || 'data/digest_state.json');
-const DIGEST_HOURS = appConfig.SLACK_CONFIG.digestLookbackHours || 24;
+const DIGEST_CONFIG = appConfig.DIGEST_CONFIG || { mustReadCount: 0, cadences: { daily: { lookbackHours: 24 } } };
+const CADENCES = Object.keys(DIGEST_CONFIG.cadences);
+
+// Writes are chained so digests of different cadences never overwrite each other's state
+let stateWriteQueue = Promise.resolve();
 
 /**
- * Loads reports from the JSON file.
+ * Resolves the settings for a digest cadence.
+ * The daily lookback can still be overridden with the older SLACK_CONFIG.digestLookbackHours.
  */
-async function loadReports(filePath) {
-    await ensureJsonFileExists(filePath, []);
-    
-    try {
-        const data = await fs.readFile(filePath, 'utf8');
-        const reports = JSON.parse(data);
-        if (!Array.isArray(reports)) {
-            logger.warn(`'${filePath}' does not contain a valid JSON array. Returning empty list.`);
-            return [];
-        }
-        return reports;
-    } catch (error) {
-        if (error.code === 'ENOENT') {
-            logger.warn(`'${filePath}' not found. No reports to process for digest.`);
-        } else if (error instanceof SyntaxError) {
-            logger.error(`Error decoding JSON from '${filePath}': ${error.message}`);
-        } else {
-            logger.error(`An unexpected error occurred loading reports from ${filePath}: ${error.message}`, { stack: error.stack });
-        }
-        return [];
+function getCadenceSettings(cadence) {
+    const settings = DIGEST_CONFIG.cadences[cadence];
+    if (!settings) {
+        return null;
     }
+    const lookbackHours = (cadence === 'daily' && appConfig.SLACK_CONFIG.digestLookbackHours) || settings.lookbackHours || 24;
+    return { cadence, lookbackHours, groupBy: settings.groupBy || 'none' };
 }
 
 /**
- * Loads the timestamp of the last successfully sent digest.
+ * Loads the digest state file. Per cadence it holds the last time any notifier delivered a digest
+ * and, per notifier, the time up to which its digests were delivered plus its last attempt.
  */
-async function loadLastDigestTime() {
+async function loadDigestState() {
     try {
         const data = await fs.readFile(DIGEST_STATE_PATH, 'utf8');
-        const state = JSON.parse(data);
-        if (state && state.lastDigestSentAt) {
-            const lastTime = new Date(state.lastDigestSentAt);
-            if (!isNaN(lastTime)) {
-                logger.debug(`Loaded last digest time: ${lastTime.toISOString()}`);
-                return lastTime;
-            }
+        const state = JSON.parse(data) || {};
+        const cadences = state.cadences && typeof state.cadences === 'object' ? state.cadences : {};
+        // Older state files only tracked the single (daily) digest
+        if (!cadences.daily && state.lastDigestSentAt) {
+            cadences.daily = { lastDigestSentAt: state.lastDigestSentAt };
         }
-        logger.warn('No valid last digest timestamp found in state file.');
-        return null;
+        return { cadences };
     } catch (error) {
         if (error.code === 'ENOENT') {
             logger.info(`'${DIGEST_STATE_PATH}' not found. Assuming first run for digest.`);
         } else if (error instanceof SyntaxError) {
             logger.error(`Error decoding JSON from '${DIGEST_STATE_PATH}': ${error.message}`);
         } else {
-            logger.error(`Error loading last digest time from ${DIGEST_STATE_PATH}: ${error.message}`, { stack: error.stack });
+            logger.error(`Error loading digest state from ${DIGEST_STATE_PATH}: ${error.message}`, { stack: error.stack });
         }
-        return null;
+        return { cadences: {} };
     }
 }
 
 /**
- * Saves the timestamp of the current successful digest.
+ * Returns where a notifier's next digest window starts: when its last digest was delivered,
+ * else when any notifier last delivered this cadence, else the start of the lookback window.
  */
-async function saveLastDigestTime(timestamp) {
-    try {
-        const state = { lastDigestSentAt: timestamp.toISOString() };
-        await fs.mkdir(path.dirname(DIGEST_STATE_PATH), { recursive: true });
-        await fs.writeFile(DIGEST_STATE_PATH, JSON.stringify(state, null, 2), 'utf8');
-        logger.debug(`Saved current digest time: ${state.lastDigestSentAt}`);
-    } catch (error) {
-        logger.error(`Error saving last digest time to ${DIGEST_STATE_PATH}: ${error.message}`, { stack: error.stack });
+function getWindowStart(entry, notifierName, lookbackHours) {
+    const notifierState = entry.notifiers && entry.notifiers[notifierName];
+    for (const value of [notifierState && notifierState.deliveredUntil, entry.lastDigestSentAt]) {
+        const date = value ? new Date(value) : null;
+        if (date && !isNaN(date)) return date;
     }
+    return new Date(Date.now() - lookbackHours * 60 * 60 * 1000);
 }
 
 /**
- * Filters reports last checked within the specified time window.
+ * Applies an update to a cadence's entry in the digest state file.
  */
-function filterRecentReports(reports, lastDigestTime, hoursAgo) {
-    const now = new Date();
-    const timeThreshold = lastDigestTime || new Date(now.getTime() - hoursAgo * 60 * 60 * 1000);
-
-    const recentReports = reports.filter(report => {
-        if (!report.lastChecked) return false;
+function updateDigestState(cadence, update) {
+    const operation = stateWriteQueue.then(async () => {
         try {
-            const lastChecked = new Date(report.lastChecked);
-            return lastChecked > timeThreshold && report.title && report.url;
+            const state = await loadDigestState();
+            state.cadences[cadence] = state.cadences[cadence] || {};
+            update(state.cadences[cadence]);
+            const tmpPath = getTempPath(DIGEST_STATE_PATH);
+            await fs.mkdir(path.dirname(DIGEST_STATE_PATH), { recursive: true });
+            await fs.writeFile(tmpPath, JSON.stringify(state, null, 2), 'utf8');
+            await fs.rename(tmpPath, DIGEST_STATE_PATH);
+            logger.debug(`Saved ${cadence} digest state`);
         } catch (error) {
-            logger.error(`Error parsing lastChecked date for report: ${report.url || 'unknown'}`, error);
-            return false;
+            logger.error(`Error saving digest state to ${DIGEST_STATE_PATH}: ${error.message}`, { stack: error.stack });
         }
     });
+    stateWriteQueue = operation;
+    return operation;
+}
+
+/**
+ * Filters summarized reports first summarized within the specified time window.
+ * Skipped, failed and backfilled reports are left out. The window is keyed on `summarizedAt` (falling back to
+ * `scrapedAt` for older records), not `lastChecked`, which moves whenever a report is re-posted,
+ * re-summarized or skipped. `windowEnd` closes the window, so a report summarized while the digest is
+ * being built falls into the next one instead of neither.
+ */
+function filterRecentReports(reports, lastDigestTime, hoursAgo, windowEnd = new Date()) {
+    const timeThreshold = lastDigestTime || new Date(windowEnd.getTime() - hoursAgo * 60 * 60 * 1000);
+
+    const recentReports = reports.filter(report => {
+        if ([REPORT_STATUS.SKIPPED, REPORT_STATUS.FAILED].includes(report.status)) return false;
+        // Backfilled reports are older research archived in bulk, not news for a digest
+        if (report.backfilled) return false;
+        const summarizedAt = new Date(report.summarizedAt || report.scrapedAt);
+        if (isNaN(summarizedAt)) return false;
+        return summarizedAt > timeThreshold && summarizedAt <= windowEnd && report.title && report.url && report.summary;
+    });
 
     // Sort by publication date (descending)
     recentReports.sort((a, b) => {
@@ -109,146 +121,230 @@ function filterRecentReports(reports, lastDigestTime, hoursAgo) {
     return recentReports;
 }
 
+const CADENCE_LABELS = { daily: 'Daily', weekly: 'Weekly', monthly: 'Monthly' };
+
+// "approx. last 24 hours" reads fine for a day, days read better beyond that
+function formatLookback(hours) {
+    return hours <= 48 ? `${hours} hours` : `${Math.round(hours / 24)} days`;
+}
+
+function getRelevanceScore(report) {
+    const score = report.structuredSummary && report.structuredSummary.relevanceScore;
+    return typeof score === 'number' ? score : null;
+}
+
 /**
- * Formats the list of reports into Slack message blocks.
+ * Picks the most Kaia-relevant reports, highest relevance score first, newest first on ties.
+ * Reports without a score (legacy or degraded summaries) are never picked.
  */
-function formatDigestMessage(reports, lookbackHours) {
-    if (!reports || reports.length === 0) {
-        return null;
-    }
+function selectMustReads(reports, count) {
+    if (!count || count <= 0) return [];
+    return reports
+        .filter(report => getRelevanceScore(report) !== null)
+        .sort((a, b) => getRelevanceScore(b) - getRelevanceScore(a) ||
+            new Date(b.publicationDate || 0) - new Date(a.publicationDate || 0))
+        .slice(0, count);
+}
 
-    const today = new Date();
-    const todayStr = today.toLocaleDateString('en-US', { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' });
-
-    let messageBlocks = [
-        {
-            "type": "header",
-            "text": {
-                "type": "plain_text",
-                "text": `📰 Delphi Digital Report Digest - ${todayStr}`,
-                "emoji": true
-            }
-        },
-        {
-            "type": "section",
-            "text": {
-                "type": "mrkdwn",
-                "text": `Here are summaries for the ${reports.length === 1 ? 'report' : `${reports.length} reports`} processed since the last digest (approx. last ${lookbackHours} hours):`
-            }
-        },
-        {"type": "divider"}
-    ];
+/**
+ * Groups reports by their primary sector tag or by the Delphi category, largest group first.
+ * Reports without one land in "Other", which is always listed last.
+ */
+function groupReports(reports, groupBy) {
+    if (groupBy !== 'sector' && groupBy !== 'category') {
+        return [{ name: null, reports }];
+    }
 
+    const groups = new Map();
     for (const report of reports) {
-        let summaryText = report.summary || 'No summary available.';
-        const maxLen = 2900;
-        if (summaryText.length > maxLen) {
-            summaryText = summaryText.substring(0, maxLen) + "... *(truncated)*";
-        }
-
-        let pubDateStr = "Unknown date";
-        if (report.publicationDate) {
-            try {
-                const pubDateDt = new Date(report.publicationDate);
-                if (!isNaN(pubDateDt)) {
-                    pubDateStr = pubDateDt.toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' });
-                }
-            } catch (e) {
-                logger.warn(`Could not parse publicationDate '${report.publicationDate}' for report ${report.url}`);
-                pubDateStr = report.publicationDate;
-            }
-        }
-
-        messageBlocks.push(
-            {
-                "type": "section",
-                "text": {
-                    "type": "mrkdwn",
-                    "text": `📝 *<${report.url || '#'}|${report.title || 'Untitled Report'}>* \n*Published:* ${pubDateStr}`
-                }
-            },
-            {
-                "type": "section",
-                "text": {
-                    "type": "mrkdwn",
-                    "text": `${summaryText}`
-                }
-            },
-            {"type": "divider"}
-        );
-    }
-
-    if (messageBlocks.length > 50) {
-        logger.warn(`Digest generated ${messageBlocks.length} blocks, truncating to 50.`);
-        messageBlocks = messageBlocks.slice(0, 49);
-        messageBlocks.push({
-            "type": "section",
-            "text": {
-                "type": "mrkdwn",
-                "text": "*... Message truncated due to Slack block limit.*"
-            }
-        });
+        const sectors = (report.structuredSummary && report.structuredSummary.sectors) || [];
+        const name = (groupBy === 'sector' ? sectors[0] || report.category : report.category || sectors[0]) || 'Other';
+        // Models are not consistent about casing, e.g. "DeFi" vs "Defi"
+        const key = name.toLowerCase();
+        if (!groups.has(key)) groups.set(key, { name, reports: [] });
+        groups.get(key).reports.push(report);
     }
 
-    return messageBlocks;
+    return [...groups.values()].sort((a, b) => {
+        if (a.name === 'Other') return 1;
+        if (b.name === 'Other') return -1;
+        return b.reports.length - a.reports.length || a.name.localeCompare(b.name);
+    });
 }
 
 /**
- * Sends the digest message to Slack.
+ * Generates the executive overview for a digest, or null when it is disabled or the AI provider is unavailable.
  */
-async function sendDigest(blocks) {
-    if (!slackInitialized) {
-        logger.error('Slack is not initialized. Cannot send digest.');
-        return false;
+async function buildOverview(reports) {
+    const overviewConfig = DIGEST_CONFIG.overview || {};
+    if (!overviewConfig.enabled) {
+        return null;
     }
-    if (!blocks) {
-        logger.info('No new reports found for digest.');
-        return true;
+    if (!getProvider()) {
+        logger.warn('AI provider not initialized. Sending the digest without an executive overview.');
+        return null;
     }
+    logger.info(`Generating executive overview across ${reports.length} reports...`);
+    return generateDigestOverview(reports, overviewConfig);
+}
 
-    const digestSummaryText = `Delphi Digital Report Digest - ${new Date().toLocaleDateString()}`;
+/**
+ * Builds the digest that every notifier formats for its destination.
+ * Overview references [n] point into `reports`.
+ */
+function buildDigest(reports, settings, overview = null) {
+    const todayStr = new Date().toLocaleDateString('en-US', { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' });
+    const label = CADENCE_LABELS[settings.cadence] || 'Report';
 
-    try {
-        const messageTs = await sendSlackMessage(digestSummaryText, blocks);
-        if (messageTs) {
-            logger.info('Digest sent successfully to Slack.');
-            await saveLastDigestTime(new Date());
-            return true;
-        }
-        logger.error('Failed to send digest message to Slack.');
-        return false;
-    } catch (error) {
-        logger.error(`Failed to send digest message to Slack: ${error.message}`, { stack: error.stack });
-        return false;
+    // A must-read list only helps when it is shorter than the digest itself
+    const mustReads = reports.length > DIGEST_CONFIG.mustReadCount
+        ? selectMustReads(reports, DIGEST_CONFIG.mustReadCount)
+        : [];
+
+    return {
+        cadence: settings.cadence,
+        title: `Delphi Digital ${label} Digest - ${todayStr}`,
+        intro: `Here are summaries for the ${reports.length === 1 ? 'report' : `${reports.length} reports`} processed since the last ${settings.cadence} digest (approx. last ${formatLookback(settings.lookbackHours)}):`,
+        overview,
+        reports,
+        mustReads,
+        groups: groupReports(reports, settings.groupBy)
+    };
+}
+
+/**
+ * Sends a digest through one notifier and records the attempt. The notifier's window only advances
+ * when the whole digest (every part) was delivered, so an incomplete digest is sent again on the next run.
+ * It advances to `windowEnd`, the time the reports were loaded, not to the end of the send.
+ * Returns the recorded attempt.
+ */
+async function sendDigest(notifier, digest, windowStart, windowEnd) {
+    const attemptedAt = new Date().toISOString();
+    const result = await notifyDigest(notifier, digest);
+    const lastAttempt = {
+        attemptedAt,
+        delivered: result.delivered,
+        totalParts: result.totalParts || null,
+        parts: result.parts || [],
+        error: result.error || null
+    };
+
+    if (result.delivered) {
+        logger.info(`${notifier.name}: ${digest.cadence} digest sent${result.totalParts > 1 ? ` in ${result.totalParts} parts` : ''}.`);
+    } else {
+        const posted = (result.parts || []).filter(part => part.id).length;
+        logger.error(`${notifier.name}: ${digest.cadence} digest not delivered (${posted}/${result.totalParts || '?'} parts posted). Digest state not advanced.`);
     }
+
+    await updateDigestState(digest.cadence, entry => {
+        entry.notifiers = entry.notifiers || {};
+        entry.notifiers[notifier.name] = {
+            deliveredUntil: result.delivered ? windowEnd.toISOString() : windowStart.toISOString(),
+            lastAttempt
+        };
+        if (result.delivered) {
+            entry.lastDigestSentAt = windowEnd.toISOString();
+        }
+    });
+    return lastAttempt;
 }
 
 /**
- * Main function to generate and send the digest.
+ * Main function to generate and send the digest for a cadence (daily, weekly or monthly) through every notifier.
  */
-async function runDigest() {
-    logger.info('Starting Slack digest process...');
+async function runDigest(cadence = 'daily') {
+    const settings = getCadenceSettings(cadence);
+    if (!settings) {
+        logger.error(`Unknown digest cadence '${cadence}'. Expected one of: ${CADENCES.join(', ')}`);
+        return;
+    }
+    logger.info(`Starting ${cadence} digest process...`);
+
+    if (getNotifiers().length === 0 && !initializeNotifiers(appConfig)) {
+        logger.error('No notifiers are configured. Cannot send digest.');
+        return;
+    }
+
+    const targets = getDigestTargets(cadence);
+    if (targets.length === 0) {
+        logger.info(`No notifier or email recipient receives the ${cadence} digest.`);
+        return;
+    }
 
-    const allReports = await loadReports(VISITED_LINKS_PATH);
+    // Taken before loading: reports summarized after this point (e.g. by the full flow while the
+    // overview is written) belong to the next digest
+    const windowEnd = new Date();
+    const allReports = await loadReports();
     if (allReports.length === 0) {
-        logger.info('No reports found in visited links file.');
+        logger.info('No reports found in the report archive.');
         return;
     }
 
-    const lastDigestTime = await loadLastDigestTime();
-    const recentReports = filterRecentReports(allReports, lastDigestTime, DIGEST_HOURS);
+    // Notifiers whose windows start at the same time share one digest and one overview
+    const state = await loadDigestState();
+    const entry = state.cadences[cadence] || {};
+    const batches = new Map();
+    for (const notifier of targets) {
+        const windowStart = getWindowStart(entry, notifier.name, settings.lookbackHours);
+        const key = windowStart.toISOString();
+        if (!batches.has(key)) batches.set(key, { windowStart, notifiers: [] });
+        batches.get(key).notifiers.push(notifier);
+    }
 
-    if (recentReports.length > 0) {
-        logger.info(`Found ${recentReports.length} recent reports to include in the digest.`);
-        const messageBlocks = formatDigestMessage(recentReports, DIGEST_HOURS);
-        await sendDigest(messageBlocks);
-    } else {
-        logger.info('No recent reports found to include in the digest.');
+    for (const { windowStart, notifiers } of batches.values()) {
+        const names = notifiers.map(notifier => notifier.name).join(', ');
+        const recentReports = filterRecentReports(allReports, windowStart, settings.lookbackHours, windowEnd);
+        if (recentReports.length === 0) {
+            logger.info(`No recent reports found to include in the ${cadence} digest for ${names}.`);
+            continue;
+        }
+
+        logger.info(`Found ${recentReports.length} recent reports to include in the ${cadence} digest for ${names}.`);
+        const overview = await buildOverview(recentReports);
+        const digest = buildDigest(recentReports, settings, overview);
+        const deliveries = {};
+        for (const notifier of notifiers) {
+            deliveries[notifier.name] = await sendDigest(notifier, digest, windowStart, windowEnd);
+        }
+
+        await digestHistory.append({
+            cadence,
+            createdAt: new Date().toISOString(),
+            windowStart: windowStart.toISOString(),
+            windowEnd: windowEnd.toISOString(),
+            title: digest.title,
+            overview: digest.overview,
+            reports: digest.reports.map(report => ({ url: report.url, title: report.title })),
+            mustReads: digest.mustReads.map(report => report.url),
+            deliveries
+        });
     }
 
-    logger.info('Slack digest process finished.');
+    logger.info(`${CADENCE_LABELS[cadence] || cadence} digest process finished.`);
+}
+
+/**
+ * Builds the digest for a cadence's lookback window without sending it or advancing the digest state.
+ * The executive overview is opt-in because it adds an LLM call (slash commands must answer within 3 seconds).
+ * Returns null when there is nothing to show or the cadence is unknown.
+ */
+async function buildDigestPreview(cadence = 'daily', { withOverview = false } = {}) {
+    const settings = getCadenceSettings(cadence);
+    if (!settings) {
+        return null;
+    }
+    const allReports = await loadReports();
+    const recentReports = filterRecentReports(allReports, null, settings.lookbackHours);
+    if (recentReports.length === 0) {
+        return null;
+    }
+    const overview = withOverview ? await buildOverview(recentReports) : null;
+    return buildDigest(recentReports, settings, overview);
 }
 
 module.exports = {
-    runDigest
-}; 
\ No newline at end of file
+    CADENCES,
+    runDigest,
+    buildDigestPreview,
+    filterRecentReports
+};
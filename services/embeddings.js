@@ -0,0 +1,220 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+const { loadEmbeddings, saveEmbedding } = require('../utils/embedding-store');
+const { REPORT_STATUS, loadReports } = require('../utils/report-store');
+const { tokenize } = require('../utils/search-index');
+const { hashContent } = require('../utils/summary-cache');
+const logger = require('../utils/logger');
+
+// Active embedding provider and its settings, selected via EMBEDDING_CONFIG.provider
+let provider = null;
+let settings = null;
+
+// Offline fallback: feature-hashed, log-scaled term frequencies. No model download needed,
+// but it only captures shared vocabulary, not meaning.
+function createLocalEmbeddingProvider(options) {
+  const dimensions = options.dimensions;
+  return {
+    name: 'local',
+    model: `hashed-bow-${dimensions}`,
+    async embed(text) {
+      const counts = new Map();
+      for (const term of tokenize(text)) {
+        counts.set(term, (counts.get(term) || 0) + 1);
+      }
+      const vector = new Array(dimensions).fill(0);
+      for (const [term, count] of counts) {
+        const hash = crypto.createHash('md5').update(term).digest();
+        const bucket = hash.readUInt32BE(0) % dimensions;
+        const sign = hash[4] & 1 ? 1 : -1;
+        vector[bucket] += sign * (1 + Math.log(count));
+      }
+      return vector;
+    }
+  };
+}
+
+// Any OpenAI-compatible /embeddings endpoint (OpenAI, Ollama, llama.cpp server, vLLM, ...)
+function createOpenAIEmbeddingProvider(options) {
+  if (!options.baseUrl) {
+    throw new Error('OpenAI-compatible embeddings base URL not configured');
+  }
+  const client = axios.create({
+    baseURL: options.baseUrl.replace(/\/+$/, ''),
+    timeout: options.timeoutMs,
+    headers: options.apiKey ? { Authorization: `Bearer ${options.apiKey}` } : {}
+  });
+  return {
+    name: 'openai',
+    model: options.model,
+    async embed(text) {
+      const response = await client.post('/embeddings', { model: options.model, input: text });
+      const item = response.data && response.data.data && response.data.data[0];
+      if (!item || !Array.isArray(item.embedding)) {
+        throw new Error('Embeddings response did not contain a vector');
+      }
+      return item.embedding;
+    }
+  };
+}
+
+function createGeminiEmbeddingProvider(options) {
+  if (!options.apiKey) {
+    throw new Error('Gemini API key not configured');
+  }
+  const model = new GoogleGenerativeAI(options.apiKey).getGenerativeModel({ model: options.model });
+  return {
+    name: 'gemini',
+    model: options.model,
+    async embed(text) {
+      const result = await model.embedContent(text);
+      return result.embedding.values;
+    }
+  };
+}
+
+const PROVIDERS = {
+  local: createLocalEmbeddingProvider,
+  openai: createOpenAIEmbeddingProvider,
+  gemini: createGeminiEmbeddingProvider
+};
+
+/**
+ * Initializes the embedding provider configured in EMBEDDING_CONFIG.
+ * @param {object} appConfig - Loaded app config.
+ * @returns {boolean} True if embeddings are enabled and ready.
+ */
+function initializeEmbeddings(appConfig) {
+  const embeddingConfig = appConfig.EMBEDDING_CONFIG;
+  if (!embeddingConfig.provider) {
+    logger.info('Embeddings disabled (EMBEDDING_CONFIG.provider is empty).');
+    provider = null;
+    return false;
+  }
+
+  const factory = PROVIDERS[embeddingConfig.provider];
+  try {
+    if (!factory) {
+      throw new Error(`Unknown embedding provider '${embeddingConfig.provider}'. Expected one of: ${Object.keys(PROVIDERS).join(', ')}`);
+    }
+    const apiKeys = { openai: appConfig.OPENAI_API_KEY, gemini: appConfig.GEMINI_API_KEY };
+    settings = { ...embeddingConfig, ...embeddingConfig[embeddingConfig.provider] };
+    provider = factory({
+      timeoutMs: appConfig.AI_CONFIG.timeoutMs,
+      ...embeddingConfig[embeddingConfig.provider],
+      apiKey: apiKeys[embeddingConfig.provider]
+    });
+    logger.info(`Embedding provider initialized: ${provider.name} (${provider.model})`);
+    return true;
+  } catch (error) {
+    provider = null;
+    logger.warn(`Embedding provider not configured: ${error.message}`);
+    return false;
+  }
+}
+
+// Text that represents a report for similarity: title, summary and the start of the body
+function buildEmbeddingText(report) {
+  return [report.title, report.summary, report.body]
+    .filter(Boolean)
+    .join('\n\n')
+    .substring(0, settings.maxInputChars);
+}
+
+// Publication date when it parses, else when the report was first scraped
+function getReportTime(report) {
+  for (const value of [report.publicationDate, report.scrapedAt]) {
+    const date = new Date(value);
+    if (value && !isNaN(date)) return date.getTime();
+  }
+  return null;
+}
+
+function cosineSimilarity(a, b) {
+  if (a.length !== b.length) return 0;
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+/**
+ * Computes and stores the embedding of a report. Unchanged reports are not re-embedded.
+ * @param {object} report - Archived report record.
+ * @returns {Promise<boolean>} True if an up-to-date embedding is stored.
+ */
+async function embedReport(report) {
+  if (!provider || !report || !report.url) return false;
+
+  try {
+    const text = buildEmbeddingText(report);
+    const contentHash = hashContent(text);
+    const existing = (await loadEmbeddings())[report.url];
+    if (existing && existing.model === provider.model && existing.contentHash === contentHash) {
+      return true;
+    }
+
+    const vector = await provider.embed(text);
+    return await saveEmbedding(report.url, { vector, model: provider.model, contentHash });
+  } catch (error) {
+    logger.error(`Error embedding report ${report.url}: ${error.message}`, { stack: error.stack });
+    return false;
+  }
+}
+
+/**
+ * Finds past reports most similar to the given one: only reports dated before it, and not
+ * skipped or failed ones.
+ * @param {string} url - URL of an embedded report.
+ * @param {object} [options]
+ * @param {number} [options.limit] - Maximum number of related reports.
+ * @param {number} [options.minSimilarity] - Cosine similarity threshold.
+ * @returns {Promise<Array<{url: string, title: string, publicationDate: string|null, similarity: number}>>}
+ */
+async function findRelatedReports(url, options = {}) {
+  if (!provider) return [];
+
+  const limit = options.limit ?? settings.relatedLimit;
+  const minSimilarity = options.minSimilarity ?? settings.minSimilarity;
+  const embeddings = await loadEmbeddings();
+  const target = embeddings[url];
+  if (!target || target.model !== provider.model) return [];
+
+  const reportsByUrl = new Map((await loadReports()).map(report => [report.url, report]));
+  const targetReport = reportsByUrl.get(url);
+  const targetTime = targetReport ? getReportTime(targetReport) : null;
+  const isPastReport = report => {
+    if ([REPORT_STATUS.SKIPPED, REPORT_STATUS.FAILED].includes(report.status)) return false;
+    const time = getReportTime(report);
+    return targetTime === null || (time !== null && time < targetTime);
+  };
+
+  return Object.entries(embeddings)
+    .filter(([otherUrl, entry]) => otherUrl !== url && entry.model === target.model &&
+      reportsByUrl.has(otherUrl) && isPastReport(reportsByUrl.get(otherUrl)))
+    .map(([otherUrl, entry]) => {
+      const report = reportsByUrl.get(otherUrl);
+      return {
+        url: otherUrl,
+        title: report.title,
+        publicationDate: report.publicationDate || null,
+        similarity: cosineSimilarity(target.vector, entry.vector)
+      };
+    })
+    .filter(related => related.similarity >= minSimilarity)
+    .sort((a, b) => b.similarity - a.similarity)
+    .slice(0, limit);
+}
+
+module.exports = {
+  initializeEmbeddings,
+  embedReport,
+  findRelatedReports,
+  cosineSimilarity
+};
@@ -0,0 +1,188 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { loadConfigFromEnv } = require('../config/config');
+const { loadReports, REPORT_STATUS } = require('../utils/report-store');
+const { getStructuredSummary } = require('./notifiers/format');
+const logger = require('../utils/logger');
+const { getTempPath } = require('../utils/file-utils');
+
+// Load configuration
+const appConfig = loadConfigFromEnv();
+const FEED_CONFIG = appConfig.FEED_CONFIG;
+
+function escapeXml(text) {
+  return String(text || '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+// Date an item is listed under: publication date when it parses, else when we processed it
+function getItemDate(report) {
+  const published = new Date(report.publicationDate);
+  if (report.publicationDate && !isNaN(published)) return published;
+  const checked = new Date(report.lastChecked || report.scrapedAt);
+  return isNaN(checked) ? new Date(0) : checked;
+}
+
+/**
+ * Picks the reports that go into the feeds: summarized or posted ones, newest first.
+ * Skipped and failed reports stay out even when they carry an older summary.
+ * @param {Array<object>} reports - Archived reports.
+ * @param {number} maxItems - Maximum number of items.
+ * @returns {Array<object>}
+ */
+function selectFeedReports(reports, maxItems = FEED_CONFIG.maxItems) {
+  return reports
+    .filter(report => [REPORT_STATUS.SUMMARIZED, REPORT_STATUS.POSTED].includes(report.status))
+    .filter(report => report.url && report.title && report.summary)
+    .sort((a, b) => getItemDate(b) - getItemDate(a))
+    .slice(0, maxItems);
+}
+
+// Short plain-text description: the AI headline and summary
+function formatItemText(report) {
+  const summary = getStructuredSummary(report);
+  return summary ? `${summary.headline}\n\n${summary.summary}` : report.summary;
+}
+
+// Full description as HTML for readers that render it
+function formatItemHtml(report) {
+  const summary = getStructuredSummary(report);
+  if (!summary) {
+    return report.summary.split(/\n{2,}/).map(paragraph => `<p>${escapeXml(paragraph)}</p>`).join('');
+  }
+
+  let html = `<p><strong>${escapeXml(summary.headline)}</strong></p><p>${escapeXml(summary.summary)}</p>`;
+  if (summary.relevance) {
+    html += `<p><strong>Why it matters for Kaia:</strong> ${escapeXml(summary.relevance)}</p>`;
+  }
+  if (summary.keyTakeaways.length > 0) {
+    html += `<ul>${summary.keyTakeaways.map(item => `<li>${escapeXml(item)}</li>`).join('')}</ul>`;
+  }
+  return html;
+}
+
+function getItemCategories(report) {
+  const summary = getStructuredSummary(report);
+  const categories = summary ? [...summary.sectors] : [];
+  if (report.category && !categories.includes(report.category)) categories.push(report.category);
+  return categories;
+}
+
+// Absolute URL of a feed file, when FEED_CONFIG.baseUrl says where the feeds are published
+function getFeedUrl(fileName) {
+  return FEED_CONFIG.baseUrl ? `${FEED_CONFIG.baseUrl.replace(/\/+$/, '')}/${fileName}` : null;
+}
+
+/**
+ * Builds an RSS 2.0 feed.
+ * @param {Array<object>} reports - Reports to include, already selected and sorted.
+ * @returns {string} Feed XML.
+ */
+function buildRssFeed(reports) {
+  const selfUrl = getFeedUrl(FEED_CONFIG.rssFileName);
+  const lastBuildDate = reports.length > 0 ? getItemDate(reports[0]) : new Date();
+
+  const items = reports.map(report => [
+    '    <item>',
+    `      <title>${escapeXml(report.title)}</title>`,
+    `      <link>${escapeXml(report.url)}</link>`,
+    `      <guid isPermaLink="true">${escapeXml(report.url)}</guid>`,
+    `      <pubDate>${getItemDate(report).toUTCString()}</pubDate>`,
+    ...getItemCategories(report).map(category => `      <category>${escapeXml(category)}</category>`),
+    `      <description>${escapeXml(formatItemHtml(report))}</description>`,
+    '    </item>'
+  ].join('\n'));
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">',
+    '  <channel>',
+    `    <title>${escapeXml(FEED_CONFIG.title)}</title>`,
+    `    <link>${escapeXml(FEED_CONFIG.siteUrl)}</link>`,
+    `    <description>${escapeXml(FEED_CONFIG.description)}</description>`,
+    '    <language>en</language>',
+    `    <lastBuildDate>${lastBuildDate.toUTCString()}</lastBuildDate>`,
+    ...(selfUrl ? [`    <atom:link href="${escapeXml(selfUrl)}" rel="self" type="application/rss+xml"/>`] : []),
+    ...items,
+    '  </channel>',
+    '</rss>',
+    ''
+  ].join('\n');
+}
+
+/**
+ * Builds an Atom 1.0 feed.
+ * @param {Array<object>} reports - Reports to include, already selected and sorted.
+ * @returns {string} Feed XML.
+ */
+function buildAtomFeed(reports) {
+  const selfUrl = getFeedUrl(FEED_CONFIG.atomFileName);
+  const updated = reports.length > 0 ? getItemDate(reports[0]) : new Date();
+
+  const entries = reports.map(report => [
+    '  <entry>',
+    `    <title>${escapeXml(report.title)}</title>`,
+    `    <link href="${escapeXml(report.url)}"/>`,
+    `    <id>${escapeXml(report.url)}</id>`,
+    `    <published>${getItemDate(report).toISOString()}</published>`,
+    `    <updated>${new Date(report.lastChecked || getItemDate(report)).toISOString()}</updated>`,
+    ...getItemCategories(report).map(category => `    <category term="${escapeXml(category)}"/>`),
+    `    <summary type="text">${escapeXml(formatItemText(report))}</summary>`,
+    `    <content type="html">${escapeXml(formatItemHtml(report))}</content>`,
+    '  </entry>'
+  ].join('\n'));
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<feed xmlns="http://www.w3.org/2005/Atom">',
+    `  <title>${escapeXml(FEED_CONFIG.title)}</title>`,
+    `  <subtitle>${escapeXml(FEED_CONFIG.description)}</subtitle>`,
+    `  <link href="${escapeXml(FEED_CONFIG.siteUrl)}"/>`,
+    ...(selfUrl ? [`  <link href="${escapeXml(selfUrl)}" rel="self" type="application/atom+xml"/>`] : []),
+    `  <id>${escapeXml(selfUrl || FEED_CONFIG.siteUrl)}</id>`,
+    `  <updated>${updated.toISOString()}</updated>`,
+    `  <author><name>${escapeXml(FEED_CONFIG.author)}</name></author>`,
+    ...entries,
+    '</feed>',
+    ''
+  ].join('\n');
+}
+
+async function writeFileAtomic(filePath, content) {
+  const tmpPath = getTempPath(filePath);
+  await fs.writeFile(tmpPath, content, 'utf8');
+  await fs.rename(tmpPath, filePath);
+}
+
+/**
+ * Writes the RSS and Atom feeds from the report archive to FEED_CONFIG.outputDir.
+ * @returns {Promise<{rss: string, atom: string, items: number}|null>} Written paths, or null on failure.
+ */
+async function writeFeeds() {
+  const outputDir = path.resolve(process.cwd(), FEED_CONFIG.outputDir);
+  const rssPath = path.join(outputDir, FEED_CONFIG.rssFileName);
+  const atomPath = path.join(outputDir, FEED_CONFIG.atomFileName);
+
+  try {
+    const reports = selectFeedReports(await loadReports());
+    await fs.mkdir(outputDir, { recursive: true });
+    await writeFileAtomic(rssPath, buildRssFeed(reports));
+    await writeFileAtomic(atomPath, buildAtomFeed(reports));
+    logger.info(`Wrote feeds with ${reports.length} reports to ${outputDir}`);
+    return { rss: rssPath, atom: atomPath, items: reports.length };
+  } catch (error) {
+    logger.error(`Error writing feeds to ${outputDir}: ${error.message}`, { stack: error.stack });
+    return null;
+  }
+}
+
+module.exports = {
+  selectFeedReports,
+  buildRssFeed,
+  buildAtomFeed,
+  writeFeeds
+};
@@ -0,0 +1,50 @@
+const axios = require('axios');
+
+/**
+ * Creates a provider backed by the Anthropic Messages API.
+ * @param {object} options - Provider settings from AI_CONFIG.anthropic plus `apiKey`.
+ * @returns {{name: string, model: string, generate: Function}} Provider instance.
+ */
+function createAnthropicProvider(options) {
+  if (!options.apiKey) {
+    throw new Error('Anthropic API key not configured');
+  }
+
+  const client = axios.create({
+    baseURL: options.baseUrl.replace(/\/+$/, ''),
+    timeout: options.timeoutMs,
+    headers: {
+      'x-api-key': options.apiKey,
+      'anthropic-version': options.apiVersion
+    }
+  });
+
+  async function generate(prompt, overrides = {}) {
+    const response = await client.post('/v1/messages', {
+      model: options.model,
+      max_tokens: overrides.maxOutputTokens ?? options.maxOutputTokens,
+      temperature: overrides.temperature ?? options.temperature,
+      messages: [{ role: 'user', content: prompt }]
+    });
+
+    const content = (response.data && response.data.content) || [];
+    const text = content
+      .filter(part => part.type === 'text')
+      .map(part => part.text)
+      .join('');
+    if (!text) {
+      throw new Error('Anthropic response did not contain any text');
+    }
+    return text;
+  }
+
+  return {
+    name: 'anthropic',
+    model: options.model,
+    generate
+  };
+}
+
+module.exports = {
+  createAnthropicProvider
+};
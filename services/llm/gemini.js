@@ -0,0 +1,40 @@
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+
+/**
+ * Creates a provider backed by the Google Gemini API.
+ * @param {object} options - Provider settings from AI_CONFIG.gemini plus `apiKey`.
+ * @returns {{name: string, model: string, generate: Function}} Provider instance.
+ */
+function createGeminiProvider(options) {
+  if (!options.apiKey) {
+    throw new Error('Gemini API key not configured');
+  }
+
+  const genAI = new GoogleGenerativeAI(options.apiKey);
+
+  async function generate(prompt, overrides = {}) {
+    const model = genAI.getGenerativeModel({
+      model: options.model,
+      generationConfig: {
+        temperature: overrides.temperature ?? options.temperature,
+        topK: options.topK,
+        topP: options.topP,
+        maxOutputTokens: overrides.maxOutputTokens ?? options.maxOutputTokens,
+      },
+    });
+
+    const result = await model.generateContent(prompt);
+    const response = await result.response;
+    return response.text();
+  }
+
+  return {
+    name: 'gemini',
+    model: options.model,
+    generate
+  };
+}
+
+module.exports = {
+  createGeminiProvider
+};
@@ -0,0 +1,36 @@
+const { createGeminiProvider } = require('./gemini');
+const { createOpenAIProvider } = require('./openai');
+const { createAnthropicProvider } = require('./anthropic');
+
+// Provider factories keyed by the AI_CONFIG.provider value
+const PROVIDERS = {
+  gemini: createGeminiProvider,
+  openai: createOpenAIProvider,
+  anthropic: createAnthropicProvider
+};
+
+/**
+ * Creates the LLM provider selected in AI_CONFIG.
+ * @param {object} aiConfig - The AI_CONFIG section of the app config.
+ * @param {object} [credentials] - API keys keyed by provider name.
+ * @returns {{name: string, model: string, generate: Function}} Provider instance.
+ * @throws {Error} If the provider is unknown or misconfigured.
+ */
+function createProvider(aiConfig, credentials = {}) {
+  const name = aiConfig.provider;
+  const factory = PROVIDERS[name];
+  if (!factory) {
+    throw new Error(`Unknown AI provider '${name}'. Expected one of: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+
+  return factory({
+    timeoutMs: aiConfig.timeoutMs,
+    ...aiConfig[name],
+    apiKey: credentials[name]
+  });
+}
+
+module.exports = {
+  PROVIDERS,
+  createProvider
+};
@@ -0,0 +1,45 @@
+const axios = require('axios');
+
+/**
+ * Creates a provider for any OpenAI-compatible chat completions endpoint
+ * (OpenAI, Ollama, llama.cpp server, vLLM, ...).
+ * @param {object} options - Provider settings from AI_CONFIG.openai plus optional `apiKey`.
+ * @returns {{name: string, model: string, generate: Function}} Provider instance.
+ */
+function createOpenAIProvider(options) {
+  if (!options.baseUrl) {
+    throw new Error('OpenAI-compatible base URL not configured');
+  }
+
+  const client = axios.create({
+    baseURL: options.baseUrl.replace(/\/+$/, ''),
+    timeout: options.timeoutMs,
+    headers: options.apiKey ? { Authorization: `Bearer ${options.apiKey}` } : {}
+  });
+
+  async function generate(prompt, overrides = {}) {
+    const response = await client.post('/chat/completions', {
+      model: options.model,
+      messages: [{ role: 'user', content: prompt }],
+      temperature: overrides.temperature ?? options.temperature,
+      top_p: options.topP,
+      max_tokens: overrides.maxOutputTokens ?? options.maxOutputTokens
+    });
+
+    const choice = response.data && response.data.choices && response.data.choices[0];
+    if (!choice || !choice.message || typeof choice.message.content !== 'string') {
+      throw new Error('OpenAI-compatible response did not contain a message');
+    }
+    return choice.message.content;
+  }
+
+  return {
+    name: 'openai',
+    model: options.model,
+    generate
+  };
+}
+
+module.exports = {
+  createOpenAIProvider
+};
@@ -0,0 +1,215 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const { loadConfigFromEnv } = require('../config/config');
+const { loadReports, getReportId } = require('../utils/report-store');
+const { getStructuredSummary } = require('./notifiers/format');
+const { toDay } = require('./reports');
+const logger = require('../utils/logger');
+
+// Load configuration
+const appConfig = loadConfigFromEnv();
+
+// Bump to re-export every file after changing the output format
+const EXPORT_FORMAT_VERSION = 1;
+const MANIFEST_FILE = '.export-manifest.json';
+
+// Strings are written as JSON strings, which are valid double-quoted YAML scalars
+function yamlValue(value) {
+  if (Array.isArray(value)) {
+    return value.length > 0 ? `\n${value.map(item => `  - ${JSON.stringify(item)}`).join('\n')}` : ' []';
+  }
+  return ` ${value === null || value === undefined ? 'null' : JSON.stringify(value)}`;
+}
+
+// Obsidian tags cannot contain spaces
+function toTag(value) {
+  return value.trim().replace(/\s+/g, '-').replace(/[^\p{L}\p{N}_/-]/gu, '');
+}
+
+function slugify(text) {
+  return (text || 'untitled')
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .substring(0, 80) || 'untitled';
+}
+
+// Publication day (YYYY-MM-DD) when it parses, else the day the report was first scraped.
+// toDay reads display dates in local time, so "Apr 1, 2025" stays April 1 in any time zone.
+function getExportDay(report) {
+  return toDay(report.publicationDate) || toDay(report.scrapedAt);
+}
+
+/**
+ * Path of a report's file relative to the export directory: YYYY/MM/YYYY-MM-DD-title.md,
+ * or undated/title.md when no date is known.
+ * @param {object} report - Archived report.
+ * @returns {string}
+ */
+function getExportPath(report) {
+  const day = getExportDay(report);
+  if (!day) {
+    return path.join('undated', `${slugify(report.title)}.md`);
+  }
+  const [year, month] = day.split('-');
+  return path.join(year, month, `${day}-${slugify(report.title)}.md`);
+}
+
+// Scraped text keeps layout whitespace; trim lines and collapse runs of blank lines
+function cleanBody(body) {
+  return (body || '')
+    .replace(/\r\n?/g, '\n')
+    .split('\n')
+    .map(line => line.replace(/[ \t\u00a0]+/g, ' ').trim())
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+/**
+ * Renders a report as Markdown with YAML front matter.
+ * @param {object} report - Archived report with a summary.
+ * @returns {string}
+ */
+function renderReportMarkdown(report) {
+  const summary = getStructuredSummary(report);
+  const day = getExportDay(report);
+  const tags = [...new Set([...(summary ? summary.sectors : []), ...(report.category ? [report.category] : [])].map(toTag).filter(Boolean))];
+
+  const frontMatter = {
+    title: report.title,
+    url: report.url,
+    publicationDate: day,
+    category: report.category || null,
+    tags,
+    tokens: summary ? summary.tokens : [],
+    protocols: summary ? summary.protocols : [],
+    sentiment: summary ? summary.sentiment : null,
+    relevanceScore: summary ? summary.relevanceScore : null,
+    relevance: summary ? summary.relevance : null,
+    status: report.status || null,
+    exportedFrom: 'delphi-digital'
+  };
+
+  const lines = [
+    '---',
+    ...Object.entries(frontMatter).map(([key, value]) => `${key}:${yamlValue(value)}`),
+    '---',
+    '',
+    `# ${report.title}`,
+    ''
+  ];
+
+  if (summary) {
+    lines.push(`> ${summary.headline}`, '', '## Summary', '', summary.summary, '');
+    if (summary.relevance) {
+      lines.push('## Why it matters for Kaia', '', summary.relevance, '');
+    }
+    if (summary.keyTakeaways.length > 0) {
+      lines.push('## Key takeaways', '', ...summary.keyTakeaways.map(item => `- ${item}`), '');
+    }
+    for (const section of summary.sections || []) {
+      lines.push(`### ${section.heading}`, '', ...section.points.map(point => `- ${point}`), '');
+    }
+    if ((summary.notableNumbers || []).length > 0) {
+      lines.push('## Notable numbers', '', ...summary.notableNumbers.map(item => `- ${item}`), '');
+    }
+  } else {
+    lines.push('## Summary', '', report.summary, '');
+  }
+
+  if (report.relatedReports && report.relatedReports.length > 0) {
+    lines.push('## Related reports', '', ...report.relatedReports.map(related => `- [${related.title}](${related.url})`), '');
+  }
+
+  const body = cleanBody(report.body);
+  if (body) {
+    lines.push('## Report', '', body, '');
+  }
+  return lines.join('\n');
+}
+
+async function loadManifest(manifestPath) {
+  try {
+    const manifest = JSON.parse(await fs.readFile(manifestPath, 'utf8'));
+    return manifest && manifest.version === EXPORT_FORMAT_VERSION && manifest.files ? manifest : null;
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      logger.warn(`Ignoring unreadable export manifest ${manifestPath}: ${error.message}`);
+    }
+    return null;
+  }
+}
+
+/**
+ * Exports summarized reports from the archive to Markdown files.
+ * Only new or changed reports are written; a manifest in the output directory records what
+ * was exported. Files of reports whose title or date changed move to their new path, and files of
+ * reports no longer exported are removed.
+ * @param {object} [options]
+ * @param {string} [options.outputDir] - Defaults to EXPORT_CONFIG.markdown.outputDir.
+ * @param {boolean} [options.full] - Rewrite every file, even unchanged ones.
+ * @returns {Promise<{written: number, unchanged: number, removed: number, outputDir: string}|null>}
+ *   Counts, or null on failure.
+ */
+async function exportMarkdown({ outputDir = appConfig.EXPORT_CONFIG.markdown.outputDir, full = false } = {}) {
+  const exportDir = path.resolve(process.cwd(), outputDir);
+  const manifestPath = path.join(exportDir, MANIFEST_FILE);
+
+  try {
+    const previous = (await loadManifest(manifestPath)) || { files: {} };
+    const files = {};
+    const stats = { written: 0, unchanged: 0, removed: 0, outputDir: exportDir };
+    const usedPaths = new Set();
+
+    const reports = (await loadReports()).filter(report =>
+      report.url && report.summary && !report.summary.startsWith('Error:'));
+
+    for (const report of reports) {
+      let relativePath = getExportPath(report);
+      // Same title on the same day: keep both by suffixing the report id
+      if (usedPaths.has(relativePath)) {
+        relativePath = relativePath.replace(/\.md$/, `-${getReportId(report.url).substring(0, 8)}.md`);
+      }
+      usedPaths.add(relativePath);
+      const content = renderReportMarkdown(report);
+      const hash = crypto.createHash('sha256').update(content, 'utf8').digest('hex');
+      const existing = previous.files[report.url];
+      files[report.url] = { path: relativePath, hash };
+
+      if (!full && existing && existing.path === relativePath && existing.hash === hash) {
+        stats.unchanged++;
+        continue;
+      }
+      const filePath = path.join(exportDir, relativePath);
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(filePath, content, 'utf8');
+      stats.written++;
+    }
+
+    // Files left at old paths (renamed or re-dated reports) or of reports no longer in the archive.
+    // Removed after writing so a path taken over by another report is never deleted.
+    for (const { path: oldPath } of Object.values(previous.files)) {
+      if (!usedPaths.has(oldPath)) {
+        await fs.rm(path.join(exportDir, oldPath), { force: true });
+        stats.removed++;
+      }
+    }
+
+    await fs.writeFile(manifestPath, JSON.stringify({ version: EXPORT_FORMAT_VERSION, exportedAt: new Date().toISOString(), files }, null, 2), 'utf8');
+    logger.info(`Markdown export to ${exportDir}: ${stats.written} written, ${stats.unchanged} unchanged, ${stats.removed} removed`);
+    return stats;
+  } catch (error) {
+    logger.error(`Markdown export to ${exportDir} failed: ${error.message}`, { stack: error.stack });
+    return null;
+  }
+}
+
+module.exports = {
+  getExportPath,
+  renderReportMarkdown,
+  exportMarkdown
+};
@@ -0,0 +1,89 @@
+const { createNotifier } = require('./notifiers');
+const logger = require('../utils/logger');
+
+// Notifiers enabled in NOTIFIER_CONFIG.enabled that were configured successfully
+let notifiers = [];
+
+/**
+ * Creates the notifiers enabled in NOTIFIER_CONFIG. Misconfigured ones are skipped with a warning.
+ * @param {object} appConfig - Loaded app config.
+ * @returns {boolean} True if at least one notifier is ready to use.
+ */
+function initializeNotifiers(appConfig) {
+  notifiers = [];
+  for (const name of appConfig.NOTIFIER_CONFIG.enabled) {
+    try {
+      notifiers.push(createNotifier(name, appConfig));
+    } catch (error) {
+      logger.warn(`Notifier '${name}' disabled: ${error.message}`);
+    }
+  }
+  if (notifiers.length === 0) {
+    logger.warn('No notifiers configured. Reports and digests will not be sent anywhere.');
+    return false;
+  }
+  logger.info(`Notifiers initialized: ${notifiers.map(notifier => notifier.name).join(', ')}`);
+  return true;
+}
+
+/**
+ * Returns the active notifiers.
+ */
+function getNotifiers() {
+  return notifiers;
+}
+
+// Runs one notifier call, turning thrown errors into an undelivered result
+async function deliver(notifier, method, payload, description) {
+  try {
+    const result = await notifier[method](payload);
+    if (!result.delivered) {
+      logger.warn(`${notifier.name}: ${description} was not delivered`);
+    }
+    return result;
+  } catch (error) {
+    logger.error(`${notifier.name}: failed to deliver ${description}: ${error.message}`, { stack: error.stack });
+    return { delivered: false, error: error.message };
+  }
+}
+
+/**
+ * Sends a report to every active notifier. A failing notifier does not stop the others.
+ * @param {object} report - Report with its summary, structured summary and related reports.
+ * @returns {Promise<object>} Results keyed by notifier name, each with a `delivered` flag.
+ */
+async function notifyReport(report) {
+  const results = {};
+  for (const notifier of notifiers.filter(notifier => notifier.sendReport)) {
+    results[notifier.name] = await deliver(notifier, 'sendReport', report, `report "${report.title}"`);
+  }
+  return results;
+}
+
+/**
+ * Returns the digest targets for a cadence: each active notifier, with digest-only notifiers
+ * expanded into their per-recipient targets.
+ * @param {string} cadence - Digest cadence, e.g. "weekly".
+ * @returns {Array<{name: string, sendDigest: Function}>}
+ */
+function getDigestTargets(cadence) {
+  return notifiers.flatMap(notifier => (notifier.getDigestTargets ? notifier.getDigestTargets(cadence) : [notifier]));
+}
+
+/**
+ * Sends a digest through one notifier.
+ * @param {object} notifier - Active notifier or digest target.
+ * @param {object} digest - Digest built by services/digest.js.
+ * @returns {Promise<{delivered: boolean, totalParts?: number, parts?: Array, error?: string}>}
+ */
+function notifyDigest(notifier, digest) {
+  return deliver(notifier, 'sendDigest', digest, `${digest.cadence} digest`);
+}
+
+module.exports = {
+  initializeNotifiers,
+  getNotifiers,
+  getDigestTargets,
+  notifyReport,
+  notifyDigest
+};
@@ -0,0 +1,144 @@
+const axios = require('axios');
+const { formatPublicationDate, truncate, getStructuredSummary, linkReferences, splitLines } = require('./format');
+
+// Discord limits: 10 embeds and 6000 embed characters per message, 4096 per description, 1024 per field
+const MAX_EMBEDS_PER_MESSAGE = 10;
+const MAX_EMBED_CHARS_PER_MESSAGE = 5800;
+const EMBED_COLOR = 0x5865f2;
+
+function embedSize(embed) {
+  return (embed.title || '').length + (embed.description || '').length +
+    (embed.fields || []).reduce((total, field) => total + field.name.length + field.value.length, 0);
+}
+
+function formatReportEmbed(report) {
+  const summary = getStructuredSummary(report);
+  const description = summary
+    ? [`**${summary.headline}**`, summary.summary, summary.relevance ? `\n**Why it matters for Kaia:** ${summary.relevance}` : '']
+      .filter(Boolean).join('\n')
+    : report.summary || 'No summary available.';
+
+  const fields = [{ name: 'Published', value: formatPublicationDate(report), inline: true }];
+  if (summary && summary.sectors.length > 0) {
+    fields.push({ name: 'Sectors', value: truncate(summary.sectors.join(', '), 1024), inline: true });
+  }
+  if (summary && summary.sentiment) {
+    fields.push({ name: 'Sentiment', value: summary.sentiment, inline: true });
+  }
+  if (summary && summary.keyTakeaways.length > 0) {
+    fields.push({ name: 'Key takeaways', value: truncate(summary.keyTakeaways.map(item => `• ${item}`).join('\n'), 1024) });
+  }
+  if (report.relatedReports && report.relatedReports.length > 0) {
+    fields.push({
+      name: 'Related past reports',
+      value: truncate(report.relatedReports.map(related => `• [${related.title}](${related.url})`).join('\n'), 1024)
+    });
+  }
+
+  return {
+    title: truncate(report.title, 256),
+    url: report.url,
+    description: truncate(description, 4096),
+    color: EMBED_COLOR,
+    fields
+  };
+}
+
+// One embed per description chunk so long sections spill into a "(continued)" embed
+function textEmbeds(title, text) {
+  return splitLines(text, 4000).map((description, index) => ({
+    title: index === 0 ? title : `${title} (continued)`,
+    description,
+    color: EMBED_COLOR
+  }));
+}
+
+function formatDigestEmbeds(digest) {
+  const embeds = [];
+  if (digest.overview) {
+    const overview = linkReferences(digest.overview, digest.reports,
+      (url, label) => `[${label.replace(/[[\]]/g, '\\$&')}](${url})`);
+    // The overview uses Slack's *bold*, which Discord renders as italics
+    embeds.push(...textEmbeds('🧭 Executive overview', overview.replace(/^\*([^*\n]+)\*/gm, '**$1**')));
+  }
+  if (digest.mustReads.length > 0) {
+    const lines = digest.mustReads.map((report, index) =>
+      `${index + 1}. **[${report.title}](${report.url})** (relevance ${report.structuredSummary.relevanceScore}/5)`);
+    embeds.push(...textEmbeds('⭐ Must read', lines.join('\n')));
+  }
+  for (const group of digest.groups) {
+    const lines = group.reports.map(report => {
+      const summary = getStructuredSummary(report);
+      const text = summary ? summary.headline : truncate(report.summary || '', 200);
+      return `• **[${report.title}](${report.url})** (${formatPublicationDate(report)})\n${text}`;
+    });
+    embeds.push(...textEmbeds(group.name || 'Reports', lines.join('\n')));
+  }
+  return embeds;
+}
+
+// Packs embeds into as few messages as Discord allows
+function paginateEmbeds(embeds) {
+  const messages = [];
+  let current = [];
+  let size = 0;
+  for (const embed of embeds) {
+    if (current.length > 0 && (current.length >= MAX_EMBEDS_PER_MESSAGE || size + embedSize(embed) > MAX_EMBED_CHARS_PER_MESSAGE)) {
+      messages.push(current);
+      current = [];
+      size = 0;
+    }
+    current.push(embed);
+    size += embedSize(embed);
+  }
+  if (current.length > 0) messages.push(current);
+  return messages;
+}
+
+/**
+ * Creates a notifier that posts to a Discord channel through an incoming webhook.
+ * @param {object} options - `webhookUrl` and `timeoutMs`.
+ * @returns {{name: string, sendReport: Function, sendDigest: Function}} Notifier instance.
+ */
+function createDiscordNotifier(options) {
+  if (!options.webhookUrl) {
+    throw new Error('Discord webhook URL not configured');
+  }
+
+  // `wait=true` makes Discord return the created message, including its id
+  async function post(payload) {
+    const response = await axios.post(options.webhookUrl, { allowed_mentions: { parse: [] }, ...payload }, {
+      params: { wait: true },
+      timeout: options.timeoutMs
+    });
+    return response.data && response.data.id ? response.data.id : null;
+  }
+
+  async function sendReport(report) {
+    const id = await post({ embeds: [formatReportEmbed(report)] });
+    return { delivered: true, ids: [id] };
+  }
+
+  async function sendDigest(digest) {
+    const messages = paginateEmbeds(formatDigestEmbeds(digest));
+    const totalParts = Math.max(messages.length, 1);
+    const parts = [];
+    for (let index = 0; index < totalParts; index++) {
+      const content = index === 0
+        ? truncate(`**📰 ${digest.title}**\n${digest.intro}`, 2000)
+        : `*Part ${index + 1}/${totalParts}*`;
+      parts.push({ part: index + 1, id: await post({ content, embeds: messages[index] || [] }) });
+    }
+    return { delivered: true, totalParts, parts };
+  }
+
+  return {
+    name: 'discord',
+    sendReport,
+    sendDigest
+  };
+}
+
+module.exports = {
+  createDiscordNotifier
+};
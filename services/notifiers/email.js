@@ -0,0 +1,141 @@
+const nodemailer = require('nodemailer');
+const { formatPublicationDate, truncate, getStructuredSummary, linkReferences } = require('./format');
+
+// Inline styles only: most mail clients drop <style> blocks
+const STYLES = {
+  body: 'font-family: -apple-system, Segoe UI, Helvetica, Arial, sans-serif; color: #1d1c1d; line-height: 1.5; max-width: 680px;',
+  heading: 'font-size: 18px; margin: 24px 0 8px; border-bottom: 1px solid #ddd; padding-bottom: 4px;',
+  meta: 'color: #616061; font-size: 13px;',
+  link: 'color: #1264a3;'
+};
+
+function escapeHtml(text) {
+  return String(text || '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+function link(url, label) {
+  return `<a href="${escapeHtml(url)}" style="${STYLES.link}">${escapeHtml(label)}</a>`;
+}
+
+function reportHeadline(report) {
+  const summary = getStructuredSummary(report);
+  return summary ? summary.headline : truncate(report.summary || '', 300);
+}
+
+// The overview is written with Slack's *bold* section names and "•" bullets
+function formatOverviewHtml(digest) {
+  const overview = linkReferences(escapeHtml(digest.overview), digest.reports, link)
+    .replace(/^\*([^*\n]+)\*/gm, '<strong>$1</strong>');
+  return overview.split(/\n{2,}/).map(paragraph => `<p>${paragraph.replace(/\n/g, '<br>')}</p>`).join('\n');
+}
+
+function formatDigestHtml(digest) {
+  const parts = [
+    `<div style="${STYLES.body}">`,
+    `<h1 style="font-size: 22px;">📰 ${escapeHtml(digest.title)}</h1>`,
+    `<p>${escapeHtml(digest.intro)}</p>`
+  ];
+
+  if (digest.overview) {
+    parts.push(`<h2 style="${STYLES.heading}">🧭 Executive overview</h2>`, formatOverviewHtml(digest));
+  }
+  if (digest.mustReads.length > 0) {
+    parts.push(`<h2 style="${STYLES.heading}">⭐ Must read</h2>`, '<ol>', ...digest.mustReads.map(report =>
+      `<li>${link(report.url, report.title)} <span style="${STYLES.meta}">(relevance ${report.structuredSummary.relevanceScore}/5)</span></li>`), '</ol>');
+  }
+  for (const group of digest.groups) {
+    if (group.name) parts.push(`<h2 style="${STYLES.heading}">${escapeHtml(group.name)}</h2>`);
+    parts.push('<ul>', ...group.reports.map(report =>
+      `<li><strong>${link(report.url, report.title)}</strong> <span style="${STYLES.meta}">(${escapeHtml(formatPublicationDate(report))})</span><br>${escapeHtml(reportHeadline(report))}</li>`), '</ul>');
+  }
+
+  parts.push('</div>');
+  return parts.join('\n');
+}
+
+function formatDigestText(digest) {
+  const lines = [digest.title, '', digest.intro];
+
+  if (digest.overview) {
+    const overview = linkReferences(digest.overview, digest.reports, (url, label) => `${label} ${url}`)
+      .replace(/^\*([^*\n]+)\*/gm, '$1');
+    lines.push('', 'EXECUTIVE OVERVIEW', '', overview);
+  }
+  if (digest.mustReads.length > 0) {
+    lines.push('', 'MUST READ', '', ...digest.mustReads.map((report, index) =>
+      `${index + 1}. ${report.title} (relevance ${report.structuredSummary.relevanceScore}/5)\n   ${report.url}`));
+  }
+  for (const group of digest.groups) {
+    lines.push('', (group.name || 'Reports').toUpperCase(), '');
+    for (const report of group.reports) {
+      lines.push(`- ${report.title} (${formatPublicationDate(report)})`, `  ${reportHeadline(report)}`, `  ${report.url}`);
+    }
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Renders a digest as an email.
+ * @param {object} digest - Digest built by services/digest.js.
+ * @returns {{subject: string, text: string, html: string}}
+ */
+function formatDigestEmail(digest) {
+  return {
+    subject: digest.title,
+    text: formatDigestText(digest),
+    html: formatDigestHtml(digest)
+  };
+}
+
+/**
+ * Creates a digest-only notifier that emails digests over SMTP. Each recipient picks the cadences
+ * they receive and is tracked as its own digest target (`email:<address>`), so a bounced or failed
+ * send is retried for that recipient only.
+ * @param {object} options - `smtp` (host, port, secure, user, pass), `from` and
+ *   `recipients` ([{address, cadences}]; no cadences means every cadence).
+ * @returns {{name: string, getDigestTargets: Function}} Notifier instance.
+ */
+function createEmailNotifier(options) {
+  if (!options.smtp || !options.smtp.host || !options.from) {
+    throw new Error('SMTP host or sender address not configured');
+  }
+  if (!options.recipients || options.recipients.length === 0) {
+    throw new Error('No email recipients configured');
+  }
+
+  const transporter = nodemailer.createTransport({
+    host: options.smtp.host,
+    port: options.smtp.port,
+    secure: options.smtp.secure,
+    auth: options.smtp.user ? { user: options.smtp.user, pass: options.smtp.pass } : undefined,
+    connectionTimeout: options.timeoutMs,
+    socketTimeout: options.timeoutMs
+  });
+
+  function targetFor(address) {
+    return {
+      name: `email:${address}`,
+      async sendDigest(digest) {
+        const info = await transporter.sendMail({ from: options.from, to: address, ...formatDigestEmail(digest) });
+        return { delivered: true, totalParts: 1, parts: [{ part: 1, id: info.messageId }] };
+      }
+    };
+  }
+
+  // One target per recipient subscribed to the cadence
+  function getDigestTargets(cadence) {
+    return options.recipients
+      .filter(recipient => !recipient.cadences || recipient.cadences.length === 0 || recipient.cadences.includes(cadence))
+      .map(recipient => targetFor(recipient.address));
+  }
+
+  return {
+    name: 'email',
+    getDigestTargets
+  };
+}
+
+module.exports = {
+  createEmailNotifier,
+  formatDigestEmail
+};
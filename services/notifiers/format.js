@@ -0,0 +1,79 @@
+// Formatting helpers shared by the notifiers
+
+/**
+ * Formats a report's publication date for display, falling back to the scraped string.
+ * @param {object} report - Report with an optional `publicationDate`.
+ * @returns {string} E.g. "April 10, 2025", or "Unknown date".
+ */
+function formatPublicationDate(report) {
+  if (!report.publicationDate) return 'Unknown date';
+  const date = new Date(report.publicationDate);
+  return isNaN(date)
+    ? report.publicationDate
+    : date.toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' });
+}
+
+/**
+ * Cuts text to a maximum length, marking the cut.
+ * @param {string} text - Input text.
+ * @param {number} maxLength - Maximum length including the marker.
+ * @returns {string}
+ */
+function truncate(text, maxLength) {
+  const value = text || '';
+  return value.length > maxLength ? `${value.substring(0, maxLength - 16)}... (truncated)` : value;
+}
+
+/**
+ * Returns the structured summary when it is usable, or null for legacy and degraded summaries,
+ * which only have the plain-text `report.summary`.
+ * @param {object} report - Archived report.
+ * @returns {object|null}
+ */
+function getStructuredSummary(report) {
+  const summary = report && report.structuredSummary;
+  return summary && !summary.degraded ? summary : null;
+}
+
+/**
+ * Replaces [n] references in an executive overview with links to the nth report.
+ * @param {string} text - Overview text.
+ * @param {Array<object>} reports - Reports the references point into (1-based).
+ * @param {Function} formatLink - (url, label) => link in the target markup.
+ * @returns {string}
+ */
+function linkReferences(text, reports, formatLink) {
+  return text.replace(/\[(\d+)\]/g, (match, number) => {
+    const report = reports[parseInt(number, 10) - 1];
+    return report && report.url ? formatLink(report.url, `[${number}]`) : match;
+  });
+}
+
+/**
+ * Splits text into chunks of at most maxLength characters at line breaks.
+ * Lines longer than maxLength are cut.
+ * @param {string} text - Input text.
+ * @param {number} maxLength - Maximum chunk length.
+ * @returns {string[]}
+ */
+function splitLines(text, maxLength) {
+  const chunks = [];
+  let chunk = '';
+  for (const line of text.split('\n')) {
+    if (chunk && chunk.length + line.length + 1 > maxLength) {
+      chunks.push(chunk);
+      chunk = '';
+    }
+    chunk = chunk ? `${chunk}\n${line}` : line.substring(0, maxLength);
+  }
+  if (chunk) chunks.push(chunk);
+  return chunks;
+}
+
+module.exports = {
+  formatPublicationDate,
+  truncate,
+  getStructuredSummary,
+  linkReferences,
+  splitLines
+};
@@ -0,0 +1,47 @@
+const { createSlackNotifier } = require('./slack');
+const { createDiscordNotifier } = require('./discord');
+const { createTelegramNotifier } = require('./telegram');
+const { createTeamsNotifier } = require('./teams');
+const { createWebhookNotifier } = require('./webhook');
+const { createEmailNotifier } = require('./email');
+
+// Notifier factories keyed by the names in NOTIFIER_CONFIG.enabled.
+// Each notifier formats the same report and digest objects for its destination and exposes
+//   sendReport(report) -> {delivered, ...}
+//   sendDigest(digest) -> {delivered, totalParts, parts: [{part, id}]}
+// and throws on delivery errors. Digest-only notifiers (email) have no sendReport and instead expose
+//   getDigestTargets(cadence) -> [{name, sendDigest}]
+// so each recipient gets its own digest state.
+const NOTIFIERS = {
+  slack: createSlackNotifier,
+  discord: createDiscordNotifier,
+  telegram: createTelegramNotifier,
+  teams: createTeamsNotifier,
+  webhook: createWebhookNotifier,
+  email: createEmailNotifier
+};
+
+/**
+ * Creates one notifier.
+ * @param {string} name - Notifier name, e.g. "discord".
+ * @param {object} appConfig - Loaded app config (NOTIFIER_CONFIG and Slack settings).
+ * @returns {object} Notifier instance.
+ * @throws {Error} If the notifier is unknown or misconfigured.
+ */
+function createNotifier(name, appConfig) {
+  const factory = NOTIFIERS[name];
+  if (!factory) {
+    throw new Error(`Unknown notifier '${name}'. Expected one of: ${Object.keys(NOTIFIERS).join(', ')}`);
+  }
+
+  const notifierConfig = appConfig.NOTIFIER_CONFIG;
+  const options = name === 'slack'
+    ? { token: appConfig.SLACK_TOKEN, channelId: appConfig.SLACK_CONFIG.channelId, historyFile: appConfig.SLACK_CONFIG.historyFile }
+    : notifierConfig[name];
+  return factory({ timeoutMs: notifierConfig.timeoutMs, ...options });
+}
+
+module.exports = {
+  NOTIFIERS,
+  createNotifier
+};
@@ -0,0 +1,91 @@
+const {
+  initializeSlack,
+  sendSlackMessage,
+  uploadSlackFiles,
+  formatReportForSlack,
+  formatReportDetailsForSlack,
+  formatDigestForSlack
+} = require('../slack');
+const { loadRoutingConfig, resolveChannels } = require('../slack-routing');
+const logger = require('../../utils/logger');
+
+/**
+ * Creates the Slack notifier. Reports are routed to channels by the rules in services/slack-routing.js
+ * and get their detailed breakdown as a thread reply, followed by any captured chart screenshots;
+ * digests post extra parts in the parent's thread.
+ * @param {object} options - `token`, `channelId` (default channel) and optional `historyFile`.
+ * @returns {{name: string, sendReport: Function, sendDigest: Function}} Notifier instance.
+ */
+function createSlackNotifier(options) {
+  if (!initializeSlack(options.token, options.channelId, options.historyFile)) {
+    throw new Error('Slack token or channel not configured');
+  }
+
+  // Posts a report and its threaded details to one channel
+  async function postToChannel(report, channel) {
+    const ts = await sendSlackMessage(`New Report Summary: ${report.title}`, formatReportForSlack(report), { channel });
+    if (!ts) {
+      logger.warn(`Slack did not confirm the post to ${channel} for: "${report.title}"`);
+      return { channel, ts: null, detailsTs: null };
+    }
+
+    let detailsTs = null;
+    const detailBlocks = formatReportDetailsForSlack(report);
+    if (detailBlocks) {
+      detailsTs = await sendSlackMessage(`Detailed summary: ${report.title}`, detailBlocks, { threadTs: ts, channel });
+      if (!detailsTs) {
+        logger.warn(`Failed to post detailed summary in thread in ${channel} for: "${report.title}"`);
+      }
+    }
+
+    // A failed upload does not fail the post; the summary already went out
+    if (report.charts && report.charts.length > 0) {
+      const uploaded = await uploadSlackFiles(report.charts, { channel, threadTs: ts, comment: `Key charts from "${report.title}"` });
+      if (!uploaded) {
+        logger.warn(`Failed to upload charts in thread in ${channel} for: "${report.title}"`);
+      }
+    }
+    return { channel, ts, detailsTs };
+  }
+
+  async function sendReport(report) {
+    // Re-read for every report so rule changes apply without restarting the daemon
+    const routing = await loadRoutingConfig();
+    const targets = resolveChannels(report, routing, options.channelId);
+    logger.info(`Routing "${report.title}" to ${targets
+      .map(({ channel, rules }) => (rules.length > 0 ? `${channel} (${rules.join(', ')})` : channel))
+      .join(', ')}`);
+
+    const posts = [];
+    for (const { channel } of targets) {
+      posts.push(await postToChannel(report, channel));
+    }
+    const confirmedPosts = posts.filter(post => post.ts);
+    return { delivered: confirmedPosts.length > 0, posts: confirmedPosts };
+  }
+
+  // The first part is the parent message; the rest are replies in its thread
+  async function sendDigest(digest) {
+    const pages = formatDigestForSlack(digest);
+    const parts = [];
+    let parentTs = null;
+    for (const [index, blocks] of pages.entries()) {
+      const text = pages.length > 1 ? `${digest.title} (part ${index + 1}/${pages.length})` : digest.title;
+      const ts = await sendSlackMessage(text, blocks, parentTs ? { threadTs: parentTs } : {});
+      parts.push({ part: index + 1, id: ts || null });
+      if (!ts) break;
+      parentTs = parentTs || ts;
+    }
+    return { delivered: parts.length === pages.length && parts.every(part => part.id), totalParts: pages.length, parts };
+  }
+
+  return {
+    name: 'slack',
+    sendReport,
+    sendDigest
+  };
+}
+
+module.exports = {
+  createSlackNotifier
+};
@@ -0,0 +1,147 @@
+const axios = require('axios');
+const { formatPublicationDate, truncate, getStructuredSummary, linkReferences } = require('./format');
+
+// Teams rejects webhook payloads over 28 KB; stay well below it
+const MAX_CARD_BYTES = 24000;
+
+function textBlock(text, extra = {}) {
+  return { type: 'TextBlock', text, wrap: true, ...extra };
+}
+
+// Incoming webhooks take Adaptive Cards wrapped in a message attachment
+function wrapCard(body, actions = []) {
+  return {
+    type: 'message',
+    attachments: [{
+      contentType: 'application/vnd.microsoft.card.adaptive',
+      content: {
+        $schema: 'http://adaptivecards.io/schemas/adaptive-card.json',
+        type: 'AdaptiveCard',
+        version: '1.4',
+        msteams: { width: 'Full' },
+        body,
+        actions
+      }
+    }]
+  };
+}
+
+function formatReportCard(report) {
+  const summary = getStructuredSummary(report);
+  const facts = [{ title: 'Published', value: formatPublicationDate(report) }];
+  if (summary && summary.sectors.length > 0) facts.push({ title: 'Sectors', value: summary.sectors.join(', ') });
+  if (summary && summary.sentiment) facts.push({ title: 'Sentiment', value: summary.sentiment });
+
+  const body = [
+    textBlock(report.title, { size: 'Large', weight: 'Bolder' }),
+    { type: 'FactSet', facts }
+  ];
+  if (summary) {
+    body.push(textBlock(summary.headline, { weight: 'Bolder' }), textBlock(summary.summary));
+    if (summary.relevance) body.push(textBlock(`**Why it matters for Kaia:** ${summary.relevance}`));
+    if (summary.keyTakeaways.length > 0) {
+      body.push(textBlock(summary.keyTakeaways.map(item => `- ${item}`).join('\n')));
+    }
+  } else {
+    body.push(textBlock(truncate(report.summary || 'No summary available.', 4000)));
+  }
+  if (report.relatedReports && report.relatedReports.length > 0) {
+    body.push(textBlock(`**Related past reports:**\n${report.relatedReports
+      .map(related => `- [${related.title}](${related.url})`).join('\n')}`));
+  }
+
+  return wrapCard(body, [{ type: 'Action.OpenUrl', title: 'Read on Delphi', url: report.url }]);
+}
+
+// Digest sections as lists of card elements, packed into as few cards as the size limit allows
+function formatDigestSections(digest) {
+  const sections = [[
+    textBlock(`📰 ${digest.title}`, { size: 'Large', weight: 'Bolder' }),
+    textBlock(digest.intro)
+  ]];
+
+  if (digest.overview) {
+    const overview = linkReferences(digest.overview, digest.reports, (url, label) => `[${label}](${url})`)
+      // Teams markdown uses **bold**; the overview is written with Slack's *bold*
+      .replace(/^\*([^*\n]+)\*/gm, '**$1**')
+      .replace(/^• /gm, '- ');
+    sections.push([textBlock('🧭 Executive overview', { size: 'Medium', weight: 'Bolder', separator: true }), textBlock(overview)]);
+  }
+  if (digest.mustReads.length > 0) {
+    sections.push([
+      textBlock('⭐ Must read', { size: 'Medium', weight: 'Bolder', separator: true }),
+      textBlock(digest.mustReads.map((report, index) =>
+        `${index + 1}. [${report.title}](${report.url}) (relevance ${report.structuredSummary.relevanceScore}/5)`).join('\n'))
+    ]);
+  }
+  for (const group of digest.groups) {
+    const lines = group.reports.map(report => {
+      const summary = getStructuredSummary(report);
+      const text = summary ? summary.headline : truncate(report.summary || '', 200);
+      return `- **[${report.title}](${report.url})** (${formatPublicationDate(report)}): ${text}`;
+    });
+    sections.push([
+      textBlock(group.name || 'Reports', { size: 'Medium', weight: 'Bolder', separator: true }),
+      textBlock(lines.join('\n'))
+    ]);
+  }
+  return sections;
+}
+
+function paginateSections(sections) {
+  const cards = [];
+  let body = [];
+  for (const section of sections) {
+    if (body.length > 0 && Buffer.byteLength(JSON.stringify(wrapCard([...body, ...section]))) > MAX_CARD_BYTES) {
+      cards.push(body);
+      body = [];
+    }
+    body.push(...section);
+  }
+  if (body.length > 0) cards.push(body);
+  return cards;
+}
+
+/**
+ * Creates a notifier that posts Adaptive Cards to a Microsoft Teams channel through an incoming webhook.
+ * @param {object} options - `webhookUrl` and `timeoutMs`.
+ * @returns {{name: string, sendReport: Function, sendDigest: Function}} Notifier instance.
+ */
+function createTeamsNotifier(options) {
+  if (!options.webhookUrl) {
+    throw new Error('Teams webhook URL not configured');
+  }
+
+  // Teams webhooks do not return message ids
+  async function post(payload) {
+    await axios.post(options.webhookUrl, payload, { timeout: options.timeoutMs });
+  }
+
+  async function sendReport(report) {
+    await post(formatReportCard(report));
+    return { delivered: true, ids: [] };
+  }
+
+  async function sendDigest(digest) {
+    const cards = paginateSections(formatDigestSections(digest));
+    const parts = [];
+    for (const [index, body] of cards.entries()) {
+      if (cards.length > 1) {
+        body.push(textBlock(`Part ${index + 1}/${cards.length}`, { isSubtle: true, size: 'Small' }));
+      }
+      await post(wrapCard(body));
+      parts.push({ part: index + 1, id: null });
+    }
+    return { delivered: true, totalParts: cards.length, parts };
+  }
+
+  return {
+    name: 'teams',
+    sendReport,
+    sendDigest
+  };
+}
+
+module.exports = {
+  createTeamsNotifier
+};
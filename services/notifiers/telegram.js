@@ -0,0 +1,119 @@
+const axios = require('axios');
+const { formatPublicationDate, truncate, getStructuredSummary, linkReferences, splitLines } = require('./format');
+
+// Telegram rejects messages longer than 4096 characters
+const MAX_MESSAGE_LENGTH = 4000;
+
+function escapeHtml(text) {
+  return String(text || '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+function link(url, label) {
+  return `<a href="${escapeHtml(url)}">${escapeHtml(label)}</a>`;
+}
+
+function formatReportHtml(report) {
+  const summary = getStructuredSummary(report);
+  const lines = [`<b>${link(report.url, report.title)}</b>`, `<i>Published: ${escapeHtml(formatPublicationDate(report))}</i>`, ''];
+
+  if (summary) {
+    lines.push(`<b>${escapeHtml(summary.headline)}</b>`, escapeHtml(summary.summary));
+    if (summary.relevance) {
+      lines.push('', `<b>Why it matters for Kaia:</b> ${escapeHtml(summary.relevance)}`);
+    }
+    if (summary.keyTakeaways.length > 0) {
+      lines.push('', ...summary.keyTakeaways.map(item => `• ${escapeHtml(item)}`));
+    }
+    if (summary.sectors.length > 0) {
+      // Hashtags make reports searchable by sector inside the chat
+      lines.push('', summary.sectors.map(sector => `#${sector.replace(/[^\p{L}\p{N}_]/gu, '')}`).join(' '));
+    }
+  } else {
+    lines.push(escapeHtml(report.summary || 'No summary available.'));
+  }
+
+  if (report.relatedReports && report.relatedReports.length > 0) {
+    lines.push('', '<b>Related past reports:</b>', ...report.relatedReports.map(related => `• ${link(related.url, related.title)}`));
+  }
+  return lines.join('\n');
+}
+
+function formatDigestHtml(digest) {
+  const lines = [`<b>📰 ${escapeHtml(digest.title)}</b>`, escapeHtml(digest.intro)];
+
+  if (digest.overview) {
+    // Escape first, then turn Slack-style *bold* part names and [n] references into HTML
+    const overview = linkReferences(escapeHtml(digest.overview), digest.reports, link)
+      .replace(/^\*([^*\n]+)\*/gm, '<b>$1</b>');
+    lines.push('', '<b>🧭 Executive overview</b>', overview);
+  }
+  if (digest.mustReads.length > 0) {
+    lines.push('', '<b>⭐ Must read</b>', ...digest.mustReads.map((report, index) =>
+      `${index + 1}. ${link(report.url, report.title)} (relevance ${report.structuredSummary.relevanceScore}/5)`));
+  }
+  for (const group of digest.groups) {
+    lines.push('');
+    if (group.name) lines.push(`<b>${escapeHtml(group.name)}</b>`);
+    for (const report of group.reports) {
+      const summary = getStructuredSummary(report);
+      const text = summary ? summary.headline : truncate(report.summary || '', 200);
+      lines.push(`• ${link(report.url, report.title)} (${escapeHtml(formatPublicationDate(report))})\n  ${escapeHtml(text)}`);
+    }
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Creates a notifier that posts to a Telegram chat through a bot.
+ * @param {object} options - `botToken`, `chatId`, `apiBaseUrl` and `timeoutMs`.
+ * @returns {{name: string, sendReport: Function, sendDigest: Function}} Notifier instance.
+ */
+function createTelegramNotifier(options) {
+  if (!options.botToken || !options.chatId) {
+    throw new Error('Telegram bot token or chat id not configured');
+  }
+
+  const client = axios.create({
+    baseURL: `${(options.apiBaseUrl || 'https://api.telegram.org').replace(/\/+$/, '')}/bot${options.botToken}`,
+    timeout: options.timeoutMs
+  });
+
+  async function send(text) {
+    const response = await client.post('/sendMessage', {
+      chat_id: options.chatId,
+      text,
+      parse_mode: 'HTML',
+      disable_web_page_preview: true
+    });
+    if (!response.data || !response.data.ok) {
+      throw new Error(`Telegram API error: ${(response.data && response.data.description) || 'unknown error'}`);
+    }
+    return response.data.result.message_id;
+  }
+
+  async function sendReport(report) {
+    // Only very long summaries exceed the limit; cutting at a line break keeps the HTML tags balanced
+    const id = await send(splitLines(formatReportHtml(report), MAX_MESSAGE_LENGTH)[0]);
+    return { delivered: true, ids: [id] };
+  }
+
+  async function sendDigest(digest) {
+    const chunks = splitLines(formatDigestHtml(digest), MAX_MESSAGE_LENGTH - 20);
+    const parts = [];
+    for (const [index, chunk] of chunks.entries()) {
+      const footer = chunks.length > 1 ? `\n\n<i>Part ${index + 1}/${chunks.length}</i>` : '';
+      parts.push({ part: index + 1, id: await send(`${chunk}${footer}`) });
+    }
+    return { delivered: true, totalParts: chunks.length, parts };
+  }
+
+  return {
+    name: 'telegram',
+    sendReport,
+    sendDigest
+  };
+}
+
+module.exports = {
+  createTelegramNotifier
+};
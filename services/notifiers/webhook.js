@@ -0,0 +1,66 @@
+const axios = require('axios');
+
+// Report fields sent to webhooks; the full body is left out to keep payloads small
+function toPayloadReport(report) {
+  return {
+    url: report.url,
+    title: report.title,
+    publicationDate: report.publicationDate || null,
+    category: report.category || null,
+    summary: report.summary || '',
+    structuredSummary: report.structuredSummary || null,
+    relatedReports: report.relatedReports || []
+  };
+}
+
+/**
+ * Creates a notifier that POSTs JSON events to any HTTP endpoint:
+ * `{event: "report", report}` for each new report and `{event: "digest", digest}` for digests.
+ * @param {object} options - `url`, optional `headers` and `timeoutMs`.
+ * @returns {{name: string, sendReport: Function, sendDigest: Function}} Notifier instance.
+ */
+function createWebhookNotifier(options) {
+  if (!options.url) {
+    throw new Error('Webhook URL not configured');
+  }
+
+  async function post(payload) {
+    const response = await axios.post(options.url, { ...payload, sentAt: new Date().toISOString() }, {
+      headers: options.headers || {},
+      timeout: options.timeoutMs
+    });
+    return response.data && response.data.id ? String(response.data.id) : null;
+  }
+
+  async function sendReport(report) {
+    const id = await post({ event: 'report', report: toPayloadReport(report) });
+    return { delivered: true, ids: [id] };
+  }
+
+  async function sendDigest(digest) {
+    const id = await post({
+      event: 'digest',
+      digest: {
+        cadence: digest.cadence,
+        title: digest.title,
+        intro: digest.intro,
+        overview: digest.overview,
+        // Overview references [n] point into this list
+        reports: digest.reports.map(toPayloadReport),
+        mustReads: digest.mustReads.map(report => report.url),
+        groups: digest.groups.map(group => ({ name: group.name, reports: group.reports.map(report => report.url) }))
+      }
+    });
+    return { delivered: true, totalParts: 1, parts: [{ part: 1, id }] };
+  }
+
+  return {
+    name: 'webhook',
+    sendReport,
+    sendDigest
+  };
+}
+
+module.exports = {
+  createWebhookNotifier
+};
@@ -0,0 +1,143 @@
+const axios = require('axios');
+const pdfParse = require('pdf-parse');
+const { loadConfigFromEnv } = require('../config/config');
+const logger = require('../utils/logger');
+
+// Load configuration
+const appConfig = loadConfigFromEnv();
+const PDF_CONFIG = appConfig.PDF_CONFIG;
+
+/**
+ * Collects links to PDF files from the report content (or the whole page if the content element is missing).
+ * @param {object} page - Puppeteer page showing the report.
+ * @returns {Promise<string[]>} Absolute PDF URLs, in page order, without duplicates.
+ */
+async function findPdfLinks(page) {
+  const links = await page.evaluate(() => {
+    const root = document.querySelector('.delphi-report-content') || document.body;
+    return Array.from(root.querySelectorAll('a[href]'))
+      .filter(anchor => {
+        const href = anchor.href || '';
+        let pathname = '';
+        try {
+          pathname = new URL(href).pathname;
+        } catch (error) {
+          return false;
+        }
+        return /\.pdf$/i.test(pathname) ||
+          (anchor.getAttribute('type') || '').toLowerCase() === 'application/pdf' ||
+          (anchor.hasAttribute('download') && /pdf/i.test(`${anchor.getAttribute('download')} ${anchor.innerText}`));
+      })
+      .map(anchor => anchor.href);
+  });
+  return [...new Set(links.map(link => link.split('#')[0]))];
+}
+
+/**
+ * Downloads a PDF with the browser session's cookies, so members-only files are accessible.
+ * @param {object} page - Logged-in Puppeteer page.
+ * @param {string} url - PDF URL.
+ * @returns {Promise<Buffer>}
+ * @throws {Error} On HTTP errors, oversized files or responses that are not PDFs.
+ */
+async function downloadPdf(page, url) {
+  const cookies = await page.cookies(url);
+  const response = await axios.get(url, {
+    responseType: 'arraybuffer',
+    timeout: PDF_CONFIG.timeoutMs,
+    maxContentLength: PDF_CONFIG.maxBytes,
+    headers: {
+      Cookie: cookies.map(cookie => `${cookie.name}=${cookie.value}`).join('; '),
+      'User-Agent': await page.browser().userAgent(),
+      Referer: page.url()
+    }
+  });
+
+  const buffer = Buffer.from(response.data);
+  // Expired links often answer with an HTML login page and status 200
+  if (buffer.subarray(0, 5).toString('latin1') !== '%PDF-') {
+    throw new Error(`Response is not a PDF (content-type: ${response.headers['content-type'] || 'unknown'})`);
+  }
+  return buffer;
+}
+
+/**
+ * Extracts the text of a PDF.
+ * @param {Buffer} buffer - PDF file contents.
+ * @returns {Promise<{text: string, pages: number}>} Text of the first PDF_CONFIG.maxPages pages.
+ */
+async function extractPdfText(buffer) {
+  const result = await pdfParse(buffer, { max: PDF_CONFIG.maxPages });
+  const text = result.text
+    .replace(/[ \t]+\n/g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+  return { text: text.substring(0, PDF_CONFIG.maxCharsPerFile), pages: result.numpages };
+}
+
+function getFileName(url) {
+  try {
+    return decodeURIComponent(new URL(url).pathname.split('/').pop()) || url;
+  } catch (error) {
+    return url;
+  }
+}
+
+/**
+ * Finds, downloads and extracts the PDFs linked from a report page.
+ * A PDF that cannot be downloaded or read is skipped; the others are still returned.
+ * @param {object} page - Logged-in Puppeteer page showing the report.
+ * @returns {Promise<Array<{url: string, fileName: string, pages: number, text: string}>>}
+ */
+async function fetchPdfAttachments(page) {
+  if (!PDF_CONFIG.enabled) return [];
+
+  let links;
+  try {
+    links = await findPdfLinks(page);
+  } catch (error) {
+    logger.warn(`Could not look for PDF attachments on ${page.url()}: ${error.message}`);
+    return [];
+  }
+  if (links.length === 0) return [];
+  if (links.length > PDF_CONFIG.maxFiles) {
+    logger.warn(`Found ${links.length} PDF links on ${page.url()}; only the first ${PDF_CONFIG.maxFiles} are read.`);
+  }
+
+  const attachments = [];
+  for (const url of links.slice(0, PDF_CONFIG.maxFiles)) {
+    try {
+      const { text, pages } = await extractPdfText(await downloadPdf(page, url));
+      if (!text) {
+        // Scanned PDFs have no text layer; OCR is out of scope
+        logger.warn(`PDF attachment has no extractable text: ${url}`);
+        continue;
+      }
+      logger.info(`Extracted ${text.length} characters from ${pages}-page PDF attachment: ${url}`);
+      attachments.push({ url, fileName: getFileName(url), pages, text });
+    } catch (error) {
+      logger.warn(`Failed to read PDF attachment ${url}: ${error.message}`);
+    }
+  }
+  return attachments;
+}
+
+/**
+ * Appends the text of PDF attachments to the report text, each under a heading naming the file.
+ * @param {string} body - Report page text.
+ * @param {Array<{fileName: string, pages: number, text: string}>} attachments - Extracted PDFs.
+ * @returns {string}
+ */
+function mergeAttachmentText(body, attachments) {
+  return [
+    body || '',
+    ...attachments.map(attachment => `=== Attached PDF: ${attachment.fileName} (${attachment.pages} pages) ===\n\n${attachment.text}`)
+  ].filter(Boolean).join('\n\n');
+}
+
+module.exports = {
+  findPdfLinks,
+  fetchPdfAttachments,
+  extractPdfText,
+  mergeAttachmentText
+};
@@ -0,0 +1,164 @@
+const { getProvider, getSummary } = require('./ai');
+const { renderSummaryText } = require('./summary-schema');
+const { embedReport, findRelatedReports } = require('./embeddings');
+const { getNotifiers, notifyReport } = require('./notifier');
+const { REPORT_STATUS, getReport, upsertReport } = require('../utils/report-store');
+const { indexReport } = require('../utils/search-index');
+const logger = require('../utils/logger');
+
+/**
+ * Sends a summarized report through every active notifier and records the outcome on the archived record:
+ * per-notifier `notifications`, the Slack message ts and status POSTED if any notifier delivered it.
+ * @param {object} report - Report with its summary, structured summary and related reports.
+ * @returns {Promise<{results: object, deliveredTo: string[]}>} Results keyed by notifier name.
+ */
+async function deliverReport(report) {
+  const results = await notifyReport(report);
+
+  const notifications = {};
+  for (const [name, result] of Object.entries(results)) {
+    notifications[name] = result.delivered
+      ? { delivered: true, deliveredAt: new Date().toISOString() }
+      : { delivered: false, error: result.error || null };
+  }
+  const update = { url: report.url, notifications };
+  if (results.slack && results.slack.delivered) {
+    update.slackTs = results.slack.posts[0].ts;
+    update.slackDetailsTs = results.slack.posts[0].detailsTs;
+    update.slackPosts = results.slack.posts;
+  }
+
+  const deliveredTo = Object.keys(results).filter(name => results[name].delivered);
+  if (deliveredTo.length > 0) {
+    update.status = REPORT_STATUS.POSTED;
+  }
+  await upsertReport(update);
+  return { results, deliveredTo };
+}
+
+// Summarizes a stored report and refreshes its search index entry, embedding and related reports
+async function summarizeStoredReport(report, { skipCache }) {
+  const { url } = report;
+  const structuredSummary = await getSummary(report.title, report.body, { url, skipCache });
+  if (!structuredSummary) {
+    await upsertReport({ url, status: REPORT_STATUS.FAILED, error: 'Error: Failed to get summary from AI provider.' });
+    return null;
+  }
+
+  const storedReport = await upsertReport({
+    url,
+    summary: renderSummaryText(structuredSummary),
+    structuredSummary,
+    // Keep POSTED so a re-summarized report is not mistaken for an unsent one
+    status: report.status === REPORT_STATUS.POSTED ? REPORT_STATUS.POSTED : REPORT_STATUS.SUMMARIZED,
+    // Kept by the store once set, so re-summarizing does not move the report into a new digest
+    summarizedAt: new Date().toISOString(),
+    error: null
+  });
+  await indexReport(storedReport);
+  if (await embedReport(storedReport)) {
+    await upsertReport({ url, relatedReports: await findRelatedReports(url) });
+  }
+  return structuredSummary;
+}
+
+// Checks shared by summarizeReport and resummarizeReport; returns an error result or null
+function checkSummarizable(report) {
+  if (!report) {
+    return { ok: false, message: 'Report not found.' };
+  }
+  if (!report.body) {
+    return { ok: false, message: 'The report has no stored content to summarize.' };
+  }
+  if (!getProvider()) {
+    return { ok: false, message: 'No AI provider is configured.' };
+  }
+  return null;
+}
+
+/**
+ * Summarizes an archived report from its stored content (using the summary cache) and
+ * indexes, embeds and links it like the full flow does. The report is not posted.
+ * @param {string} url - Report URL.
+ * @returns {Promise<{ok: boolean, message: string}>}
+ */
+async function summarizeReport(url) {
+  const report = await getReport(url);
+  const problem = checkSummarizable(report);
+  if (problem) return problem;
+
+  const structuredSummary = await summarizeStoredReport(report, { skipCache: false });
+  if (!structuredSummary) {
+    return { ok: false, message: 'The AI provider did not return a summary. Check the logs for details.' };
+  }
+  logger.info(`Summarized "${report.title}"${structuredSummary.degraded ? ' (degraded plain-text summary)' : ''}`);
+  return { ok: true, message: 'Summarized.' };
+}
+
+/**
+ * Summarizes an archived report again, bypassing the summary cache, and refreshes its
+ * search index entry, embedding and related reports. The report is not re-posted.
+ * @param {string} url - Report URL.
+ * @returns {Promise<{ok: boolean, message: string}>}
+ */
+async function resummarizeReport(url) {
+  const report = await getReport(url);
+  const problem = checkSummarizable(report);
+  if (problem) return problem;
+
+  const structuredSummary = await summarizeStoredReport(report, { skipCache: true });
+  if (!structuredSummary) {
+    return { ok: false, message: 'The AI provider did not return a summary. Check the logs for details.' };
+  }
+
+  logger.info(`Re-summarized "${report.title}"${structuredSummary.degraded ? ' (degraded plain-text summary)' : ''}`);
+  return { ok: true, message: structuredSummary.degraded ? 'Re-summarized, but only a plain-text summary could be produced.' : 'Re-summarized.' };
+}
+
+/**
+ * Sends an archived report's summary through the active notifiers again.
+ * @param {string} url - Report URL.
+ * @returns {Promise<{ok: boolean, message: string}>}
+ */
+async function repostReport(url) {
+  const report = await getReport(url);
+  if (!report) {
+    return { ok: false, message: 'Report not found.' };
+  }
+  if (!report.summary || report.summary.startsWith('Error:')) {
+    return { ok: false, message: 'The report has no summary yet. Re-summarize it first.' };
+  }
+  if (!getNotifiers().some(notifier => notifier.sendReport)) {
+    return { ok: false, message: 'No notifier that posts individual reports is configured.' };
+  }
+
+  const { results, deliveredTo } = await deliverReport(report);
+  const failed = Object.keys(results).filter(name => !results[name].delivered);
+  logger.info(`Re-posted "${report.title}" via ${deliveredTo.join(', ') || 'no notifier'}`);
+  if (deliveredTo.length === 0) {
+    return { ok: false, message: `Not delivered by ${failed.join(', ')}.` };
+  }
+  return { ok: true, message: `Posted via ${deliveredTo.join(', ')}${failed.length > 0 ? `; failed: ${failed.join(', ')}` : ''}.` };
+}
+
+/**
+ * Marks an archived report as skipped, e.g. when it is not worth summarizing or posting.
+ * @param {string} url - Report URL.
+ * @returns {Promise<{ok: boolean, message: string}>}
+ */
+async function markReportSkipped(url) {
+  const report = await getReport(url);
+  if (!report) {
+    return { ok: false, message: 'Report not found.' };
+  }
+  const stored = await upsertReport({ url, status: REPORT_STATUS.SKIPPED });
+  return stored ? { ok: true, message: 'Marked as skipped.' } : { ok: false, message: 'Could not update the report archive.' };
+}
+
+module.exports = {
+  deliverReport,
+  summarizeReport,
+  resummarizeReport,
+  repostReport,
+  markReportSkipped
+};
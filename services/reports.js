@@ -1,116 +1,290 @@
 const fs = require("fs").promises;
 const logger = require("../utils/logger"); // Import the shared logger
+const { fetchPdfAttachments, mergeAttachmentText } = require("./pdf-attachments");
+const { loadConfigFromEnv } = require("../config/config");
+const { normalizeReportUrl } = require("../utils/report-store");
+const { writeSeededLinks } = require("../utils/link-tracker");
+
+// Load configuration
+const appConfig = loadConfigFromEnv();
+const CRAWL_CONFIG = appConfig.CRAWL_CONFIG;
 
 /**
- * Fetches report links from the Delphi website, stopping when the last visited link is found.
+ * Loads the reports listing, retrying when the page fails to load or shows a login prompt.
  * @param {object} page - Puppeteer page object.
  * @param {string} url - The URL of the Delphi reports page.
- * @param {string|null} lastVisitedUrl - The URL of the last report processed.
- * @returns {Promise<Array<{url: string, title: string}>>} - Array of new report links (newest first).
+ * @throws {Error} When the listing could not be loaded after 3 attempts.
  */
-async function checkForNewReports(page, url, lastVisitedUrl) {
-  try {
-    logger.info("Checking for new reports...");
-    logger.info(`Navigating to URL: ${url}`);
+async function loadReportsPage(page, url) {
+  logger.info(`Navigating to URL: ${url}`);
 
-    let retryCount = 0;
-    const maxRetries = 3;
+  let retryCount = 0;
+  const maxRetries = 3;
 
-    while (retryCount < maxRetries) {
-      try {
-        await page.goto(url, {
-          waitUntil: "networkidle0",
-          timeout: 60000,
-        });
-        logger.info("Page loaded successfully");
-
-        const currentUrl = page.url();
-        logger.info(`Current URL: ${currentUrl}`);
-
-        if (currentUrl.includes("/login")) {
-          logger.warn("Redirected to login page - session may have expired");
-          throw new Error("Authentication required, redirected to login page");
-        }
+  while (retryCount < maxRetries) {
+    try {
+      await page.goto(url, {
+        waitUntil: "networkidle0",
+        timeout: 60000,
+      });
+      logger.info("Page loaded successfully");
 
-        await page.waitForSelector('a[href*="/reports/"]', {
-          timeout: 30000,
-          visible: true,
-        });
-        logger.info("Found report links indicator on page");
-
-        const pageText = await page.evaluate(() => document.body.innerText);
-        if (
-          pageText.toLowerCase().includes("sign in to continue") ||
-          pageText.toLowerCase().includes("log in to access")
-        ) {
-          logger.warn(
-            "Found login prompt text on page - session may be invalid or expired."
-          );
-          throw new Error("Invalid session: Login prompt detected on page");
-        }
+      const currentUrl = page.url();
+      logger.info(`Current URL: ${currentUrl}`);
+
+      if (currentUrl.includes("/login")) {
+        logger.warn("Redirected to login page - session may have expired");
+        throw new Error("Authentication required, redirected to login page");
+      }
 
-        break;
-      } catch (error) {
-        retryCount++;
+      await page.waitForSelector('a[href*="/reports/"]', {
+        timeout: 30000,
+        visible: true,
+      });
+      logger.info("Found report links indicator on page");
+
+      const pageText = await page.evaluate(() => document.body.innerText);
+      if (
+        pageText.toLowerCase().includes("sign in to continue") ||
+        pageText.toLowerCase().includes("log in to access")
+      ) {
         logger.warn(
-          `Attempt ${retryCount} to load reports page failed: ${error.message}`
+          "Found login prompt text on page - session may be invalid or expired."
         );
+        throw new Error("Invalid session: Login prompt detected on page");
+      }
 
-        if (retryCount === maxRetries) {
-          logger.error(
-            `Failed to load reports page after ${maxRetries} attempts: ${error.message}`
-          );
-          throw new Error(
-            `Failed after ${maxRetries} attempts: ${error.message}`
-          );
-        }
+      return;
+    } catch (error) {
+      retryCount++;
+      logger.warn(
+        `Attempt ${retryCount} to load reports page failed: ${error.message}`
+      );
 
-        await new Promise((resolve) => setTimeout(resolve, 5000));
-        logger.info(`Retrying page load (attempt ${retryCount + 1})...`);
+      if (retryCount === maxRetries) {
+        logger.error(
+          `Failed to load reports page after ${maxRetries} attempts: ${error.message}`
+        );
+        throw new Error(
+          `Failed after ${maxRetries} attempts: ${error.message}`
+        );
       }
+
+      await new Promise((resolve) => setTimeout(resolve, 5000));
+      logger.info(`Retrying page load (attempt ${retryCount + 1})...`);
     }
+  }
+}
 
-    const metrics = await page.metrics();
-    logger.debug("Page metrics:", { metrics });
+// Reads the report links currently in the DOM, in page order, with the date shown next to each link if any
+function readListedReports(page) {
+  return page.evaluate(() => {
+    const links = [];
+    for (const el of document.querySelectorAll('a[href*="/reports/"]')) {
+      const title =
+        el.textContent.trim() ||
+        el.getAttribute("title") ||
+        el.getAttribute("aria-label") ||
+        "";
+      if (!el.href || !title) continue;
 
-    const linksData = await page.evaluate((stopUrl) => {
-      const reportLinks = document.querySelectorAll('a[href*="/reports/"]');
-      console.log(
-        `[Browser] Found ${reportLinks.length} potential report links on page`
-      );
+      const card = el.closest("article, li, [class*='card']") || el;
+      const time = card.querySelector("time");
+      const listedAt = time ? time.getAttribute("datetime") || time.innerText.trim() : null;
+      links.push({ url: el.href, title, listedAt: listedAt || null });
+    }
+    return links;
+  });
+}
 
-      const newLinks = [];
-      const uniqueUrls = new Set();
-
-      for (const el of reportLinks) {
-        const currentUrl = el.href;
-        const title =
-          el.textContent.trim() ||
-          el.getAttribute("title") ||
-          el.getAttribute("aria-label") ||
-          "";
-
-        if (stopUrl && currentUrl === stopUrl) {
-          console.log(
-            `[Browser] Reached last visited URL: ${stopUrl}. Stopping link collection.`
-          );
-          break;
-        }
+/**
+ * Loads the next batch of reports on the listing: follows a "next page" link, clicks a
+ * "Load more" style button, or scrolls to the bottom for infinite scroll.
+ * @param {object} page - Puppeteer page showing the listing.
+ * @returns {Promise<boolean>} False when there is nothing more to load.
+ */
+async function loadMoreReports(page) {
+  const before = await page.evaluate(
+    () => document.querySelectorAll('a[href*="/reports/"]').length
+  );
+
+  const action = await page.evaluate(() => {
+    const relNext = document.querySelector('a[rel~="next"], link[rel~="next"]');
+    if (relNext && relNext.href) {
+      return { type: "navigate", href: relNext.href };
+    }
+
+    // Whole-text match, so report titles like "Next-gen rollups" are not mistaken for controls
+    const pattern = /^(load more|show more|view more|more reports|older( reports| posts)?|next( page)?)\s*[›»→>]?$/i;
+    const control = Array.from(
+      document.querySelectorAll('button, a, [role="button"]')
+    ).find(
+      (el) =>
+        !el.disabled &&
+        el.getAttribute("aria-disabled") !== "true" &&
+        pattern.test((el.innerText || el.getAttribute("aria-label") || "").trim())
+    );
+    if (control) {
+      const href = control.tagName === "A" ? control.getAttribute("href") : null;
+      if (href && !href.startsWith("#") && !href.startsWith("javascript:")) {
+        return { type: "navigate", href: control.href };
+      }
+      control.scrollIntoView();
+      control.click();
+      return { type: "click" };
+    }
+
+    window.scrollTo(0, document.body.scrollHeight);
+    return { type: "scroll" };
+  });
+
+  if (action.type === "navigate") {
+    logger.debug(`Following next page link: ${action.href}`);
+    await page.goto(action.href, { waitUntil: "networkidle0", timeout: 60000 });
+    return true;
+  }
+
+  try {
+    await page.waitForFunction(
+      (count) => document.querySelectorAll('a[href*="/reports/"]').length > count,
+      { timeout: CRAWL_CONFIG.loadMoreTimeoutMs },
+      before
+    );
+    return true;
+  } catch (error) {
+    logger.debug(`No more reports appeared after ${action.type}: ${error.message}`);
+    return false;
+  }
+}
+
+// "2025-04-10T..." and "Apr 10, 2025" both become "2025-04-10"; null if unparseable
+function toDay(value) {
+  if (!value) return null;
+  if (/^\d{4}-\d{2}-\d{2}/.test(value)) return value.substring(0, 10);
+  const date = new Date(value);
+  if (isNaN(date)) return null;
+  const pad = (number) => String(number).padStart(2, "0");
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+// Normalized URLs listed right after `stopUrl`, loading more of the listing if the page ends first.
+// After a "next page" navigation the stop URL is gone and the new page's links are all below it.
+async function readLinksBelow(page, stopUrl, count) {
+  for (let attempt = 0; ; attempt++) {
+    const urls = [...new Set((await readListedReports(page)).map((link) => normalizeReportUrl(link.url)))];
+    const below = urls.slice(urls.indexOf(stopUrl) + 1);
+    if (below.length >= count || attempt >= 2 || !(await loadMoreReports(page))) {
+      return below.slice(0, count);
+    }
+  }
+}
+
+/**
+ * Collects report links from the listing that is already loaded in the page, loading more
+ * pages until one of the stop conditions is met. Links are returned with normalized URLs.
+ * Without `stopUrl`, `seenUrls` or `since`, only the first page is read.
+ * @param {object} page - Puppeteer page showing the listing.
+ * @param {object} options
+ * @param {Set<string>} [options.seenUrls] - Normalized URLs of processed reports. They are left out, and the
+ *   crawl stops after CRAWL_CONFIG.seenGraceWindow of them in a row, so a few edited reports bumped
+ *   to the top of the listing do not end it early.
+ * @param {string|null} [options.stopUrl] - Stop at this link (it is not included). Only for seeding a crawl
+ *   that has no seen URLs to stop at: it ends the crawl wherever the link is listed.
+ * @param {string|null} [options.since] - Stop once the listing shows a report dated before this day (YYYY-MM-DD).
+ * @param {number} [options.maxPages] - Give up after loading this many pages.
+ * @returns {Promise<{links: Array<{url: string, title: string, listedAt: string|null}>, complete: boolean, seen: number, seedUrls: string[]}>}
+ *   Links newest first; `complete` is false when `maxPages` was hit before a stop condition;
+ *   `seen` counts the links left out because they were in `seenUrls`; with a `stopUrl`, `seedUrls` holds
+ *   what later crawls can stop at instead: the stop URL and the CRAWL_CONFIG.seenGraceWindow links listed
+ *   below it when it was reached, or the run of seen links that ended the crawl before it.
+ */
+async function collectReportLinks(page, { seenUrls = null, stopUrl = null, since = null, maxPages = CRAWL_CONFIG.maxPages } = {}) {
+  const links = new Map();
+  const skipped = new Set();
+  const normalizedStopUrl = stopUrl ? normalizeReportUrl(stopUrl) : null;
+  const hasSeenUrls = Boolean(seenUrls && seenUrls.size > 0);
+  const seenStreak = [];
+  const result = (complete, seedUrls = []) => ({ links: [...links.values()], complete, seen: skipped.size, seedUrls });
+
+  for (let pageNumber = 1; ; pageNumber++) {
+    let added = 0;
+    const skippedBefore = skipped.size;
+    for (const link of await readListedReports(page)) {
+      const url = normalizeReportUrl(link.url);
+      // Infinite scroll keeps earlier links in the DOM
+      if (links.has(url) || skipped.has(url)) continue;
 
-        if (currentUrl && title && !uniqueUrls.has(currentUrl)) {
-          newLinks.push({
-            url: currentUrl,
-            title: title,
-          });
-          uniqueUrls.add(currentUrl);
-          console.log(`[Browser] Added link: ${title} (${currentUrl})`);
-        } else if (!uniqueUrls.has(currentUrl)) {
-          console.log(`[Browser] Skipping link with no title: ${currentUrl}`);
+      if (normalizedStopUrl && url === normalizedStopUrl) {
+        logger.info(`Reached last visited URL on page ${pageNumber}: ${stopUrl}`);
+        const below = await readLinksBelow(page, normalizedStopUrl, CRAWL_CONFIG.seenGraceWindow);
+        return result(true, [normalizedStopUrl, ...below]);
+      }
+      if (hasSeenUrls && seenUrls.has(url)) {
+        skipped.add(url);
+        seenStreak.push(url);
+        if (seenStreak.length >= CRAWL_CONFIG.seenGraceWindow) {
+          logger.info(`Reached ${seenStreak.length} already processed reports in a row on page ${pageNumber}`);
+          // Seen URLs alone are enough to stop at now, so a pending stop URL is no longer needed
+          return result(true, normalizedStopUrl ? seenStreak : []);
         }
+        continue;
       }
+      seenStreak.length = 0;
+      links.set(url, { ...link, url });
+      added++;
+    }
+    logger.info(`Listing page ${pageNumber}: ${added} new links (${links.size} total, ${skipped.size} already processed)`);
 
-      return newLinks;
-    }, lastVisitedUrl);
+    if (!normalizedStopUrl && !hasSeenUrls && !since) {
+      return result(true);
+    }
+    const listedDays = [...links.values()].map((link) => toDay(link.listedAt)).filter(Boolean).sort();
+    if (since && listedDays.length > 0 && listedDays[0] < since) {
+      logger.info(`Reached reports listed before ${since} on page ${pageNumber}`);
+      return result(true);
+    }
+    if (pageNumber > 1 && added === 0 && skipped.size === skippedBefore) {
+      logger.info("Listing returned no new links; reached the end");
+      return result(true);
+    }
+    if (pageNumber >= maxPages) {
+      logger.warn(`Stopped after ${maxPages} listing pages without reaching the stop condition`);
+      return result(false);
+    }
+    if (!(await loadMoreReports(page))) {
+      logger.info(`No more reports to load after page ${pageNumber}`);
+      return result(true);
+    }
+  }
+}
+
+/**
+ * Fetches report links from the Delphi website that have not been processed yet.
+ * Reports already in the archive are skipped by URL (ignoring query strings and fragments), so a
+ * removed, re-ordered or edited report can never cause a re-post. Follows pagination or infinite
+ * scroll (up to CRAWL_CONFIG.maxPages) until a run of already processed reports or the stop URL is found.
+ * @param {object} page - Puppeteer page object.
+ * @param {string} url - The URL of the Delphi reports page.
+ * @param {object} [options]
+ * @param {Set<string>} [options.seenUrls] - Normalized URLs of processed reports (see loadSeenUrls).
+ * @param {string|null} [options.stopUrl] - Stop at this link (the last visited one); only used to seed a crawl
+ *   that has no seeded links yet. When it is reached, it and the links below it are stored as seeded links
+ *   (see writeSeededLinks) so later crawls stop at them through `seenUrls`.
+ *   Without either option only the first page is read.
+ * @returns {Promise<Array<{url: string, title: string}>>} - Array of new report links (newest first).
+ */
+async function checkForNewReports(page, url, { seenUrls = null, stopUrl = null } = {}) {
+  try {
+    logger.info("Checking for new reports...");
+    await loadReportsPage(page, url);
+
+    const metrics = await page.metrics();
+    logger.debug("Page metrics:", { metrics });
+
+    const { links: linksData, seen, seedUrls } = await collectReportLinks(page, { seenUrls, stopUrl });
+    if (seedUrls.length > 0) {
+      await writeSeededLinks(seedUrls);
+    }
 
     const now = new Date().toISOString();
     const preparedLinks = linksData.map((link) => ({
@@ -125,10 +299,10 @@ async function checkForNewReports(page, url, lastVisitedUrl) {
     }));
 
     if (preparedLinks.length === 0) {
-      logger.info("No new reports found since the last visit.");
+      logger.info(`No new reports found (${seen} listed reports already processed).`);
     } else {
       logger.info(
-        `Found ${preparedLinks.length} new reports since last visit:`
+        `Found ${preparedLinks.length} new reports (${seen} listed reports already processed):`
       );
       preparedLinks.forEach((link, index) => {
         logger.debug(`${index + 1}. ${link.title}: ${link.url}`);
@@ -146,9 +320,11 @@ async function checkForNewReports(page, url, lastVisitedUrl) {
 
 /**
  * Fetches the main textual content of a given report URL (Simplified).
+ * Text from linked PDF attachments is appended to the page text (see services/pdf-attachments.js).
  * @param {object} page - Puppeteer page object.
  * @param {string} url - The URL of the report page.
- * @returns {Promise<string>} The extracted text content or error string.
+ * @returns {Promise<object|string>} `{reportContent, publicationDate, category, attachments}` or an error string.
+ *   `attachments` lists the PDFs that were read: `{url, fileName, pages, characters}`.
  */
 async function fetchReportContent(page, url) {
   try {
@@ -168,21 +344,30 @@ async function fetchReportContent(page, url) {
       let titleElement = document.querySelector(titleSelectors);
 
       let publicationDate = null;
+      let category = null;
       let publicationDateElement = titleElement.nextElementSibling;
       if (publicationDateElement) {
         publicationDate = publicationDateElement.innerText;
         if (publicationDate) {
-          publicationDate =
-            publicationDate.split("•").length > 1
-              ? publicationDate.split("•")[0]
-              : publicationDate;
-          publicationDate = publicationDate.trim();
+          // The byline reads like "Apr 10, 2025 • DeFi • 12 min read"
+          const bylineParts = publicationDate.split("•").map((part) => part.trim());
+          publicationDate = bylineParts[0];
+          category =
+            bylineParts
+              .slice(1)
+              .find((part) => part && !/\bmin(ute)?s?\b|\bread\b/i.test(part)) || null;
         }
       }
 
-      return { body: bodyText, publicationDate };
+      return { body: bodyText, publicationDate, category };
     });
 
+    // Reports whose substance is in an attached PDF only have a stub on the page
+    const attachments = await fetchPdfAttachments(page);
+    if (reportData && attachments.length > 0) {
+      reportData.body = mergeAttachmentText(reportData.body, attachments);
+    }
+
     if (
       !reportData ||
       !reportData.body ||
@@ -209,7 +394,6 @@ async function fetchReportContent(page, url) {
     logger.info(
       `Fetched content successfully for ${url}. Length: ${reportData.body.length}`
     );
-    debugger;
     if (reportData.publicationDate) {
       logger.info(`Extracted publication date: ${reportData.publicationDate}`);
     } else {
@@ -219,6 +403,13 @@ async function fetchReportContent(page, url) {
     return {
       reportContent: reportData.body,
       publicationDate: reportData.publicationDate,
+      category: reportData.category,
+      attachments: attachments.map(({ url: attachmentUrl, fileName, pages, text }) => ({
+        url: attachmentUrl,
+        fileName,
+        pages,
+        characters: text.length,
+      })),
     };
   } catch (error) {
     logger.error(`Error fetching content for ${url}: ${error.message}`, {
@@ -229,6 +420,9 @@ async function fetchReportContent(page, url) {
 }
 
 module.exports = {
+  loadReportsPage,
+  collectReportLinks,
   checkForNewReports,
   fetchReportContent,
+  toDay,
 };
@@ -0,0 +1,90 @@
+const { loadReports } = require("../utils/report-store");
+const { tokenize, searchReports } = require("../utils/search-index");
+const { estimateTokens } = require("../utils/text-chunker");
+const { answerResearchQuestion } = require("./ai");
+const config = require("../config/config").loadConfigFromEnv();
+const logger = require("../utils/logger");
+
+/**
+ * Picks the paragraphs of a report body that mention the most question terms, within a token budget.
+ * @param {string} body - Report body.
+ * @param {string} question - The question.
+ * @param {number} maxTokens - Token budget for the excerpt.
+ * @returns {string} Excerpt with paragraphs in document order.
+ */
+function extractRelevantPassages(body, question, maxTokens) {
+  const queryTerms = new Set(tokenize(question));
+  const paragraphs = (body || "")
+    .split(/\n\s*\n|\n/)
+    .map((text, index) => ({ text: text.trim(), index }))
+    .filter((paragraph) => paragraph.text);
+
+  const scored = paragraphs
+    .map((paragraph) => ({
+      ...paragraph,
+      score: tokenize(paragraph.text).filter((term) => queryTerms.has(term)).length,
+    }))
+    .filter((paragraph) => paragraph.score > 0)
+    .sort((a, b) => b.score - a.score);
+
+  const selected = [];
+  let used = 0;
+  for (const paragraph of scored) {
+    const tokens = estimateTokens(paragraph.text);
+    if (used + tokens > maxTokens) continue;
+    selected.push(paragraph);
+    used += tokens;
+  }
+
+  return selected
+    .sort((a, b) => a.index - b.index)
+    .map((paragraph) => paragraph.text)
+    .join("\n\n");
+}
+
+/**
+ * Answers a question from the archived reports, citing the reports used.
+ * @param {string} question - Natural language question.
+ * @returns {Promise<{answer: string, sources: Array<{title: string, url: string}>}|null>}
+ *   The answer with its sources, or null if the AI provider failed.
+ */
+async function answerQuestion(question) {
+  const { maxSources, maxContextTokens } = config.QA_CONFIG;
+  // Ranked with the search index's BM25; any content word of the question may match
+  const matches = await searchReports({ query: question, match: "any", limit: maxSources });
+  const reportsByUrl = new Map((await loadReports()).map((report) => [report.url, report]));
+  const ranked = matches
+    .filter((match) => reportsByUrl.has(match.url))
+    .map((match) => ({ report: reportsByUrl.get(match.url), score: match.score }));
+
+  if (ranked.length === 0) {
+    return {
+      answer: "I couldn't find any archived Delphi reports related to that question.",
+      sources: [],
+    };
+  }
+
+  const perSourceTokens = Math.floor(maxContextTokens / ranked.length);
+  const sources = ranked.map(({ report }) => ({
+    title: report.title,
+    url: report.url,
+    publicationDate: report.publicationDate,
+    summary: report.summary,
+    excerpt: extractRelevantPassages(report.body, question, perSourceTokens),
+  }));
+  logger.info(`[QA] Answering "${question}" from ${sources.length} reports`);
+
+  const answer = await answerResearchQuestion(question, sources);
+  if (!answer) {
+    return null;
+  }
+  return {
+    answer,
+    sources: sources.map(({ title, url }) => ({ title, url })),
+  };
+}
+
+module.exports = {
+  extractRelevantPassages,
+  answerQuestion,
+};
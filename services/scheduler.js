@@ -0,0 +1,216 @@
+const fs = require("fs").promises;
+const path = require("path");
+const cron = require("node-cron");
+const cronParser = require("cron-parser");
+const config = require("../config/config").loadConfigFromEnv();
+const logger = require("../utils/logger");
+
+const STATE_FILE = path.resolve(
+  process.cwd(),
+  config.DAEMON_STATE_FILE || "data/daemon_state.json"
+);
+
+// Registered jobs keyed by name
+const jobs = new Map();
+let startedAt = null;
+
+/**
+ * Computes the next time a cron expression fires after the given date.
+ * node-cron 3 has no "next date" API, so the expression is evaluated with cron-parser.
+ * @param {string} expression - Cron expression (5 or 6 fields).
+ * @param {Date} [from] - Start point (exclusive).
+ * @returns {Date|null} The next run time, or null if it cannot be computed.
+ */
+function getNextRunTime(expression, from = new Date()) {
+  try {
+    return cronParser.parseExpression(expression, { currentDate: from }).next().toDate();
+  } catch (error) {
+    logger.error(`Could not compute next run for '${expression}': ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Returns a serializable snapshot of every registered job.
+ * @returns {object} Daemon status with per-job last/next run information.
+ */
+function getSchedulerStatus() {
+  const status = {
+    pid: process.pid,
+    startedAt: startedAt ? startedAt.toISOString() : null,
+    updatedAt: new Date().toISOString(),
+    jobs: {},
+  };
+
+  for (const [name, job] of jobs) {
+    const nextRun = getNextRunTime(job.expression);
+    status.jobs[name] = {
+      schedule: job.expression,
+      running: job.running,
+      lastRunAt: job.lastRunAt,
+      lastFinishedAt: job.lastFinishedAt,
+      lastResult: job.lastResult,
+      lastError: job.lastError,
+      skippedRuns: job.skippedRuns,
+      nextRunAt: nextRun ? nextRun.toISOString() : null,
+    };
+  }
+
+  return status;
+}
+
+// Persist the status snapshot so other processes (e.g. daemon:status) can read it
+async function saveSchedulerState() {
+  try {
+    await fs.mkdir(path.dirname(STATE_FILE), { recursive: true });
+    await fs.writeFile(
+      STATE_FILE,
+      JSON.stringify(getSchedulerStatus(), null, 2),
+      "utf8"
+    );
+  } catch (error) {
+    logger.error(`Error saving daemon state to ${STATE_FILE}: ${error.message}`);
+  }
+}
+
+/**
+ * Loads the last status snapshot written by a running daemon.
+ * @returns {Promise<object|null>} The saved status or null if none exists.
+ */
+async function loadSchedulerState() {
+  try {
+    const data = await fs.readFile(STATE_FILE, "utf8");
+    return JSON.parse(data);
+  } catch (error) {
+    if (error.code !== "ENOENT") {
+      logger.error(`Error reading daemon state from ${STATE_FILE}: ${error.message}`);
+    }
+    return null;
+  }
+}
+
+/**
+ * Runs a registered job now unless a previous run is still in progress.
+ * @param {string} name - Job name.
+ * @returns {Promise<boolean>} True if the job ran and succeeded.
+ */
+async function runJob(name) {
+  const job = jobs.get(name);
+  if (!job) {
+    logger.warn(`[Scheduler] Unknown job: ${name}`);
+    return false;
+  }
+
+  if (job.running) {
+    job.skippedRuns++;
+    logger.warn(
+      `[Scheduler] Skipping '${name}': previous run started at ${job.lastRunAt} is still in progress`
+    );
+    await saveSchedulerState();
+    return false;
+  }
+
+  job.running = true;
+  job.lastRunAt = new Date().toISOString();
+  job.lastError = null;
+  await saveSchedulerState();
+  logger.info(`[Scheduler] Starting job '${name}'`);
+
+  try {
+    const result = await job.handler();
+    job.lastResult = result === false ? "failed" : "success";
+  } catch (error) {
+    job.lastResult = "failed";
+    job.lastError = error.message;
+    logger.error(`[Scheduler] Job '${name}' threw: ${error.message}`, {
+      stack: error.stack,
+    });
+  } finally {
+    job.running = false;
+    job.lastFinishedAt = new Date().toISOString();
+    const nextRun = getNextRunTime(job.expression);
+    logger.info(
+      `[Scheduler] Job '${name}' finished (${job.lastResult}). Next run: ${
+        nextRun ? nextRun.toISOString() : "unknown"
+      }`
+    );
+    await saveSchedulerState();
+  }
+
+  return job.lastResult === "success";
+}
+
+/**
+ * Registers a job on a cron expression. Overlapping runs of the same job are skipped.
+ * @param {string} name - Unique job name.
+ * @param {string} expression - Cron expression.
+ * @param {Function} handler - Async function to run; returning false marks the run as failed.
+ * @returns {boolean} True if the job was scheduled.
+ */
+function scheduleJob(name, expression, handler) {
+  if (!expression || !cron.validate(expression)) {
+    logger.error(`[Scheduler] Invalid cron expression for '${name}': '${expression}'`);
+    return false;
+  }
+  if (jobs.has(name)) {
+    logger.warn(`[Scheduler] Job '${name}' is already scheduled`);
+    return false;
+  }
+
+  const job = {
+    expression,
+    handler,
+    task: null,
+    running: false,
+    lastRunAt: null,
+    lastFinishedAt: null,
+    lastResult: null,
+    lastError: null,
+    skippedRuns: 0,
+  };
+  job.task = cron.schedule(expression, () => runJob(name));
+  jobs.set(name, job);
+
+  if (!startedAt) {
+    startedAt = new Date();
+  }
+
+  const nextRun = getNextRunTime(expression);
+  logger.info(
+    `[Scheduler] Scheduled '${name}' with '${expression}'. Next run: ${
+      nextRun ? nextRun.toISOString() : "unknown"
+    }`
+  );
+  saveSchedulerState();
+  return true;
+}
+
+/**
+ * Stops all scheduled jobs. Runs already in progress are not interrupted.
+ */
+function stopAllJobs() {
+  for (const [name, job] of jobs) {
+    job.task.stop();
+    logger.info(`[Scheduler] Stopped job '${name}'`);
+  }
+}
+
+/**
+ * Resolves once no registered job is running.
+ * @param {number} [pollMs] - Polling interval.
+ */
+async function waitForIdle(pollMs = 1000) {
+  while ([...jobs.values()].some((job) => job.running)) {
+    await new Promise((resolve) => setTimeout(resolve, pollMs));
+  }
+}
+
+module.exports = {
+  scheduleJob,
+  runJob,
+  stopAllJobs,
+  waitForIdle,
+  getNextRunTime,
+  getSchedulerStatus,
+  loadSchedulerState,
+};
@@ -0,0 +1,189 @@
+const { loadReports, getReport } = require("../utils/report-store");
+const { searchReports } = require("../utils/search-index");
+const {
+  formatReportForSlack,
+  formatReportDetailsForSlack,
+  formatSummaryMrkdwn,
+  formatDigestForSlack,
+} = require("./slack");
+const { CADENCES, buildDigestPreview } = require("./digest");
+const logger = require("../utils/logger");
+
+const DEFAULT_LIMIT = 5;
+const MAX_LIMIT = 10;
+
+const HELP_TEXT = [
+  "*Delphi research commands:*",
+  "• `/delphi latest [n]` – the n most recent summarized reports (default 5)",
+  "• `/delphi search <terms>` – search archived reports by title, content and tags",
+  "• `/delphi summary <url>` – the full summary of one report",
+  "• `/delphi digest [daily|weekly|monthly]` – digest of reports from that cadence's lookback window",
+].join("\n");
+
+// Ephemeral replies are only visible to the user who ran the command
+function reply(text, blocks) {
+  return {
+    response_type: "ephemeral",
+    text,
+    blocks: blocks && blocks.length > 0 ? blocks.slice(0, 50) : undefined,
+  };
+}
+
+// Slack wraps links as <https://...> or <https://...|label>
+function unwrapSlackLink(value) {
+  const match = (value || "").trim().match(/^<([^|>]+)(?:\|[^>]*)?>$/);
+  return match ? match[1] : (value || "").trim();
+}
+
+// Sort key: publication date when parseable, otherwise when the report was processed
+function reportTime(report) {
+  const published = new Date(report.publicationDate);
+  return isNaN(published) ? new Date(report.lastChecked || 0).getTime() : published.getTime();
+}
+
+// One list item per report: linked title plus the short summary
+function formatReportListItem(report) {
+  const summary = report.structuredSummary
+    ? formatSummaryMrkdwn(report.structuredSummary)
+    : report.summary || "No summary available.";
+  const published = report.publicationDate ? ` (${report.publicationDate})` : "";
+  return {
+    type: "section",
+    text: {
+      type: "mrkdwn",
+      text: `📝 *<${report.url}|${report.title}>*${published}\n${summary}`.substring(0, 2900),
+    },
+  };
+}
+
+function formatReportList(title, reports) {
+  const blocks = [{ type: "section", text: { type: "mrkdwn", text: title } }];
+  for (const report of reports) {
+    blocks.push({ type: "divider" }, formatReportListItem(report));
+  }
+  return blocks;
+}
+
+async function handleLatest(args) {
+  const requested = parseInt(args[0], 10);
+  const limit = isNaN(requested) ? DEFAULT_LIMIT : Math.min(Math.max(requested, 1), MAX_LIMIT);
+  const reports = (await loadReports())
+    .filter((report) => report.summary)
+    .sort((a, b) => reportTime(b) - reportTime(a))
+    .slice(0, limit);
+
+  if (reports.length === 0) {
+    return reply("No summarized reports in the archive yet.");
+  }
+  return reply(
+    `Latest ${reports.length} Delphi reports`,
+    formatReportList(`*Latest ${reports.length} Delphi reports:*`, reports)
+  );
+}
+
+async function handleSearch(args) {
+  const query = args.join(" ").trim();
+  if (!query) {
+    return reply("Usage: `/delphi search <terms>`");
+  }
+
+  const matches = await searchReports({ query, limit: Infinity });
+  if (matches.length === 0) {
+    return reply(`No reports found for "${query}".`);
+  }
+  const reportsByUrl = new Map((await loadReports()).map((report) => [report.url, report]));
+  const shown = matches
+    .slice(0, DEFAULT_LIMIT)
+    .map((match) => reportsByUrl.get(match.url))
+    .filter(Boolean);
+  return reply(
+    `${matches.length} reports found for "${query}"`,
+    formatReportList(
+      `*${matches.length} reports found for "${query}"*${matches.length > shown.length ? ` (showing top ${shown.length})` : ""}:`,
+      shown
+    )
+  );
+}
+
+async function handleSummary(args) {
+  const url = unwrapSlackLink(args[0]);
+  if (!url) {
+    return reply("Usage: `/delphi summary <report url>`");
+  }
+
+  const report = (await getReport(url)) || (await getReport(url.replace(/\/+$/, "")));
+  if (!report) {
+    return reply(`No archived report found for ${url}.`);
+  }
+  if (!report.summary) {
+    return reply(`"${report.title}" is archived but has no summary yet (status: ${report.status}).`);
+  }
+
+  const blocks = [
+    ...(formatReportForSlack(report) || []),
+    ...(formatReportDetailsForSlack(report) || []),
+  ];
+  return reply(`Summary: ${report.title}`, blocks);
+}
+
+async function handleDigest(args) {
+  const cadence = (args[0] || "daily").toLowerCase();
+  if (!CADENCES.includes(cadence)) {
+    return reply(`Usage: \`/delphi digest [${CADENCES.join("|")}]\``);
+  }
+  const digest = await buildDigestPreview(cadence);
+  if (!digest) {
+    return reply(`No reports were processed in the current ${cadence} digest window.`);
+  }
+  const pages = formatDigestForSlack(digest);
+  if (pages.length === 1) {
+    return reply("Delphi Digital Report Digest", pages[0]);
+  }
+  // Only one message fits in a slash command reply; swap the "continued in thread" footer for a note
+  const blocks = [
+    ...pages[0].slice(0, -1),
+    {
+      type: "context",
+      elements: [
+        {
+          type: "mrkdwn",
+          text: `Showing part 1 of ${pages.length}. The scheduled digest posts the remaining parts in a thread.`,
+        },
+      ],
+    },
+  ];
+  return reply("Delphi Digital Report Digest", blocks);
+}
+
+const COMMANDS = {
+  latest: handleLatest,
+  search: handleSearch,
+  summary: handleSummary,
+  digest: handleDigest,
+};
+
+/**
+ * Handles the text of a `/delphi` slash command.
+ * @param {string} text - Text after the command, e.g. "search restaking yields".
+ * @returns {Promise<object>} Slack response payload.
+ */
+async function handleSlashCommand(text) {
+  const [subcommand, ...args] = (text || "").trim().split(/\s+/);
+  const handler = COMMANDS[(subcommand || "").toLowerCase()];
+  if (!handler) {
+    return reply(HELP_TEXT);
+  }
+
+  try {
+    return await handler(args);
+  } catch (error) {
+    logger.error(`Error handling slash command '${text}': ${error.message}`, {
+      stack: error.stack,
+    });
+    return reply("Sorry, something went wrong while handling that command.");
+  }
+}
+
+module.exports = {
+  handleSlashCommand,
+};
@@ -0,0 +1,117 @@
+const { answerQuestion } = require("./research-qa");
+const { sendSlackMessage } = require("./slack");
+const logger = require("../utils/logger");
+
+// Recently handled event ids; Slack may deliver the same event more than once
+const handledEventIds = new Set();
+const MAX_TRACKED_EVENTS = 500;
+
+function markHandled(eventId) {
+  if (handledEventIds.has(eventId)) return false;
+  handledEventIds.add(eventId);
+  if (handledEventIds.size > MAX_TRACKED_EVENTS) {
+    handledEventIds.delete(handledEventIds.values().next().value);
+  }
+  return true;
+}
+
+// Removes bot mentions like <@U123ABC> from the message text
+function extractQuestion(text) {
+  return (text || "").replace(/<@[A-Z0-9]+>/g, "").trim();
+}
+
+/**
+ * Formats an answer and its numbered sources as Slack blocks.
+ * @param {{answer: string, sources: Array<{title: string, url: string}>}} result
+ * @returns {Array<object>} Slack blocks.
+ */
+function formatAnswerBlocks(result) {
+  const answer = result.answer.length > 2900
+    ? `${result.answer.substring(0, 2900)}... (truncated)`
+    : result.answer;
+  const blocks = [{ type: "section", text: { type: "mrkdwn", text: answer } }];
+
+  if (result.sources.length > 0) {
+    blocks.push({
+      type: "context",
+      elements: [
+        {
+          type: "mrkdwn",
+          text: `*Sources:* ${result.sources
+            .map((source, i) => `[${i + 1}] <${source.url}|${source.title}>`)
+            .join("  ")}`,
+        },
+      ],
+    });
+  }
+
+  return blocks;
+}
+
+// Answers an @mention in a thread under the message that asked
+async function handleAppMention(event) {
+  const question = extractQuestion(event.text);
+  const threadTs = event.thread_ts || event.ts;
+
+  if (!question) {
+    await sendSlackMessage(
+      "Ask me about Delphi research, e.g. \"What has Delphi said about restaking yields?\"",
+      [],
+      { channel: event.channel, threadTs }
+    );
+    return;
+  }
+
+  logger.info(`[Events] Question from ${event.user}: "${question}"`);
+  const result = await answerQuestion(question);
+  if (!result) {
+    await sendSlackMessage(
+      "Sorry, I couldn't generate an answer right now. Please try again later.",
+      [],
+      { channel: event.channel, threadTs }
+    );
+    return;
+  }
+
+  await sendSlackMessage(result.answer, formatAnswerBlocks(result), {
+    channel: event.channel,
+    threadTs,
+  });
+}
+
+/**
+ * Handles a Slack Events API payload. Work is started in the background so the
+ * HTTP response goes out within Slack's 3 second limit.
+ * @param {object} payload - Parsed request body.
+ * @returns {object} JSON body to send back to Slack.
+ */
+function handleSlackEvent(payload) {
+  if (payload.type === "url_verification") {
+    return { challenge: payload.challenge };
+  }
+
+  if (payload.type !== "event_callback" || !payload.event) {
+    return {};
+  }
+
+  const event = payload.event;
+  if (event.type !== "app_mention" || event.bot_id) {
+    return {};
+  }
+  if (!markHandled(payload.event_id || `${event.channel}:${event.ts}`)) {
+    logger.debug(`[Events] Ignoring duplicate event ${payload.event_id}`);
+    return {};
+  }
+
+  handleAppMention(event).catch((error) => {
+    logger.error(`[Events] Failed to answer mention: ${error.message}`, {
+      stack: error.stack,
+    });
+  });
+  return {};
+}
+
+module.exports = {
+  handleSlackEvent,
+  formatAnswerBlocks,
+};
@@ -0,0 +1,159 @@
+const fs = require('fs').promises;
+const path = require('path');
+const logger = require('../utils/logger');
+const { loadConfigFromEnv } = require('../config/config');
+
+// Load configuration
+const appConfig = loadConfigFromEnv();
+
+// Constants
+const ROUTING_FILE = path.resolve(process.cwd(), appConfig.SLACK_ROUTING_FILE || 'config/slack-routing.json');
+
+// Lowercased, trimmed, non-empty strings
+function normalizeTerms(values) {
+  if (!Array.isArray(values)) return [];
+  return values.map(value => String(value).trim().toLowerCase()).filter(Boolean);
+}
+
+// Drops rules without channels or without any criteria so a typo never routes every report
+function normalizeRule(rule, index) {
+  const name = (rule && rule.name) || `rule ${index + 1}`;
+  const channels = rule && Array.isArray(rule.channels)
+    ? rule.channels.map(channel => String(channel).trim()).filter(Boolean)
+    : [];
+  if (channels.length === 0) {
+    logger.warn(`Slack routing: ${name} has no channels. Ignoring it.`);
+    return null;
+  }
+
+  const minRelevanceScore = Number(rule.minRelevanceScore);
+  const normalized = {
+    name,
+    channels,
+    keywords: normalizeTerms(rule.keywords),
+    sectors: normalizeTerms(rule.sectors),
+    categories: normalizeTerms(rule.categories),
+    minRelevanceScore: Number.isFinite(minRelevanceScore) && minRelevanceScore > 0 ? minRelevanceScore : null
+  };
+
+  const hasCriteria = normalized.keywords.length > 0 || normalized.sectors.length > 0 ||
+    normalized.categories.length > 0 || normalized.minRelevanceScore !== null;
+  if (!hasCriteria) {
+    logger.warn(`Slack routing: ${name} has no keywords, sectors, categories or minRelevanceScore. Ignoring it.`);
+    return null;
+  }
+  return normalized;
+}
+
+/**
+ * Loads the routing rules file. A missing file means every report goes to the default channel.
+ * Read on every run so rule changes apply without restarting the daemon.
+ * @returns {Promise<{alwaysPostToDefault: boolean, rules: Array<object>}>}
+ */
+async function loadRoutingConfig() {
+  const routing = { alwaysPostToDefault: false, rules: [] };
+  try {
+    const data = await fs.readFile(ROUTING_FILE, 'utf8');
+    const parsed = JSON.parse(data);
+    const rules = Array.isArray(parsed) ? parsed : parsed.rules;
+    if (!Array.isArray(rules)) {
+      logger.warn(`'${ROUTING_FILE}' has no "rules" array. Routing every report to the default channel.`);
+      return routing;
+    }
+    routing.alwaysPostToDefault = !Array.isArray(parsed) && parsed.alwaysPostToDefault === true;
+    routing.rules = rules.map(normalizeRule).filter(Boolean);
+    logger.debug(`Loaded ${routing.rules.length} Slack routing rules from ${ROUTING_FILE}`);
+  } catch (error) {
+    if (error instanceof SyntaxError) {
+      logger.error(`Error decoding JSON from '${ROUTING_FILE}': ${error.message}. Routing every report to the default channel.`);
+    } else if (error.code !== 'ENOENT') {
+      logger.error(`Error loading Slack routing rules from ${ROUTING_FILE}: ${error.message}`, { stack: error.stack });
+    }
+  }
+  return routing;
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Keywords are matched as whole words against the title and summary, not the full body,
+// which mentions too many topics in passing to route on
+function getKeywordText(report) {
+  const summary = report.structuredSummary || {};
+  return [
+    report.title,
+    report.summary,
+    summary.headline,
+    ...(summary.keyTakeaways || []),
+    ...(summary.tokens || []),
+    ...(summary.protocols || [])
+  ].filter(Boolean).join('\n').toLowerCase();
+}
+
+/**
+ * Checks whether a report satisfies a routing rule.
+ * Every criterion set on the rule must match; within a list any one entry is enough.
+ * @param {object} rule - Normalized routing rule.
+ * @param {object} report - Report with title, summary, category and structuredSummary.
+ * @returns {boolean}
+ */
+function matchesRule(rule, report) {
+  const summary = report.structuredSummary || {};
+
+  if (rule.keywords.length > 0) {
+    const text = getKeywordText(report);
+    const found = rule.keywords.some(keyword =>
+      new RegExp(`(^|[^a-z0-9])${escapeRegExp(keyword)}($|[^a-z0-9])`).test(text));
+    if (!found) return false;
+  }
+
+  if (rule.sectors.length > 0) {
+    const sectors = normalizeTerms(summary.sectors);
+    if (!rule.sectors.some(sector => sectors.includes(sector))) return false;
+  }
+
+  if (rule.categories.length > 0) {
+    const category = (report.category || '').trim().toLowerCase();
+    if (!category || !rule.categories.includes(category)) return false;
+  }
+
+  if (rule.minRelevanceScore !== null) {
+    if (typeof summary.relevanceScore !== 'number' || summary.relevanceScore < rule.minRelevanceScore) {
+      return false;
+    }
+  }
+
+  return true;
+}
+
+/**
+ * Resolves the Slack channels a report should be posted to.
+ * @param {object} report - Report with title, summary, category and structuredSummary.
+ * @param {object} routing - Result of loadRoutingConfig().
+ * @param {string} defaultChannel - Fallback channel for reports no rule matches.
+ * @returns {Array<{channel: string, rules: string[]}>} Channels in rule order, each with the rules that matched.
+ */
+function resolveChannels(report, routing, defaultChannel) {
+  const matches = new Map();
+  for (const rule of routing.rules) {
+    if (!matchesRule(rule, report)) continue;
+    for (const channel of rule.channels) {
+      if (!matches.has(channel)) matches.set(channel, []);
+      matches.get(channel).push(rule.name);
+    }
+  }
+
+  if (defaultChannel && (matches.size === 0 || routing.alwaysPostToDefault) && !matches.has(defaultChannel)) {
+    matches.set(defaultChannel, []);
+  }
+
+  return [...matches].map(([channel, rules]) => ({ channel, rules }));
+}
+
+module.exports = {
+  ROUTING_FILE,
+  loadRoutingConfig,
+  matchesRule,
+  resolveChannels
+};
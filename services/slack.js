@@ -3,6 +3,7 @@ const fs = require("fs").promises;
 const path = require("path");
 const config = require("../config/config").loadConfigFromEnv(); // Import config
 const logger = require("../utils/logger"); // Import the shared logger
+const { formatPublicationDate, linkReferences, splitLines } = require("./notifiers/format");
 
 // Initialize Slack client when module is loaded
 let slack = null;
@@ -109,8 +110,10 @@ async function saveMessageHistory(history) {
   }
 }
 
-// Function to send message to Slack
-async function sendSlackMessage(message, blocks = []) {
+// Function to send message to Slack.
+// Pass `options.threadTs` to post the message as a reply in that message's thread,
+// and `options.channel` to post somewhere other than the configured channel.
+async function sendSlackMessage(message, blocks = [], options = {}) {
   try {
     if (!slack || !slackChannel) {
       // logWithTimestamp('Slack not initialized, skipping notification');
@@ -118,10 +121,12 @@ async function sendSlackMessage(message, blocks = []) {
       return null; // Return null or similar to indicate not sent
     }
 
+    const channel = options.channel || slackChannel;
     const result = await slack.chat.postMessage({
-      channel: slackChannel,
+      channel,
       text: message, // Fallback text
       blocks: blocks.length > 0 ? blocks : undefined, // Use blocks if available
+      thread_ts: options.threadTs || undefined,
     });
 
     // logWithTimestamp(`Message sent to Slack: ${result.ts}`);
@@ -131,7 +136,8 @@ async function sendSlackMessage(message, blocks = []) {
     const messageRecord = {
       timestamp: new Date().toISOString(),
       messageId: result.ts,
-      channel: slackChannel,
+      channel,
+      threadTs: options.threadTs || undefined,
       text: message,
       blocks: blocks.length > 0 ? blocks : undefined,
     };
@@ -152,6 +158,127 @@ async function sendSlackMessage(message, blocks = []) {
   }
 }
 
+// Renders the core of a structured summary (headline, summary, relevance) as mrkdwn
+function formatSummaryMrkdwn(structuredSummary) {
+  const lines = [`*${structuredSummary.headline}*`, structuredSummary.summary];
+  if (structuredSummary.relevance) {
+    lines.push(`_Relevance to Kaia:_ ${structuredSummary.relevance}`);
+  }
+  return lines.join("\n");
+}
+
+// Slack rejects section text longer than 3000 characters
+function truncateMrkdwn(text, maxLength = 2900) {
+  return text.length > maxLength
+    ? `${text.substring(0, maxLength)}... (truncated)`
+    : text;
+}
+
+// Builds the short top-level blocks for a structured summary: headline, relevance and tags
+function formatStructuredSummaryBlocks(structuredSummary) {
+  const blocks = [
+    {
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text: structuredSummary.relevance
+          ? `*${structuredSummary.headline}*\n*Why it matters for Kaia:* ${structuredSummary.relevance}`
+          : `*${structuredSummary.headline}*\n${structuredSummary.summary}`,
+      },
+    },
+  ];
+
+  const contextParts = [];
+  if (structuredSummary.sectors && structuredSummary.sectors.length > 0) {
+    contextParts.push(`*Sectors:* ${structuredSummary.sectors.join(", ")}`);
+  }
+  if (structuredSummary.sentiment) {
+    contextParts.push(`*Sentiment:* ${structuredSummary.sentiment}`);
+  }
+  if (contextParts.length > 0) {
+    blocks.push({
+      type: "context",
+      elements: contextParts.map((text) => ({ type: "mrkdwn", text })),
+    });
+  }
+
+  return blocks;
+}
+
+/**
+ * Formats the detailed breakdown of a report, posted as a thread reply under the main post.
+ * @param {object} report - Report with a `structuredSummary`.
+ * @returns {Array<object>|null} Slack blocks, or null if there is nothing to add.
+ */
+function formatReportDetailsForSlack(report) {
+  const details = report && report.structuredSummary;
+  if (!details || details.degraded) {
+    return null;
+  }
+
+  const blocks = [
+    {
+      type: "section",
+      text: { type: "mrkdwn", text: truncateMrkdwn(`*Summary:*\n${details.summary}`) },
+    },
+  ];
+
+  if (details.keyTakeaways && details.keyTakeaways.length > 0) {
+    blocks.push({
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text: truncateMrkdwn(
+          `*Key takeaways:*\n${details.keyTakeaways.map((item) => `• ${item}`).join("\n")}`
+        ),
+      },
+    });
+  }
+
+  if (details.sections && details.sections.length > 0) {
+    blocks.push({ type: "divider" });
+    blocks.push({
+      type: "section",
+      text: { type: "mrkdwn", text: "*Section by section:*" },
+    });
+    for (const section of details.sections) {
+      blocks.push({
+        type: "section",
+        text: {
+          type: "mrkdwn",
+          text: truncateMrkdwn(
+            `*${section.heading}*\n${section.points.map((point) => `• ${point}`).join("\n")}`
+          ),
+        },
+      });
+    }
+  }
+
+  if (details.notableNumbers && details.notableNumbers.length > 0) {
+    blocks.push({ type: "divider" });
+    blocks.push({
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text: truncateMrkdwn(
+          `*Notable numbers:*\n${details.notableNumbers.map((item) => `• ${item}`).join("\n")}`
+        ),
+      },
+    });
+  }
+
+  const mentions = [...(details.tokens || []), ...(details.protocols || [])];
+  if (mentions.length > 0) {
+    blocks.push({
+      type: "context",
+      elements: [{ type: "mrkdwn", text: `*Mentions:* ${mentions.join(", ")}` }],
+    });
+  }
+
+  // Stay within Slack's 50-block message limit
+  return blocks.slice(0, 50);
+}
+
 // Function to format a report for Slack
 function formatReportForSlack(report) {
   if (!report || !report.url || !report.title) {
@@ -210,21 +337,216 @@ function formatReportForSlack(report) {
         },
       ],
     },
-    {
+  ];
+
+  // Structured summaries keep the post short; the details go into a thread reply
+  if (report.structuredSummary && !report.structuredSummary.degraded) {
+    blocks.push(...formatStructuredSummaryBlocks(report.structuredSummary));
+  } else {
+    blocks.push({
       type: "section",
       text: {
         type: "mrkdwn",
         text: `*Summary:*\n${summaryText}`,
       },
-    },
-  ];
+    });
+  }
+
+  if (report.relatedReports && report.relatedReports.length > 0) {
+    blocks.push({
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text: `*Related past reports:*\n${report.relatedReports
+          .map(
+            (related) =>
+              `• <${related.url}|${related.title}>${
+                related.publicationDate ? ` (${related.publicationDate})` : ""
+              }`
+          )
+          .join("\n")}`,
+      },
+    });
+  }
 
   return blocks;
 }
 
+// Slack allows 50 blocks per message; the payload cap keeps long digests clear of msg_too_long errors
+const MAX_BLOCKS_PER_MESSAGE = 50;
+const MAX_CHARS_PER_MESSAGE = 12000;
+
+function mrkdwnSection(text) {
+  return { type: "section", text: { type: "mrkdwn", text } };
+}
+
+function formatDigestReportBlocks(report) {
+  const summaryText = report.structuredSummary
+    ? formatSummaryMrkdwn(report.structuredSummary)
+    : report.summary || "No summary available.";
+
+  return [
+    mrkdwnSection(
+      `📝 *<${report.url || "#"}|${report.title || "Untitled Report"}>* \n*Published:* ${formatPublicationDate(report)}`
+    ),
+    mrkdwnSection(truncateMrkdwn(summaryText)),
+  ];
+}
+
+function formatMustReadBlock(mustReads) {
+  const lines = mustReads.map((report, index) => {
+    const summary = report.structuredSummary;
+    const why = summary.relevance ? `\n      _Why it matters:_ ${summary.relevance}` : "";
+    return `${index + 1}. *<${report.url || "#"}|${report.title || "Untitled Report"}>* (relevance ${summary.relevanceScore}/5)${why}`;
+  });
+  return mrkdwnSection(truncateMrkdwn(`⭐ *Must read*\n${lines.join("\n")}`));
+}
+
+// Section text is capped at 3000 characters, so long overviews are split at line breaks
+function formatOverviewBlocks(overview, reports) {
+  const text = `🧭 *Executive overview*\n${linkReferences(overview, reports, (url, label) => `<${url}|${label}>`)}`;
+  return splitLines(text, 2900).map(mrkdwnSection);
+}
+
+// Blocks that belong together: the header, the executive overview, the must-read list,
+// then each report, with a group heading kept next to its first report
+function buildDigestUnits(digest) {
+  const units = [[
+    {
+      type: "header",
+      text: { type: "plain_text", text: `📰 ${digest.title}`, emoji: true },
+    },
+    mrkdwnSection(digest.intro),
+    { type: "divider" },
+  ]];
+
+  if (digest.overview) {
+    units.push([...formatOverviewBlocks(digest.overview, digest.reports), { type: "divider" }]);
+  }
+  if (digest.mustReads.length > 0) {
+    units.push([formatMustReadBlock(digest.mustReads), { type: "divider" }]);
+  }
+
+  for (const group of digest.groups) {
+    group.reports.forEach((report, index) => {
+      const unit = formatDigestReportBlocks(report);
+      if (group.name && index === 0) {
+        unit.unshift(
+          mrkdwnSection(
+            `*${group.name}* · ${group.reports.length === 1 ? "1 report" : `${group.reports.length} reports`}`
+          )
+        );
+      }
+      if (!group.name || index === group.reports.length - 1) {
+        unit.push({ type: "divider" });
+      }
+      units.push(unit);
+    });
+  }
+
+  return units;
+}
+
+function blockSize(block) {
+  return JSON.stringify(block).length;
+}
+
+// Packs units into messages within Slack's block and payload limits, never splitting a unit
+// unless it is too large for a message on its own, and adds a "Part n/N" footer when there is more than one
+function paginateUnits(units) {
+  // Room for the footer
+  const maxBlocks = MAX_BLOCKS_PER_MESSAGE - 1;
+  const maxChars = MAX_CHARS_PER_MESSAGE - 200;
+  const pages = [];
+  let page = [];
+  let size = 0;
+
+  const addBlock = (block) => {
+    if (page.length > 0 && (page.length + 1 > maxBlocks || size + blockSize(block) > maxChars)) {
+      pages.push(page);
+      page = [];
+      size = 0;
+    }
+    page.push(block);
+    size += blockSize(block);
+  };
+
+  for (const unit of units) {
+    const unitSize = unit.reduce((total, block) => total + blockSize(block), 0);
+    const fits = page.length + unit.length <= maxBlocks && size + unitSize <= maxChars;
+    const fitsAlone = unit.length <= maxBlocks && unitSize <= maxChars;
+    if (!fits && fitsAlone && page.length > 0) {
+      pages.push(page);
+      page = [];
+      size = 0;
+    }
+    unit.forEach(addBlock);
+  }
+  if (page.length > 0) pages.push(page);
+
+  if (pages.length > 1) {
+    pages.forEach((pageBlocks, index) => {
+      const continued = index === 0 ? " · continued in thread 🧵" : "";
+      pageBlocks.push({
+        type: "context",
+        elements: [{ type: "mrkdwn", text: `Part ${index + 1}/${pages.length}${continued}` }],
+      });
+    });
+  }
+  return pages;
+}
+
+/**
+ * Formats a digest as Slack messages. Busy periods are split across several messages.
+ * @param {object} digest - Digest built by services/digest.js.
+ * @returns {Array<Array<object>>} Block lists, one per message; the first is the parent message.
+ */
+function formatDigestForSlack(digest) {
+  const pages = paginateUnits(buildDigestUnits(digest));
+  if (pages.length > 1) {
+    logger.info(`Digest split into ${pages.length} Slack messages to stay within Slack limits.`);
+  }
+  return pages;
+}
+
+// Uploads files (e.g. chart screenshots) into a message's thread. Needs the files:write scope.
+// `files` is a list of `{fileName, caption, image}` with `image` a Buffer.
+async function uploadSlackFiles(files, options = {}) {
+  if (!slack || !slackChannel) {
+    logger.warn("Slack not initialized, skipping file upload");
+    return false;
+  }
+  if (files.length === 0) return true;
+
+  try {
+    await slack.files.uploadV2({
+      channel_id: options.channel || slackChannel,
+      thread_ts: options.threadTs || undefined,
+      initial_comment: options.comment || undefined,
+      file_uploads: files.map((file) => ({
+        file: file.image,
+        filename: file.fileName,
+        title: file.caption || file.fileName,
+      })),
+    });
+    logger.info(`Uploaded ${files.length} files to Slack`);
+    return true;
+  } catch (error) {
+    logger.error(`Error uploading files to Slack: ${error.message}`, {
+      slackError: error?.data,
+      stack: error.stack,
+    });
+    return false;
+  }
+}
+
 // Export functions
 module.exports = {
   initializeSlack,
   sendSlackMessage,
+  uploadSlackFiles,
   formatReportForSlack,
+  formatReportDetailsForSlack,
+  formatSummaryMrkdwn,
+  formatDigestForSlack,
 };
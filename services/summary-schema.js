@@ -0,0 +1,212 @@
+// Schema for the structured report summary returned by the AI service
+
+const SENTIMENTS = ['bullish', 'bearish', 'neutral', 'mixed'];
+
+const LIMITS = {
+  headline: 150,
+  summary: 400,
+  relevance: 400,
+  keyTakeaways: 7,
+  tags: 20,
+  sections: 15,
+  notableNumbers: 10
+};
+
+// Prompt fragment describing the expected JSON object
+const SUMMARY_JSON_INSTRUCTIONS = `Respond with ONLY a JSON object (no markdown code fences, no commentary) with exactly these fields:
+{
+  "headline": "A short headline for the report (max 100 characters)",
+  "summary": "A direct, concise summary of the report's main points in 1-2 sentences (max 160 characters)",
+  "relevance": "A brief one-liner explaining why this research/topic is relevant to the Kaia ecosystem and technology stack",
+  "relevanceScore": 3,
+  "keyTakeaways": ["3-5 short key takeaways"],
+  "tokens": ["Tokens/tickers mentioned, e.g. ETH, SOL"],
+  "protocols": ["Protocols, projects or companies mentioned"],
+  "sectors": ["Sector tags, e.g. DeFi, L1, L2, Restaking, Stablecoins, Gaming, AI"],
+  "sentiment": "One of: ${SENTIMENTS.join(', ')}",
+  "sections": [{"heading": "Report section heading", "points": ["1-3 short notes on that section"]}],
+  "notableNumbers": ["Notable figures with their context, e.g. 'Stablecoin supply grew 12% QoQ to $180B'"]
+}
+"relevanceScore" is an unquoted integer from 1 (barely relevant) to 5 (directly actionable) rating how relevant this report is to Kaia.
+Do not use phrases like "Here's a summary" or "This report discusses". Start each field directly with the core information.`;
+
+/**
+ * Extracts a JSON object from a raw model response, tolerating code fences and surrounding text.
+ * @param {string} text - Raw model output.
+ * @returns {object|null} Parsed object or null if no JSON object could be parsed.
+ */
+function parseSummaryResponse(text) {
+  if (typeof text !== 'string') return null;
+
+  let candidate = text.trim();
+  const fenced = candidate.match(/```(?:json)?\s*([\s\S]*?)```/i);
+  if (fenced) {
+    candidate = fenced[1].trim();
+  }
+
+  const start = candidate.indexOf('{');
+  const end = candidate.lastIndexOf('}');
+  if (start === -1 || end <= start) return null;
+
+  try {
+    const parsed = JSON.parse(candidate.slice(start, end + 1));
+    return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Normalizes a list of tags: strings only, trimmed, de-duplicated case-insensitively
+function normalizeList(values) {
+  const seen = new Set();
+  const result = [];
+  for (const value of values) {
+    const item = String(value).trim();
+    if (item && !seen.has(item.toLowerCase())) {
+      seen.add(item.toLowerCase());
+      result.push(item);
+    }
+  }
+  return result;
+}
+
+/**
+ * Validates a parsed summary object against the schema and normalizes it.
+ * @param {object} data - Parsed model output.
+ * @returns {{valid: boolean, errors: string[], value: object|null}} Validation result.
+ */
+function validateSummary(data) {
+  const errors = [];
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return { valid: false, errors: ['Response must be a JSON object'], value: null };
+  }
+
+  for (const field of ['headline', 'summary', 'relevance']) {
+    if (typeof data[field] !== 'string' || !data[field].trim()) {
+      errors.push(`"${field}" must be a non-empty string`);
+    } else if (data[field].trim().length > LIMITS[field]) {
+      errors.push(`"${field}" must be at most ${LIMITS[field]} characters`);
+    }
+  }
+
+  if (!Array.isArray(data.keyTakeaways) || data.keyTakeaways.length === 0) {
+    errors.push('"keyTakeaways" must be a non-empty array of strings');
+  } else if (data.keyTakeaways.some(item => typeof item !== 'string' || !item.trim())) {
+    errors.push('"keyTakeaways" must only contain non-empty strings');
+  } else if (data.keyTakeaways.length > LIMITS.keyTakeaways) {
+    errors.push(`"keyTakeaways" must have at most ${LIMITS.keyTakeaways} items`);
+  }
+
+  for (const field of ['tokens', 'protocols', 'sectors']) {
+    if (data[field] === undefined) continue;
+    if (!Array.isArray(data[field]) || data[field].some(item => typeof item !== 'string')) {
+      errors.push(`"${field}" must be an array of strings`);
+    }
+  }
+
+  if (data.sections !== undefined) {
+    const validSections = Array.isArray(data.sections) && data.sections.every(section =>
+      section && typeof section.heading === 'string' && section.heading.trim() &&
+      Array.isArray(section.points) && section.points.every(point => typeof point === 'string'));
+    if (!validSections) {
+      errors.push('"sections" must be an array of {"heading": string, "points": string[]} objects');
+    }
+  }
+
+  if (data.notableNumbers !== undefined &&
+    (!Array.isArray(data.notableNumbers) || data.notableNumbers.some(item => typeof item !== 'string'))) {
+    errors.push('"notableNumbers" must be an array of strings');
+  }
+
+  // Models sometimes quote the number ("4"); accept that rather than spend a repair re-prompt
+  const relevanceScore = typeof data.relevanceScore === 'string' && /^\s*\d+\s*$/.test(data.relevanceScore)
+    ? Number(data.relevanceScore)
+    : data.relevanceScore;
+  if (!Number.isInteger(relevanceScore) || relevanceScore < 1 || relevanceScore > 5) {
+    errors.push('"relevanceScore" must be an integer from 1 to 5');
+  }
+
+  const sentiment = typeof data.sentiment === 'string' ? data.sentiment.trim().toLowerCase() : data.sentiment;
+  if (!SENTIMENTS.includes(sentiment)) {
+    errors.push(`"sentiment" must be one of: ${SENTIMENTS.join(', ')}`);
+  }
+
+  if (errors.length > 0) {
+    return { valid: false, errors, value: null };
+  }
+
+  return {
+    valid: true,
+    errors: [],
+    value: {
+      headline: data.headline.trim(),
+      summary: data.summary.trim(),
+      relevance: data.relevance.trim(),
+      relevanceScore,
+      keyTakeaways: data.keyTakeaways.map(item => item.trim()),
+      tokens: normalizeList(data.tokens || []).slice(0, LIMITS.tags),
+      protocols: normalizeList(data.protocols || []).slice(0, LIMITS.tags),
+      sectors: normalizeList(data.sectors || []).slice(0, LIMITS.tags),
+      sentiment,
+      sections: (data.sections || [])
+        .map(section => ({
+          heading: section.heading.trim(),
+          points: section.points.map(point => point.trim()).filter(Boolean)
+        }))
+        .filter(section => section.points.length > 0)
+        .slice(0, LIMITS.sections),
+      notableNumbers: normalizeList(data.notableNumbers || []).slice(0, LIMITS.notableNumbers)
+    }
+  };
+}
+
+/**
+ * Builds a minimal structured summary from free text in the legacy
+ * "[summary]\n\nRelevance: [...]" format. Used when the model never returns valid JSON.
+ * @param {string} text - Raw model output.
+ * @returns {object|null} Structured summary or null if the text is empty.
+ */
+function coerceLegacySummary(text) {
+  if (typeof text !== 'string' || !text.trim()) return null;
+
+  const match = text.match(/^([\s\S]*?)\n?\s*Relevance:\s*([\s\S]*)$/i);
+  const summary = (match ? match[1] : text).trim();
+  const relevance = match ? match[2].trim() : '';
+  if (!summary) return null;
+
+  return {
+    headline: summary.split(/(?<=[.!?])\s/)[0].slice(0, LIMITS.headline),
+    summary,
+    relevance,
+    relevanceScore: null,
+    keyTakeaways: [],
+    tokens: [],
+    protocols: [],
+    sectors: [],
+    sentiment: 'neutral',
+    sections: [],
+    notableNumbers: [],
+    degraded: true
+  };
+}
+
+/**
+ * Renders a structured summary in the plain-text format used before structured output.
+ * @param {object} summary - Structured summary.
+ * @returns {string} "[summary]\n\nRelevance: [relevance]" text.
+ */
+function renderSummaryText(summary) {
+  if (!summary) return '';
+  return summary.relevance
+    ? `${summary.summary}\n\nRelevance: ${summary.relevance}`
+    : summary.summary;
+}
+
+module.exports = {
+  SENTIMENTS,
+  SUMMARY_JSON_INSTRUCTIONS,
+  parseSummaryResponse,
+  validateSummary,
+  coerceLegacySummary,
+  renderSummaryText
+};
@@ -0,0 +1,44 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.chdir(fs.mkdtempSync(path.join(os.tmpdir(), 'api-server-')));
+process.env.API_TOKEN = 'api-secret';
+delete process.env.DASHBOARD_PASSWORD;
+const { createApp } = require('../scripts/api-server');
+const { getReportId, upsertReport } = require('../utils/report-store');
+
+const REPORT_URL = 'https://example.com/reports/paid';
+let server;
+let baseUrl;
+
+before(async () => {
+  await upsertReport({ url: REPORT_URL, title: 'Paid report', body: 'Full paid report body', status: 'posted' });
+  server = createApp().listen(0);
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => server.close());
+
+const basic = password => `Basic ${Buffer.from(`user:${password}`).toString('base64')}`;
+
+async function status(pathName, authorization) {
+  const response = await fetch(`${baseUrl}${pathName}`, { headers: authorization ? { Authorization: authorization } : {} });
+  return response.status;
+}
+
+test('the API requires the bearer token', async () => {
+  assert.equal(await status('/reports'), 401);
+  assert.equal(await status('/reports', 'Bearer wrong'), 401);
+  assert.equal(await status('/reports', 'Bearer api-secret'), 200);
+});
+
+test('the dashboard falls back to API_TOKEN as its basic auth password', async () => {
+  const reportPath = `/dashboard/reports/${getReportId(REPORT_URL)}`;
+  assert.equal(await status(reportPath), 401);
+  assert.equal(await status(reportPath, basic('wrong')), 401);
+  assert.equal(await status('/dashboard', basic('api-secret')), 200);
+  assert.equal(await status(reportPath, basic('api-secret')), 200);
+});
@@ -0,0 +1,78 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.chdir(fs.mkdtempSync(path.join(os.tmpdir(), 'digest-')));
+const { filterRecentReports } = require('../services/digest');
+
+const hoursAgo = hours => new Date(Date.now() - hours * 60 * 60 * 1000).toISOString();
+
+function report(name, fields) {
+  return { url: `https://example.com/reports/${name}`, title: name, summary: `Summary of ${name}`, status: 'posted', ...fields };
+}
+
+const titles = reports => reports.map(item => item.title);
+
+test('includes reports first summarized within the lookback window', () => {
+  const reports = [
+    report('recent', { summarizedAt: hoursAgo(2) }),
+    report('old', { summarizedAt: hoursAgo(30) })
+  ];
+  assert.deepEqual(titles(filterRecentReports(reports, null, 24)), ['recent']);
+});
+
+test('starts the window at the previous digest when there was one', () => {
+  const reports = [
+    report('after', { summarizedAt: hoursAgo(2) }),
+    report('before', { summarizedAt: hoursAgo(4) })
+  ];
+  assert.deepEqual(titles(filterRecentReports(reports, new Date(hoursAgo(3)), 24)), ['after']);
+});
+
+test('ignores lastChecked, which moves on every re-post, re-summarize or skip', () => {
+  const reports = [report('reposted', { summarizedAt: hoursAgo(100), lastChecked: hoursAgo(1) })];
+  assert.deepEqual(filterRecentReports(reports, null, 24), []);
+});
+
+test('falls back to scrapedAt for records without summarizedAt', () => {
+  const reports = [
+    report('new', { scrapedAt: hoursAgo(1), lastChecked: hoursAgo(1) }),
+    report('legacy', { scrapedAt: hoursAgo(100), lastChecked: hoursAgo(1) }),
+    report('undated', {})
+  ];
+  assert.deepEqual(titles(filterRecentReports(reports, null, 24)), ['new']);
+});
+
+test('leaves out skipped, failed, backfilled and unsummarized reports', () => {
+  const summarizedAt = hoursAgo(1);
+  const reports = [
+    report('skipped', { status: 'skipped', summarizedAt }),
+    report('failed', { status: 'failed', summarizedAt }),
+    report('backfilled', { status: 'summarized', backfilled: true, summarizedAt }),
+    report('no summary', { summary: '', summarizedAt }),
+    report('summarized', { status: 'summarized', summarizedAt })
+  ];
+  assert.deepEqual(titles(filterRecentReports(reports, null, 24)), ['summarized']);
+});
+
+test('sorts by publication date, newest first', () => {
+  const summarizedAt = hoursAgo(1);
+  const reports = [
+    report('january', { publicationDate: '2025-01-10', summarizedAt }),
+    report('march', { publicationDate: '2025-03-10', summarizedAt }),
+    report('february', { publicationDate: '2025-02-10', summarizedAt })
+  ];
+  assert.deepEqual(titles(filterRecentReports(reports, null, 24)), ['march', 'february', 'january']);
+});
+
+test('leaves reports summarized after the window end for the next digest', () => {
+  const windowEnd = new Date(hoursAgo(1));
+  const reports = [
+    report('in window', { summarizedAt: hoursAgo(2) }),
+    report('while sending', { summarizedAt: hoursAgo(0.5) })
+  ];
+  assert.deepEqual(titles(filterRecentReports(reports, new Date(hoursAgo(3)), 24, windowEnd)), ['in window']);
+  assert.deepEqual(titles(filterRecentReports(reports, windowEnd, 24)), ['while sending']);
+});
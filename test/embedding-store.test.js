@@ -0,0 +1,21 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.chdir(fs.mkdtempSync(path.join(os.tmpdir(), 'embedding-store-')));
+const { EMBEDDINGS_FILE, loadEmbeddings, saveEmbedding } = require('../utils/embedding-store');
+
+test('stores embeddings by report URL', async () => {
+  assert.equal(await saveEmbedding('https://example.com/reports/a', { vector: [1, 0], model: 'local', contentHash: 'x' }), true);
+  assert.equal(await saveEmbedding('https://example.com/reports/b', { vector: [0, 1], model: 'local', contentHash: 'y' }), true);
+  assert.deepEqual(Object.keys(await loadEmbeddings()), ['https://example.com/reports/a', 'https://example.com/reports/b']);
+});
+
+test('a corrupt embeddings file is never overwritten', async () => {
+  fs.writeFileSync(EMBEDDINGS_FILE, '{"version": 1, "entries": {');
+  assert.deepEqual(await loadEmbeddings(), {});
+  assert.equal(await saveEmbedding('https://example.com/reports/c', { vector: [1, 1], model: 'local', contentHash: 'z' }), false);
+  assert.equal(fs.readFileSync(EMBEDDINGS_FILE, 'utf8'), '{"version": 1, "entries": {');
+});
@@ -0,0 +1,53 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'file-utils-'));
+const { getTempPath, acquireFileLock } = require('../utils/file-utils');
+
+test('temporary paths are unique and sit next to the file', () => {
+  const filePath = path.join(dir, 'store.json');
+  const first = getTempPath(filePath);
+  const second = getTempPath(filePath);
+  assert.notEqual(first, second);
+  assert.equal(path.dirname(first), dir);
+  assert.ok(path.basename(first).startsWith(`store.json.${process.pid}.`));
+});
+
+test('a lock is exclusive until it is released', async () => {
+  const filePath = path.join(dir, 'locked.json');
+  const release = await acquireFileLock(filePath);
+  assert.equal(typeof release, 'function');
+  assert.equal(fs.readFileSync(`${filePath}.lock`, 'utf8'), String(process.pid));
+
+  assert.equal(await acquireFileLock(filePath, { timeoutMs: 100 }), null);
+
+  await release();
+  assert.equal(fs.existsSync(`${filePath}.lock`), false);
+  const again = await acquireFileLock(filePath, { timeoutMs: 100 });
+  assert.equal(typeof again, 'function');
+  await again();
+});
+
+test('a waiting writer gets the lock once it is released', async () => {
+  const filePath = path.join(dir, 'waited.json');
+  const release = await acquireFileLock(filePath);
+  setTimeout(release, 100);
+  const next = await acquireFileLock(filePath, { timeoutMs: 2000 });
+  assert.equal(typeof next, 'function');
+  await next();
+});
+
+test('a lock left by a process that exited is taken over', async () => {
+  const filePath = path.join(dir, 'stale.json');
+  const { pid } = spawnSync(process.execPath, ['-e', '']);
+  fs.writeFileSync(`${filePath}.lock`, String(pid));
+
+  const release = await acquireFileLock(filePath, { timeoutMs: 100 });
+  assert.equal(typeof release, 'function');
+  assert.equal(fs.readFileSync(`${filePath}.lock`, 'utf8'), String(process.pid));
+  await release();
+});
@@ -0,0 +1,22 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// East of UTC, a display date parsed at local midnight is the previous day in UTC
+process.env.TZ = 'Asia/Seoul';
+process.chdir(fs.mkdtempSync(path.join(os.tmpdir(), 'markdown-export-')));
+const { getExportPath, renderReportMarkdown } = require('../services/markdown-export');
+
+const report = { url: 'https://example.com/reports/a', title: 'A', summary: 'Summary', publicationDate: 'Apr 1, 2025' };
+
+test('files a report under its publication day in any time zone', () => {
+  assert.equal(getExportPath(report), path.join('2025', '04', '2025-04-01-a.md'));
+  assert.match(renderReportMarkdown(report), /^publicationDate: "?2025-04-01"?$/m);
+});
+
+test('falls back to the scrape day, then to undated', () => {
+  assert.equal(getExportPath({ ...report, publicationDate: 'soon', scrapedAt: '2025-05-02T23:30:00.000Z' }), path.join('2025', '05', '2025-05-02-a.md'));
+  assert.equal(getExportPath({ ...report, publicationDate: null }), path.join('undated', 'a.md'));
+});
@@ -0,0 +1,96 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The store resolves data/visited_links.json against the working directory when it is loaded
+process.chdir(fs.mkdtempSync(path.join(os.tmpdir(), 'report-store-')));
+const {
+  REPORT_STATUS,
+  loadReports,
+  normalizeReportUrl,
+  getReport,
+  isReportProcessed,
+  loadSeenUrls,
+  upsertReport
+} = require('../utils/report-store');
+
+const REPORTS_FILE = path.resolve('data/visited_links.json');
+
+function writeArchive(content) {
+  fs.mkdirSync(path.dirname(REPORTS_FILE), { recursive: true });
+  fs.writeFileSync(REPORTS_FILE, typeof content === 'string' ? content : JSON.stringify(content));
+}
+
+beforeEach(() => {
+  writeArchive([]);
+});
+
+test('normalizeReportUrl drops the query string, fragment and trailing slashes', () => {
+  assert.equal(normalizeReportUrl('https://members.delphidigital.io/reports/foo/?utm_source=x#top'), 'https://members.delphidigital.io/reports/foo');
+  assert.equal(normalizeReportUrl('not a url'), 'not a url');
+});
+
+test('upsertReport inserts a new record with defaults', async () => {
+  const stored = await upsertReport({ url: 'https://example.com/reports/a', title: 'A' });
+  assert.equal(stored.status, REPORT_STATUS.FETCHED);
+  assert.deepEqual(stored.notifications, {});
+  assert.ok(stored.scrapedAt);
+  assert.ok(stored.lastChecked);
+  assert.deepEqual((await loadReports()).map(report => report.url), ['https://example.com/reports/a']);
+});
+
+test('upsertReport merges into the record with the same normalized URL and keeps its URL', async () => {
+  await upsertReport({ url: 'https://example.com/reports/a', title: 'A' });
+  const stored = await upsertReport({ url: 'https://example.com/reports/a/?ref=slack', status: REPORT_STATUS.SUMMARIZED });
+  assert.equal(stored.url, 'https://example.com/reports/a');
+  assert.equal(stored.title, 'A');
+  assert.equal(stored.status, REPORT_STATUS.SUMMARIZED);
+  assert.equal((await loadReports()).length, 1);
+  assert.equal((await getReport('https://example.com/reports/a#x')).status, REPORT_STATUS.SUMMARIZED);
+});
+
+test('upsertReport keeps the first summarizedAt', async () => {
+  await upsertReport({ url: 'https://example.com/reports/a', summarizedAt: '2025-01-01T00:00:00.000Z' });
+  const stored = await upsertReport({ url: 'https://example.com/reports/a', summarizedAt: '2025-02-01T00:00:00.000Z' });
+  assert.equal(stored.summarizedAt, '2025-01-01T00:00:00.000Z');
+});
+
+test('concurrent upserts are all stored', async () => {
+  await Promise.all(['a', 'b', 'c'].map(name => upsertReport({ url: `https://example.com/reports/${name}` })));
+  assert.equal((await loadReports()).length, 3);
+});
+
+test('a corrupt archive is never overwritten', async () => {
+  writeArchive('[{"url": "https://example.com/reports/a"');
+  assert.deepEqual(await loadReports(), []);
+  assert.equal(await upsertReport({ url: 'https://example.com/reports/b' }), null);
+  assert.equal(fs.readFileSync(REPORTS_FILE, 'utf8'), '[{"url": "https://example.com/reports/a"');
+});
+
+test('upsertReport refuses a report without a URL', async () => {
+  assert.equal(await upsertReport({ title: 'No URL' }), null);
+  assert.deepEqual(await loadReports(), []);
+});
+
+test('isReportProcessed only counts posted, skipped and delivered or archive-only summaries', () => {
+  const summarized = { status: REPORT_STATUS.SUMMARIZED };
+  assert.equal(isReportProcessed({ status: REPORT_STATUS.POSTED }), true);
+  assert.equal(isReportProcessed({ status: REPORT_STATUS.SKIPPED }), true);
+  assert.equal(isReportProcessed({ ...summarized, notifications: {} }), false);
+  assert.equal(isReportProcessed({ ...summarized, notifications: { slack: { delivered: false } } }), false);
+  assert.equal(isReportProcessed({ ...summarized, notifications: { slack: { delivered: false }, discord: { delivered: true } } }), true);
+  assert.equal(isReportProcessed({ ...summarized, archivedOnly: true }), true);
+  assert.equal(isReportProcessed({ status: REPORT_STATUS.FETCHED }), false);
+  assert.equal(isReportProcessed({ status: REPORT_STATUS.FAILED }), false);
+});
+
+test('loadSeenUrls returns the normalized URLs of processed reports', async () => {
+  writeArchive([
+    { url: 'https://example.com/reports/a/?utm=1', status: REPORT_STATUS.POSTED },
+    { url: 'https://example.com/reports/b', status: REPORT_STATUS.FAILED },
+    { url: 'https://example.com/reports/c', status: REPORT_STATUS.SKIPPED }
+  ]);
+  assert.deepEqual([...await loadSeenUrls()].sort(), ['https://example.com/reports/a', 'https://example.com/reports/c']);
+});
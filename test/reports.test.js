@@ -0,0 +1,104 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.chdir(fs.mkdtempSync(path.join(os.tmpdir(), 'reports-')));
+const { collectReportLinks } = require('../services/reports');
+
+const BASE = 'https://members.delphidigital.io/reports/';
+const url = name => `${BASE}${name}`;
+
+// Stub of a Puppeteer page showing a listing that grows by one batch per "load more"
+function listingPage(batches) {
+  let loaded = 1;
+  const links = () => batches.slice(0, loaded).flat().map(entry => {
+    const [name, listedAt] = Array.isArray(entry) ? entry : [entry, null];
+    return { url: `${url(name)}?utm_source=listing`, title: name, listedAt };
+  });
+  return {
+    evaluate: async fn => {
+      const source = fn.toString();
+      if (source.includes('links.push')) return links();
+      if (source.includes('relNext')) {
+        if (loaded < batches.length) loaded++;
+        return { type: 'scroll' };
+      }
+      return links().length;
+    },
+    waitForFunction: async (fn, options, before) => {
+      if (links().length <= before) throw new Error('Timed out');
+    },
+    loadedBatches: () => loaded
+  };
+}
+
+const names = result => result.links.map(link => link.title);
+const seen = (...items) => new Set(items.map(url));
+
+test('without seen URLs, a stop URL or a date only the first page is read', async () => {
+  const page = listingPage([['a', 'b'], ['c']]);
+  const result = await collectReportLinks(page);
+  assert.deepEqual(names(result), ['a', 'b']);
+  assert.equal(result.links[0].url, url('a'));
+  assert.equal(page.loadedBatches(), 1);
+});
+
+test('ends after a run of seen reports as long as the grace window', async () => {
+  const page = listingPage([['n1', 's1', 'n2', 's2', 's3'], ['s4', 's5', 's6', 'old']]);
+  const result = await collectReportLinks(page, { seenUrls: seen('s1', 's2', 's3', 's4', 's5', 's6', 'old') });
+  assert.deepEqual(names(result), ['n1', 'n2']);
+  assert.equal(result.seen, 6);
+  assert.equal(result.complete, true);
+  assert.deepEqual(result.seedUrls, []);
+});
+
+test('edited reports bumped to the top do not end the crawl', async () => {
+  const page = listingPage([['s1', 's2', 'n1', 'n2'], ['s3', 's4', 's5', 's6', 's7']]);
+  const result = await collectReportLinks(page, { seenUrls: seen('s1', 's2', 's3', 's4', 's5', 's6', 's7') });
+  assert.deepEqual(names(result), ['n1', 'n2']);
+});
+
+test('a stop URL seeds the crawl with itself and the links below it', async () => {
+  const page = listingPage([['n1', 'n2', 'stop', 'o1', 'o2'], ['o3', 'o4', 'o5', 'o6']]);
+  const result = await collectReportLinks(page, { stopUrl: url('stop') });
+  assert.deepEqual(names(result), ['n1', 'n2']);
+  assert.deepEqual(result.seedUrls, ['stop', 'o1', 'o2', 'o3', 'o4', 'o5'].map(url));
+});
+
+test('once seeded, a re-ordered last visited report does not hide the reports below it', async () => {
+  const seedUrls = ['stop', 'o1', 'o2', 'o3', 'o4', 'o5'];
+  const page = listingPage([['stop', 'n1', 'n2', 'o1', 'o2', 'o3', 'o4', 'o5']]);
+  const result = await collectReportLinks(page, { seenUrls: seen(...seedUrls) });
+  assert.deepEqual(names(result), ['n1', 'n2']);
+});
+
+test('a run of seen reports before the stop URL seeds the crawl instead', async () => {
+  const page = listingPage([['n1', 's1', 's2', 's3', 's4', 's5', 'stop']]);
+  const result = await collectReportLinks(page, { seenUrls: seen('s1', 's2', 's3', 's4', 's5'), stopUrl: url('stop') });
+  assert.deepEqual(names(result), ['n1']);
+  assert.deepEqual(result.seedUrls, ['s1', 's2', 's3', 's4', 's5'].map(url));
+});
+
+test('since stops once the listing shows an older report', async () => {
+  const page = listingPage([
+    [['a', '2025-03-02'], ['b', 'Mar 1, 2025']],
+    [['c', '2025-02-27'], ['d', '2025-02-20']],
+    [['e', '2025-02-01']]
+  ]);
+  const result = await collectReportLinks(page, { since: '2025-02-28' });
+  assert.deepEqual(names(result), ['a', 'b', 'c', 'd']);
+  assert.equal(result.complete, true);
+  assert.equal(page.loadedBatches(), 2);
+});
+
+test('the end of the listing completes the crawl and maxPages does not', async () => {
+  const ended = await collectReportLinks(listingPage([['a'], ['b']]), { stopUrl: url('missing') });
+  assert.deepEqual(names(ended), ['a', 'b']);
+  assert.equal(ended.complete, true);
+
+  const capped = await collectReportLinks(listingPage([['a'], ['b'], ['c']]), { stopUrl: url('missing'), maxPages: 2 });
+  assert.deepEqual(names(capped), ['a', 'b']);
+  assert.equal(capped.complete, false);
+});
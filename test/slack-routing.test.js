@@ -0,0 +1,84 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The routing file is resolved against the working directory when the module is loaded
+process.chdir(fs.mkdtempSync(path.join(os.tmpdir(), 'slack-routing-')));
+const { ROUTING_FILE, loadRoutingConfig, resolveChannels } = require('../services/slack-routing');
+
+function writeRouting(content) {
+  fs.mkdirSync(path.dirname(ROUTING_FILE), { recursive: true });
+  fs.writeFileSync(ROUTING_FILE, typeof content === 'string' ? content : JSON.stringify(content));
+}
+
+const report = {
+  title: 'The state of restaking',
+  summary: 'EigenLayer TVL keeps growing.',
+  category: 'Research',
+  structuredSummary: { headline: 'Restaking matures', sectors: ['Restaking', 'DeFi'], relevanceScore: 4, tokens: ['EIGEN'] }
+};
+
+test('a missing or invalid routing file routes everything to the default channel', async () => {
+  fs.rmSync(ROUTING_FILE, { force: true });
+  assert.deepEqual(await loadRoutingConfig(), { alwaysPostToDefault: false, rules: [] });
+  writeRouting('{"rules": [');
+  assert.deepEqual(await loadRoutingConfig(), { alwaysPostToDefault: false, rules: [] });
+  writeRouting({ alwaysPostToDefault: true });
+  assert.deepEqual((await loadRoutingConfig()).rules, []);
+});
+
+test('rules without channels or without criteria are dropped', async () => {
+  writeRouting({
+    rules: [
+      { name: 'no channels', keywords: ['eth'] },
+      { name: 'no criteria', channels: ['#all'] },
+      { name: 'defi', channels: [' #defi '], sectors: ['DeFi'], minRelevanceScore: 'x' }
+    ]
+  });
+  const routing = await loadRoutingConfig();
+  assert.deepEqual(routing.rules, [
+    { name: 'defi', channels: ['#defi'], keywords: [], sectors: ['defi'], categories: [], minRelevanceScore: null }
+  ]);
+});
+
+test('every criterion on a rule must match, any entry within a list is enough', async () => {
+  writeRouting([
+    { name: 'restaking', channels: ['#restaking'], keywords: ['restaking', 'eigen'], sectors: ['defi', 'l2'] },
+    { name: 'high relevance', channels: ['#kaia'], minRelevanceScore: 5 },
+    { name: 'wrong category', channels: ['#macro'], keywords: ['restaking'], categories: ['Macro'] }
+  ]);
+  const routing = await loadRoutingConfig();
+  assert.deepEqual(resolveChannels(report, routing, '#reports'), [{ channel: '#restaking', rules: ['restaking'] }]);
+});
+
+test('keywords match whole words in the title, summary and structured fields only', async () => {
+  writeRouting([{ name: 'eth', channels: ['#eth'], keywords: ['eth'] }]);
+  const routing = await loadRoutingConfig();
+  assert.deepEqual(resolveChannels({ ...report, body: 'ETH ETH ETH' }, routing, '#reports'), [{ channel: '#reports', rules: [] }]);
+  const ethReport = { ...report, structuredSummary: { ...report.structuredSummary, tokens: ['ETH'] } };
+  assert.deepEqual(resolveChannels(ethReport, routing, '#reports'), [{ channel: '#eth', rules: ['eth'] }]);
+  const ethenaReport = { ...report, title: 'Ethena and the synthetic dollar' };
+  assert.deepEqual(resolveChannels(ethenaReport, routing, '#reports'), [{ channel: '#reports', rules: [] }]);
+});
+
+test('channels are merged across rules and the default is added when asked to', async () => {
+  writeRouting({
+    alwaysPostToDefault: true,
+    rules: [
+      { name: 'defi', channels: ['#research', '#defi'], sectors: ['DeFi'] },
+      { name: 'relevant', channels: ['#research'], minRelevanceScore: 3 }
+    ]
+  });
+  const routing = await loadRoutingConfig();
+  assert.deepEqual(resolveChannels(report, routing, '#reports'), [
+    { channel: '#research', rules: ['defi', 'relevant'] },
+    { channel: '#defi', rules: ['defi'] },
+    { channel: '#reports', rules: [] }
+  ]);
+  assert.deepEqual(resolveChannels(report, routing, '#research'), [
+    { channel: '#research', rules: ['defi', 'relevant'] },
+    { channel: '#defi', rules: ['defi'] }
+  ]);
+});
@@ -0,0 +1,63 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { verifySlackSignature, requireSlackSignature } = require('../utils/slack-signature');
+
+const SECRET = '8f742231b10e8888abcd99yyyzzz85a5';
+const NOW = 1700000000;
+
+function sign(rawBody, timestamp = String(NOW), secret = SECRET) {
+  return 'v0=' + crypto.createHmac('sha256', secret).update(`v0:${timestamp}:${rawBody}`, 'utf8').digest('hex');
+}
+
+test('accepts a correctly signed, recent request', () => {
+  const rawBody = 'command=%2Fdelphi&text=latest';
+  assert.equal(verifySlackSignature(SECRET, { timestamp: String(NOW), signature: sign(rawBody), rawBody }, NOW), true);
+});
+
+test('rejects a tampered body or a signature made with another secret', () => {
+  const rawBody = 'command=%2Fdelphi&text=latest';
+  const signature = sign(rawBody);
+  assert.equal(verifySlackSignature(SECRET, { timestamp: String(NOW), signature, rawBody: `${rawBody}x` }, NOW), false);
+  assert.equal(verifySlackSignature(SECRET, { timestamp: String(NOW), signature: sign(rawBody, String(NOW), 'other'), rawBody }, NOW), false);
+  assert.equal(verifySlackSignature(SECRET, { timestamp: String(NOW), signature: 'v0=short', rawBody }, NOW), false);
+});
+
+test('rejects requests older or newer than five minutes', () => {
+  const rawBody = '{}';
+  const old = String(NOW - 301);
+  const future = String(NOW + 301);
+  assert.equal(verifySlackSignature(SECRET, { timestamp: old, signature: sign(rawBody, old), rawBody }, NOW), false);
+  assert.equal(verifySlackSignature(SECRET, { timestamp: future, signature: sign(rawBody, future), rawBody }, NOW), false);
+});
+
+test('rejects requests when the secret, headers or raw body are missing', () => {
+  const rawBody = '{}';
+  const signature = sign(rawBody);
+  assert.equal(verifySlackSignature('', { timestamp: String(NOW), signature, rawBody }, NOW), false);
+  assert.equal(verifySlackSignature(SECRET, { timestamp: undefined, signature, rawBody }, NOW), false);
+  assert.equal(verifySlackSignature(SECRET, { timestamp: String(NOW), signature: undefined, rawBody }, NOW), false);
+  assert.equal(verifySlackSignature(SECRET, { timestamp: String(NOW), signature, rawBody: undefined }, NOW), false);
+});
+
+test('middleware answers 401 for an invalid signature and passes a valid one on', () => {
+  const middleware = requireSlackSignature(SECRET);
+  const timestamp = String(Math.floor(Date.now() / 1000));
+  const rawBody = 'text=help';
+  const request = headers => ({ path: '/slack/commands', rawBody, get: name => headers[name] });
+  const response = () => ({
+    statusCode: 200,
+    status(code) { this.statusCode = code; return this; },
+    send() { return this; }
+  });
+
+  let called = false;
+  middleware(request({ 'X-Slack-Request-Timestamp': timestamp, 'X-Slack-Signature': sign(rawBody, timestamp) }), response(), () => { called = true; });
+  assert.equal(called, true);
+
+  called = false;
+  const rejected = response();
+  middleware(request({ 'X-Slack-Request-Timestamp': timestamp, 'X-Slack-Signature': sign('other', timestamp) }), rejected, () => { called = true; });
+  assert.equal(called, false);
+  assert.equal(rejected.statusCode, 401);
+});
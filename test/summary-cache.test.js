@@ -0,0 +1,38 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.chdir(fs.mkdtempSync(path.join(os.tmpdir(), 'summary-cache-')));
+const { CACHE_FILE, getCachedSummary, setCachedSummary, clearCache } = require('../utils/summary-cache');
+
+const CORRUPT = '{"version": 1, "entries": {';
+const params = { url: 'https://example.com/reports/a', contentHash: 'abc', model: 'gemini:test', promptVersion: 1 };
+
+beforeEach(() => {
+  fs.rmSync(CACHE_FILE, { force: true });
+});
+
+test('returns a stored summary for the same report, content, model and prompt', async () => {
+  await setCachedSummary(params, { headline: 'A' });
+  assert.deepEqual(await getCachedSummary(params), { headline: 'A' });
+  assert.equal(await getCachedSummary({ ...params, contentHash: 'edited' }), null);
+  assert.equal(await clearCache({ url: params.url }), 1);
+  assert.equal(await getCachedSummary(params), null);
+});
+
+test('a corrupt cache file is never overwritten by a new entry or a partial clear', async () => {
+  fs.mkdirSync(path.dirname(CACHE_FILE), { recursive: true });
+  fs.writeFileSync(CACHE_FILE, CORRUPT);
+  await setCachedSummary(params, { headline: 'A' });
+  assert.equal(await clearCache({ url: params.url }), null);
+  assert.equal(fs.readFileSync(CACHE_FILE, 'utf8'), CORRUPT);
+});
+
+test('clearing every entry resets a corrupt cache file', async () => {
+  fs.mkdirSync(path.dirname(CACHE_FILE), { recursive: true });
+  fs.writeFileSync(CACHE_FILE, CORRUPT);
+  assert.equal(await clearCache(), 0);
+  assert.deepEqual(JSON.parse(fs.readFileSync(CACHE_FILE, 'utf8')).entries, {});
+});
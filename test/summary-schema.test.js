@@ -0,0 +1,85 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  SUMMARY_JSON_INSTRUCTIONS,
+  parseSummaryResponse,
+  validateSummary,
+  coerceLegacySummary,
+  renderSummaryText
+} = require('../services/summary-schema');
+
+const valid = {
+  headline: 'Restaking matures',
+  summary: 'EigenLayer TVL passed $15B as AVSs went live.',
+  relevance: 'Kaia could use restaked security for its bridge.',
+  relevanceScore: 4,
+  keyTakeaways: ['AVSs are live', 'Slashing is next'],
+  tokens: ['EIGEN', 'eigen', ' ETH '],
+  protocols: ['EigenLayer'],
+  sectors: ['Restaking'],
+  sentiment: 'Bullish',
+  sections: [{ heading: 'Adoption', points: ['Operators doubled', ' '] }, { heading: 'Empty', points: [] }],
+  notableNumbers: ['$15B TVL']
+};
+
+test('the prompt shows relevanceScore as an unquoted number', () => {
+  assert.match(SUMMARY_JSON_INSTRUCTIONS, /"relevanceScore": 3,/);
+});
+
+test('parseSummaryResponse tolerates code fences and surrounding text', () => {
+  assert.deepEqual(parseSummaryResponse('Sure!\n```json\n{"headline": "A"}\n```'), { headline: 'A' });
+  assert.deepEqual(parseSummaryResponse('Here: {"headline": "A"} done'), { headline: 'A' });
+  assert.equal(parseSummaryResponse('[1, 2]'), null);
+  assert.equal(parseSummaryResponse('{not json}'), null);
+  assert.equal(parseSummaryResponse(undefined), null);
+});
+
+test('validateSummary normalizes a valid summary', () => {
+  const { valid: isValid, errors, value } = validateSummary(valid);
+  assert.equal(isValid, true);
+  assert.deepEqual(errors, []);
+  assert.equal(value.sentiment, 'bullish');
+  assert.deepEqual(value.tokens, ['EIGEN', 'ETH']);
+  assert.deepEqual(value.sections, [{ heading: 'Adoption', points: ['Operators doubled'] }]);
+});
+
+test('validateSummary accepts a quoted integer relevanceScore', () => {
+  const result = validateSummary({ ...valid, relevanceScore: ' 5 ' });
+  assert.equal(result.valid, true);
+  assert.equal(result.value.relevanceScore, 5);
+});
+
+test('validateSummary rejects out-of-range or non-integer relevance scores', () => {
+  for (const relevanceScore of [0, 6, 3.5, '3.5', 'high', null, undefined]) {
+    const result = validateSummary({ ...valid, relevanceScore });
+    assert.equal(result.valid, false, `relevanceScore ${relevanceScore}`);
+    assert.deepEqual(result.errors, ['"relevanceScore" must be an integer from 1 to 5']);
+  }
+});
+
+test('validateSummary reports every problem at once', () => {
+  const result = validateSummary({ ...valid, headline: '', keyTakeaways: [], sentiment: 'euphoric', tokens: 'ETH' });
+  assert.equal(result.valid, false);
+  assert.equal(result.value, null);
+  assert.deepEqual(result.errors, [
+    '"headline" must be a non-empty string',
+    '"keyTakeaways" must be a non-empty array of strings',
+    '"tokens" must be an array of strings',
+    '"sentiment" must be one of: bullish, bearish, neutral, mixed'
+  ]);
+  assert.deepEqual(validateSummary(['not', 'an', 'object']).errors, ['Response must be a JSON object']);
+});
+
+test('validateSummary enforces length limits', () => {
+  const result = validateSummary({ ...valid, summary: 'x'.repeat(401), keyTakeaways: Array(8).fill('point') });
+  assert.deepEqual(result.errors, ['"summary" must be at most 400 characters', '"keyTakeaways" must have at most 7 items']);
+});
+
+test('coerceLegacySummary builds a degraded summary from free text', () => {
+  const summary = coerceLegacySummary('Stablecoins keep growing. Supply is up.\n\nRelevance: Kaia stablecoin strategy.');
+  assert.equal(summary.degraded, true);
+  assert.equal(summary.headline, 'Stablecoins keep growing.');
+  assert.equal(summary.relevance, 'Kaia stablecoin strategy.');
+  assert.equal(renderSummaryText(summary), 'Stablecoins keep growing. Supply is up.\n\nRelevance: Kaia stablecoin strategy.');
+  assert.equal(coerceLegacySummary('   '), null);
+});
@@ -0,0 +1,61 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { estimateTokens, splitIntoSections, chunkBySections } = require('../utils/text-chunker');
+
+const paragraph = words => Array.from({ length: words }, (_, index) => `word${index}`).join(' ') + '.';
+
+test('estimateTokens counts about four characters per token', () => {
+  assert.equal(estimateTokens(''), 0);
+  assert.equal(estimateTokens(null), 0);
+  assert.equal(estimateTokens('abcde'), 2);
+});
+
+test('splitIntoSections splits at heading lines followed by content', () => {
+  const text = [
+    'Intro paragraph that opens the report.',
+    '',
+    'Market Overview',
+    'Stablecoin supply grew again this quarter, led by USDC.',
+    '## Risks',
+    'Liquidity could dry up if rates rise.'
+  ].join('\n');
+  assert.deepEqual(splitIntoSections(text).map(section => section.heading), [null, 'Market Overview', 'Risks']);
+  assert.match(splitIntoSections(text)[1].text, /^Market Overview\nStablecoin supply/);
+});
+
+test('short lines followed by shorter lines, and lines ending in punctuation, are not headings', () => {
+  const text = ['Some intro text.', 'Key figures', 'TVL.', 'This line ends with a period.', 'More text follows here.'].join('\n');
+  assert.deepEqual(splitIntoSections(text).map(section => section.heading), [null]);
+});
+
+test('splitIntoSections handles empty input and large inputs quickly', () => {
+  assert.deepEqual(splitIntoSections(''), []);
+  const large = Array.from({ length: 20000 }, (_, index) => `Section ${index}\n\n\n${paragraph(12)}`).join('\n');
+  const started = Date.now();
+  assert.equal(splitIntoSections(large).length, 20000);
+  assert.ok(Date.now() - started < 2000);
+});
+
+test('chunkBySections keeps every chunk within the token budget and loses no text', () => {
+  const sections = Array.from({ length: 12 }, (_, index) => `Heading ${index}\n${paragraph(40)}`);
+  const text = sections.join('\n\n');
+  const chunks = chunkBySections(text, 200);
+  assert.ok(chunks.length > 1);
+  for (const chunk of chunks) {
+    assert.ok(chunk.tokens <= 200, `chunk of ${chunk.tokens} tokens`);
+  }
+  assert.deepEqual(chunks.flatMap(chunk => chunk.headings), sections.map((_, index) => `Heading ${index}`));
+  assert.equal(chunks.map(chunk => chunk.text).join('').replace(/\s/g, ''), text.replace(/\s/g, ''));
+});
+
+test('chunkBySections splits a section larger than the budget on its own', () => {
+  const text = `Deep Dive\n${Array.from({ length: 30 }, () => paragraph(30)).join('\n\n')}`;
+  const chunks = chunkBySections(text, 100);
+  assert.ok(chunks.length > 1);
+  assert.ok(chunks.every(chunk => chunk.tokens <= 100 && chunk.headings[0] === 'Deep Dive'));
+});
+
+test('chunkBySections falls back to hard splits for text without separators', () => {
+  const chunks = chunkBySections('x'.repeat(1000), 50);
+  assert.deepEqual(chunks.map(chunk => chunk.text.length), [200, 200, 200, 200, 200]);
+});
@@ -0,0 +1,97 @@
+const fs = require('fs').promises;
+const path = require('path');
+const logger = require('./logger');
+const { getTempPath, acquireFileLock } = require('./file-utils');
+const { loadConfigFromEnv } = require('../config/config');
+
+// Load configuration
+const appConfig = loadConfigFromEnv();
+
+// Constants
+const EMBEDDINGS_FILE = path.resolve(process.cwd(), appConfig.EMBEDDINGS_FILE || 'data/report_embeddings.json');
+
+// Mutations are chained so concurrent callers never interleave a read-modify-write; the lock file
+// does the same across processes
+let writeQueue = Promise.resolve();
+
+/**
+ * Reads the embeddings file.
+ * @returns {Promise<object>} Entries keyed by report URL; empty for a missing file.
+ * @throws {Error} When the file cannot be read or parsed.
+ */
+async function readEmbeddingsFile() {
+  let data;
+  try {
+    data = await fs.readFile(EMBEDDINGS_FILE, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return {};
+    throw error;
+  }
+  const parsed = JSON.parse(data);
+  return parsed && parsed.entries ? parsed.entries : {};
+}
+
+/**
+ * Loads all stored report embeddings.
+ * @returns {Promise<object>} Entries keyed by report URL (empty object on error).
+ */
+async function loadEmbeddings() {
+  try {
+    return await readEmbeddingsFile();
+  } catch (error) {
+    logger.error(`Error loading embeddings from ${EMBEDDINGS_FILE}: ${error.message}`);
+    return {};
+  }
+}
+
+async function saveEmbeddings(entries) {
+  const tmpPath = getTempPath(EMBEDDINGS_FILE);
+  try {
+    await fs.mkdir(path.dirname(EMBEDDINGS_FILE), { recursive: true });
+    await fs.writeFile(tmpPath, JSON.stringify({ version: 1, entries }), 'utf8');
+    await fs.rename(tmpPath, EMBEDDINGS_FILE);
+    return true;
+  } catch (error) {
+    logger.error(`Error saving embeddings to ${EMBEDDINGS_FILE}: ${error.message}`, { stack: error.stack });
+    return false;
+  }
+}
+
+/**
+ * Stores the embedding of one report.
+ * @param {string} url - Report URL.
+ * @param {object} entry - `{ vector, model, contentHash }`.
+ * @returns {Promise<boolean>} Success status; false without writing when the stored embeddings could not be read
+ *   or are locked by another process.
+ */
+function saveEmbedding(url, entry) {
+  const operation = writeQueue.then(async () => {
+    const release = await acquireFileLock(EMBEDDINGS_FILE);
+    if (!release) {
+      logger.error(`Not storing the embedding of ${url}: ${EMBEDDINGS_FILE} is locked by another process.`);
+      return false;
+    }
+    try {
+      let entries;
+      try {
+        entries = await readEmbeddingsFile();
+      } catch (error) {
+        // Saving on top of a failed read would replace every stored vector with this one
+        logger.error(`Not storing the embedding of ${url}: ${EMBEDDINGS_FILE} could not be read (${error.message}). Fix or delete the file.`);
+        return false;
+      }
+      entries[url] = { ...entry, createdAt: new Date().toISOString() };
+      return await saveEmbeddings(entries);
+    } finally {
+      await release();
+    }
+  });
+  writeQueue = operation.catch(() => {});
+  return operation;
+}
+
+module.exports = {
+  EMBEDDINGS_FILE,
+  loadEmbeddings,
+  saveEmbedding
+};
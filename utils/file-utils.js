@@ -1,5 +1,6 @@
 const fs = require('fs').promises;
 const path = require('path');
+const crypto = require('crypto');
 const logger = require('./logger');
 
 /**
@@ -39,6 +40,90 @@ async function ensureJsonFileExists(filePath, defaultContent = []) {
   }
 }
 
+// A lock older than this is left over from a process that died mid-write
+const LOCK_STALE_MS = 2 * 60 * 1000;
+const LOCK_TIMEOUT_MS = 30 * 1000;
+const LOCK_RETRY_MS = 50;
+
+/**
+ * Builds a temporary path next to a file for an atomic write (write, then rename).
+ * The name is unique per process and call, so two writers never share a half-written file.
+ * @param {string} filePath - Path of the file being replaced
+ * @returns {string} Temporary path in the same directory
+ */
+function getTempPath(filePath) {
+  return `${filePath}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+}
+
+function isProcessAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    // EPERM: the process exists but belongs to another user
+    return error.code === 'EPERM';
+  }
+}
+
+async function isStaleLock(lockPath) {
+  try {
+    const [stat, content] = await Promise.all([fs.stat(lockPath), fs.readFile(lockPath, 'utf8')]);
+    const pid = Number.parseInt(content, 10);
+    if (pid > 0 && pid !== process.pid && !isProcessAlive(pid)) {
+      return true;
+    }
+    return Date.now() - stat.mtimeMs > LOCK_STALE_MS;
+  } catch (error) {
+    // Released between our attempt and this check; just retry
+    return false;
+  }
+}
+
+/**
+ * Takes an exclusive lock on a file shared between processes (the daemon, the API server, backfill
+ * and the CLI scripts), by creating `<file>.lock`. Locks left behind by a dead process are taken over.
+ * @param {string} filePath - Path of the file to lock
+ * @param {object} [options]
+ * @param {number} [options.timeoutMs] - How long to wait for another process to release the lock
+ * @returns {Promise<Function|null>} An async release function, or null if the lock could not be taken
+ */
+async function acquireFileLock(filePath, { timeoutMs = LOCK_TIMEOUT_MS } = {}) {
+  const lockPath = `${filePath}.lock`;
+  const deadline = Date.now() + timeoutMs;
+
+  try {
+    await fs.mkdir(path.dirname(lockPath), { recursive: true });
+  } catch (error) {
+    logger.error(`Error creating the directory for ${lockPath}: ${error.message}`);
+    return null;
+  }
+
+  for (;;) {
+    try {
+      await fs.writeFile(lockPath, String(process.pid), { flag: 'wx' });
+      return () => fs.rm(lockPath, { force: true });
+    } catch (error) {
+      if (error.code !== 'EEXIST') {
+        logger.error(`Error locking ${filePath}: ${error.message}`);
+        return null;
+      }
+    }
+
+    if (await isStaleLock(lockPath)) {
+      logger.warn(`Removing stale lock ${lockPath}`);
+      await fs.rm(lockPath, { force: true });
+      continue;
+    }
+    if (Date.now() >= deadline) {
+      logger.error(`Timed out waiting for ${lockPath}. Another process is writing ${filePath}; delete the lock file if no other process is running.`);
+      return null;
+    }
+    await new Promise(resolve => setTimeout(resolve, LOCK_RETRY_MS));
+  }
+}
+
 module.exports = {
-  ensureJsonFileExists
+  ensureJsonFileExists,
+  getTempPath,
+  acquireFileLock
 }; 
\ No newline at end of file
@@ -0,0 +1,77 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const logger = require('./logger');
+const { getTempPath, acquireFileLock } = require('./file-utils');
+
+/**
+ * Creates an append-only JSON history file that keeps the newest `maxEntries` entries.
+ * Used for full-flow runs and sent digests.
+ * @param {string} fileName - Path relative to the working directory, e.g. "data/run_history.json".
+ * @param {number} maxEntries - Older entries are dropped beyond this count.
+ * @returns {{append: Function, load: Function}}
+ */
+function createHistoryStore(fileName, maxEntries) {
+  const filePath = path.resolve(process.cwd(), fileName);
+  // Appends are chained, and locked across processes, so concurrent writers never drop each other's entries
+  let writeQueue = Promise.resolve();
+
+  /**
+   * Loads the history, newest entry first.
+   * @returns {Promise<Array<object>>} Entries, or an empty list if the file is missing or unreadable.
+   */
+  async function load() {
+    try {
+      const entries = JSON.parse(await fs.readFile(filePath, 'utf8'));
+      return Array.isArray(entries) ? entries : [];
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.error(`Error loading history from ${filePath}: ${error.message}`);
+      }
+      return [];
+    }
+  }
+
+  /**
+   * Adds an entry with a generated `id` at the top of the history.
+   * @param {object} entry - Entry fields.
+   * @returns {Promise<object|null>} The stored entry, or null if it could not be saved.
+   */
+  function append(entry) {
+    const operation = writeQueue.then(async () => {
+      const release = await acquireFileLock(filePath);
+      if (!release) {
+        return null;
+      }
+      const stored = { id: crypto.randomUUID(), ...entry };
+      const tmpPath = getTempPath(filePath);
+      try {
+        const entries = [stored, ...(await load())].slice(0, maxEntries);
+        await fs.writeFile(tmpPath, JSON.stringify(entries, null, 2), 'utf8');
+        await fs.rename(tmpPath, filePath);
+        return stored;
+      } catch (error) {
+        logger.error(`Error saving history to ${filePath}: ${error.message}`, { stack: error.stack });
+        return null;
+      } finally {
+        await release();
+      }
+    });
+    writeQueue = operation.catch(() => {});
+    return operation;
+  }
+
+  return { append, load };
+}
+
+// History of full-flow runs with their outcome and per-report results
+const runHistory = createHistoryStore('data/run_history.json', 500);
+
+// History of built digests with their delivery results per notifier
+const digestHistory = createHistoryStore('data/digest_history.json', 500);
+
+module.exports = {
+  createHistoryStore,
+  runHistory,
+  digestHistory
+};
@@ -2,7 +2,7 @@ const fs = require('fs').promises;
 const path = require('path');
 const axios = require('axios');
 const logger = require('./logger'); // Import the logger
-const { ensureJsonFileExists } = require('./file-utils'); // Import the file utility
+const { ensureJsonFileExists, getTempPath } = require('./file-utils'); // Import the file utility
 const { loadConfigFromEnv } = require('../config/config');
 
 // Load configuration
@@ -10,6 +10,7 @@ const appConfig = loadConfigFromEnv();
 
 // Constants
 const LAST_VISITED_LINK_FILE = path.join(process.cwd(), 'data/last_visited_link.json');
+const SEEDED_LINKS_FILE = path.join(process.cwd(), 'data/seeded_links.json');
 const INIT_VISITED_LINK_URL = appConfig.INIT_VISITED_LINK_URL;
 
 /**
@@ -100,8 +101,49 @@ async function writeLastVisitedLink(url) {
   }
 }
 
+/**
+ * Reads the links recorded as processed when the last visited link seeded the crawl
+ * (see writeSeededLinks). Empty until the crawl has been seeded.
+ * @returns {Promise<string[]>} Normalized report URLs.
+ */
+async function readSeededLinks() {
+  try {
+    const data = JSON.parse(await fs.readFile(SEEDED_LINKS_FILE, 'utf8'));
+    return Array.isArray(data.urls) ? data.urls : [];
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      logger.error(`Error reading ${SEEDED_LINKS_FILE}: ${error.message}`);
+    }
+    return [];
+  }
+}
+
+/**
+ * Records the last visited link and the links listed right below it as processed.
+ * Installs upgraded from a version that only kept the last visited link have posted those
+ * reports without archiving them; with these links in the seen set, later crawls stop at them
+ * instead of treating every older report as new.
+ * @param {string[]} urls - Normalized report URLs.
+ * @returns {Promise<boolean>} Success status
+ */
+async function writeSeededLinks(urls) {
+  const tmpPath = getTempPath(SEEDED_LINKS_FILE);
+  try {
+    await fs.mkdir(path.dirname(SEEDED_LINKS_FILE), { recursive: true });
+    await fs.writeFile(tmpPath, JSON.stringify({ seededAt: new Date().toISOString(), urls }, null, 2), 'utf8');
+    await fs.rename(tmpPath, SEEDED_LINKS_FILE);
+    logger.info(`Seeded ${urls.length} already processed links below the last visited link`);
+    return true;
+  } catch (error) {
+    logger.error(`Error writing ${SEEDED_LINKS_FILE}: ${error.message}`);
+    return false;
+  }
+}
+
 module.exports = {
   readLastVisitedLink,
   writeLastVisitedLink,
+  readSeededLinks,
+  writeSeededLinks,
   ensureLastVisitedLinkFileExists
 }; 
\ No newline at end of file
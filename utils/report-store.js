@@ -0,0 +1,255 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const logger = require('./logger');
+const { ensureJsonFileExists, getTempPath, acquireFileLock } = require('./file-utils');
+const { loadConfigFromEnv } = require('../config/config');
+
+// Load configuration
+const appConfig = loadConfigFromEnv();
+
+// Constants
+const REPORTS_FILE = path.resolve(process.cwd(), appConfig.VISITED_LINKS_FILE || 'data/visited_links.json');
+
+// Processing states a report moves through in the full flow
+const REPORT_STATUS = {
+  FETCHED: 'fetched',
+  SUMMARIZED: 'summarized',
+  POSTED: 'posted',
+  FAILED: 'failed',
+  SKIPPED: 'skipped'
+};
+
+// Mutations are chained so concurrent callers never interleave a read-modify-write; the lock file
+// (see acquireFileLock) does the same for the other processes writing the archive
+let writeQueue = Promise.resolve();
+
+/**
+ * Reads the archive file.
+ * @returns {Promise<Array<object>>} Stored report records; empty for a new or empty file.
+ * @throws {Error} When the file cannot be read or is not a JSON array.
+ */
+async function readReportsFile() {
+  await ensureJsonFileExists(REPORTS_FILE, []);
+
+  const data = await fs.readFile(REPORTS_FILE, 'utf8');
+  if (!data.trim()) {
+    return [];
+  }
+  const reports = JSON.parse(data);
+  if (!Array.isArray(reports)) {
+    throw new Error(`'${REPORTS_FILE}' does not contain a JSON array`);
+  }
+  return reports;
+}
+
+/**
+ * Loads every stored report from the archive file.
+ * @returns {Promise<Array<object>>} Stored report records (empty array on error).
+ */
+async function loadReports() {
+  try {
+    return await readReportsFile();
+  } catch (error) {
+    if (error instanceof SyntaxError) {
+      logger.error(`Error decoding JSON from '${REPORTS_FILE}': ${error.message}`);
+    } else {
+      logger.error(`Error loading reports from ${REPORTS_FILE}: ${error.message}`, { stack: error.stack });
+    }
+    return [];
+  }
+}
+
+/**
+ * Writes the full list of reports to the archive file.
+ * The file is written to a temporary path first and renamed so a crash never leaves it half-written.
+ * @param {Array<object>} reports - Report records to persist.
+ * @returns {Promise<boolean>} Success status
+ */
+async function saveReports(reports) {
+  const tmpPath = getTempPath(REPORTS_FILE);
+  try {
+    await fs.mkdir(path.dirname(REPORTS_FILE), { recursive: true });
+    await fs.writeFile(tmpPath, JSON.stringify(reports, null, 2), 'utf8');
+    await fs.rename(tmpPath, REPORTS_FILE);
+    return true;
+  } catch (error) {
+    logger.error(`Error saving reports to ${REPORTS_FILE}: ${error.message}`, { stack: error.stack });
+    return false;
+  }
+}
+
+/**
+ * Derives a short, stable id for a report from its URL, for use in API paths.
+ * @param {string} url - The report URL.
+ * @returns {string} 16 hex characters.
+ */
+function getReportId(url) {
+  return crypto.createHash('sha256').update(url, 'utf8').digest('hex').substring(0, 16);
+}
+
+/**
+ * Normalizes a report URL for comparisons: drops the query string, fragment and trailing slashes.
+ * @param {string} url - The report URL.
+ * @returns {string} The normalized URL, or the input unchanged if it does not parse.
+ */
+function normalizeReportUrl(url) {
+  try {
+    const parsed = new URL(url);
+    parsed.search = '';
+    parsed.hash = '';
+    parsed.pathname = parsed.pathname.replace(/\/+$/, '') || '/';
+    return parsed.toString();
+  } catch (error) {
+    return url;
+  }
+}
+
+function isSameReport(report, url) {
+  return normalizeReportUrl(report.url) === normalizeReportUrl(url);
+}
+
+/**
+ * Finds a stored report by its URL, ignoring query strings, fragments and trailing slashes.
+ * @param {string} url - The report URL.
+ * @returns {Promise<object|null>} The stored record or null if not archived.
+ */
+async function getReport(url) {
+  const reports = await loadReports();
+  return reports.find(report => isSameReport(report, url)) || null;
+}
+
+/**
+ * Whether at least one notifier confirmed delivering the report.
+ * @param {object} report - Stored report.
+ * @returns {boolean}
+ */
+function isReportDelivered(report) {
+  return Object.values(report.notifications || {}).some(result => result && result.delivered);
+}
+
+/**
+ * Whether the full flow is done with a report and must never process (or post) it again:
+ * posted, skipped, or summarized and delivered by at least one notifier. Reports summarized
+ * without posting on purpose (`archivedOnly`, e.g. a backfill without --notify) count too.
+ * Failed and half-processed reports are retried, including summarized ones that were never
+ * delivered: nothing was posted, so retrying cannot post a duplicate.
+ * @param {object} report - Stored report.
+ * @returns {boolean}
+ */
+function isReportProcessed(report) {
+  switch (report.status) {
+    case REPORT_STATUS.POSTED:
+    case REPORT_STATUS.SKIPPED:
+      return true;
+    case REPORT_STATUS.SUMMARIZED:
+      return Boolean(report.archivedOnly) || isReportDelivered(report);
+    default:
+      return false;
+  }
+}
+
+/**
+ * Collects the normalized URLs of processed reports (see isReportProcessed).
+ * @returns {Promise<Set<string>>}
+ */
+async function loadSeenUrls() {
+  const reports = await loadReports();
+  return new Set(reports
+    .filter(report => report.url && isReportProcessed(report))
+    .map(report => normalizeReportUrl(report.url)));
+}
+
+/**
+ * Inserts a report or merges the given fields into the existing record with the same URL.
+ * `lastChecked` is refreshed on every write. A `summarizedAt` already on the record is kept, so it
+ * stays the time the report was first summarized; the digest window is keyed on it.
+ * @param {object} report - Report fields; `url` is required.
+ * @returns {Promise<object|null>} The stored record, or null if it could not be saved.
+ */
+function upsertReport(report) {
+  if (!report || !report.url) {
+    logger.warn('Cannot store a report without a URL.');
+    return Promise.resolve(null);
+  }
+
+  const operation = writeQueue.then(async () => {
+    const release = await acquireFileLock(REPORTS_FILE);
+    if (!release) {
+      logger.error(`Not storing ${report.url}: the report archive is locked by another process.`);
+      return null;
+    }
+    try {
+      return await mergeReport(report);
+    } finally {
+      await release();
+    }
+  });
+
+  // Keep the queue alive even if this operation fails
+  writeQueue = operation.catch(() => {});
+  return operation;
+}
+
+// The read-modify-write behind upsertReport; callers hold the queue and the archive lock
+async function mergeReport(report) {
+  let reports;
+  try {
+    reports = await readReportsFile();
+  } catch (error) {
+    // Saving on top of a failed read would replace the whole archive with this one record
+    logger.error(`Not storing ${report.url}: the report archive could not be read (${error.message}). Fix or restore '${REPORTS_FILE}'.`);
+    return null;
+  }
+  const now = new Date().toISOString();
+  const index = reports.findIndex(existing => isSameReport(existing, report.url));
+
+  let stored;
+  if (index === -1) {
+    stored = {
+      url: report.url,
+      title: report.title || 'Untitled Report',
+      body: '',
+      publicationDate: null,
+      category: null,
+      attachments: [],
+      summary: '',
+      structuredSummary: null,
+      status: REPORT_STATUS.FETCHED,
+      slackTs: null,
+      slackDetailsTs: null,
+      slackPosts: [],
+      notifications: {},
+      error: null,
+      scrapedAt: now,
+      ...report,
+      lastChecked: now
+    };
+    reports.push(stored);
+  } else {
+    // Keep the archived URL so ids and other stores keyed by it stay valid
+    stored = { ...reports[index], ...report, url: reports[index].url, lastChecked: now };
+    if (reports[index].summarizedAt) stored.summarizedAt = reports[index].summarizedAt;
+    reports[index] = stored;
+  }
+
+  const saved = await saveReports(reports);
+  if (!saved) {
+    return null;
+  }
+  logger.debug(`Stored report ${stored.url} with status '${stored.status}'`);
+  return stored;
+}
+
+module.exports = {
+  REPORT_STATUS,
+  loadReports,
+  saveReports,
+  normalizeReportUrl,
+  getReport,
+  isReportDelivered,
+  isReportProcessed,
+  loadSeenUrls,
+  getReportId,
+  upsertReport
+};
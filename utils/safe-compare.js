@@ -0,0 +1,18 @@
+const crypto = require('crypto');
+
+/**
+ * Compares a supplied secret (token, password) with the expected one in constant time.
+ * Both are hashed first so inputs of different lengths take the same path.
+ * @param {string|null|undefined} supplied - Value from the request.
+ * @param {string} expected - Configured secret; an empty secret never matches.
+ * @returns {boolean}
+ */
+function safeEqual(supplied, expected) {
+  if (typeof supplied !== 'string' || !expected) return false;
+  const digest = value => crypto.createHash('sha256').update(value, 'utf8').digest();
+  return crypto.timingSafeEqual(digest(supplied), digest(expected));
+}
+
+module.exports = {
+  safeEqual
+};
@@ -0,0 +1,321 @@
+const fs = require('fs').promises;
+const path = require('path');
+const logger = require('./logger');
+const { getTempPath, acquireFileLock } = require('./file-utils');
+const { loadReports } = require('./report-store');
+const { loadConfigFromEnv } = require('../config/config');
+
+// Load configuration
+const appConfig = loadConfigFromEnv();
+
+// Constants
+const INDEX_FILE = path.resolve(process.cwd(), appConfig.SEARCH_INDEX_FILE || 'data/search_index.json');
+const INDEX_VERSION = 2;
+const FIELDS = ['title', 'body', 'tags'];
+
+// Matches in short, descriptive fields count for more than matches in the body
+const FIELD_WEIGHTS = { title: 3, body: 1, tags: 2 };
+
+// BM25 tuning constants
+const K1 = 1.2;
+const B = 0.75;
+
+// Includes question words so natural-language questions (research Q&A) rank on their content words
+const STOPWORDS = new Set(
+  ('a an and are as at be been but by can did do does for from had has have how in is it its of on or so ' +
+    'than that the their them then there these they this to was we were what when where which who why ' +
+    'will with would').split(' ')
+);
+
+// Mutations are chained so concurrent callers never interleave a read-modify-write; the lock file
+// does the same across processes
+let writeQueue = Promise.resolve();
+
+/**
+ * Splits text into lowercase index terms.
+ * @param {string} text - Input text.
+ * @returns {string[]} Terms in order of appearance.
+ */
+function tokenize(text) {
+  return (text || '')
+    .toLowerCase()
+    .split(/[^a-z0-9$%.]+/)
+    .map(term => term.replace(/^\.+|\.+$/g, ''))
+    .filter(term => term.length > 1 && !STOPWORDS.has(term));
+}
+
+// Tags come from the structured summary: sectors, tokens and protocols
+function getReportTags(report) {
+  const summary = report.structuredSummary || {};
+  return [...(summary.sectors || []), ...(summary.tokens || []), ...(summary.protocols || [])];
+}
+
+// Publication dates are scraped as display strings; fall back to when the report was first seen
+function getReportDate(report) {
+  const published = new Date(report.publicationDate);
+  if (report.publicationDate && !isNaN(published)) return published.toISOString();
+  const scraped = new Date(report.scrapedAt);
+  return report.scrapedAt && !isNaN(scraped) ? scraped.toISOString() : null;
+}
+
+function emptyIndex() {
+  return { version: INDEX_VERSION, documents: {}, postings: {} };
+}
+
+async function loadIndex() {
+  try {
+    const data = await fs.readFile(INDEX_FILE, 'utf8');
+    const index = JSON.parse(data);
+    if (!index || index.version !== INDEX_VERSION || !index.documents || !index.postings) {
+      logger.warn(`Search index ${INDEX_FILE} is outdated or malformed. Rebuilding.`);
+      return null;
+    }
+    return index;
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      logger.error(`Error loading search index from ${INDEX_FILE}: ${error.message}`);
+    }
+    return null;
+  }
+}
+
+async function saveIndex(index) {
+  const tmpPath = getTempPath(INDEX_FILE);
+  try {
+    await fs.mkdir(path.dirname(INDEX_FILE), { recursive: true });
+    await fs.writeFile(tmpPath, JSON.stringify(index), 'utf8');
+    await fs.rename(tmpPath, INDEX_FILE);
+    return true;
+  } catch (error) {
+    logger.error(`Error saving search index to ${INDEX_FILE}: ${error.message}`, { stack: error.stack });
+    return false;
+  }
+}
+
+function removeFromIndex(index, url) {
+  const document = index.documents[url];
+  if (!document) return;
+  for (const term of document.terms) {
+    const postings = index.postings[term];
+    if (!postings) continue;
+    delete postings[url];
+    if (Object.keys(postings).length === 0) {
+      delete index.postings[term];
+    }
+  }
+  delete index.documents[url];
+}
+
+function addToIndex(index, report) {
+  removeFromIndex(index, report.url);
+
+  const tags = getReportTags(report);
+  const fieldTerms = {
+    title: tokenize(report.title),
+    // The summary is indexed with the body so summary wording is searchable too
+    body: tokenize(`${report.summary || ''}\n${report.body || ''}`),
+    tags: tokenize(tags.join(' '))
+  };
+
+  const terms = new Set();
+  const lengths = {};
+  for (const field of FIELDS) {
+    lengths[field] = fieldTerms[field].length;
+    for (const term of fieldTerms[field]) {
+      const postings = index.postings[term] || (index.postings[term] = {});
+      const posting = postings[report.url] || (postings[report.url] = {});
+      posting[field] = (posting[field] || 0) + 1;
+      terms.add(term);
+    }
+  }
+
+  index.documents[report.url] = {
+    title: report.title,
+    publicationDate: report.publicationDate || null,
+    date: getReportDate(report),
+    tags,
+    lengths,
+    terms: [...terms]
+  };
+}
+
+// Loads the index, building it from the report archive the first time; callers hold the index lock
+async function getIndex() {
+  const index = await loadIndex();
+  if (index) return index;
+  return buildIndex();
+}
+
+// Runs a write to the index file in order, holding the index lock. Resolves to null if the lock is taken.
+function queueIndexWrite(write) {
+  const operation = writeQueue.then(async () => {
+    const release = await acquireFileLock(INDEX_FILE);
+    if (!release) {
+      return null;
+    }
+    try {
+      return await write();
+    } finally {
+      await release();
+    }
+  });
+  writeQueue = operation.catch(() => {});
+  return operation;
+}
+
+// Runs a read-modify-write against the index file in order
+function withIndex(mutate) {
+  return queueIndexWrite(async () => {
+    const index = await getIndex();
+    mutate(index);
+    await saveIndex(index);
+  });
+}
+
+/**
+ * Adds or refreshes one report in the search index.
+ * @param {object} report - Archived report record.
+ * @returns {Promise<void>}
+ */
+async function indexReport(report) {
+  if (!report || !report.url) return;
+  try {
+    await withIndex(index => addToIndex(index, report));
+    logger.debug(`Indexed report for search: ${report.url}`);
+  } catch (error) {
+    logger.error(`Error indexing report ${report.url}: ${error.message}`, { stack: error.stack });
+  }
+}
+
+/**
+ * Removes a report from the search index.
+ * @param {string} url - Report URL.
+ * @returns {Promise<void>}
+ */
+function removeReportFromIndex(url) {
+  return withIndex(index => removeFromIndex(index, url));
+}
+
+// Builds the index from the report archive and saves it; callers hold the index lock
+async function buildIndex() {
+  const index = emptyIndex();
+  const reports = await loadReports();
+  for (const report of reports) {
+    if (report.url) addToIndex(index, report);
+  }
+  await saveIndex(index);
+  logger.info(`Built search index with ${reports.length} reports`);
+  return index;
+}
+
+/**
+ * Rebuilds the whole index from the report archive.
+ * @returns {Promise<object|null>} The new index, or null if another process holds the index lock.
+ */
+function rebuildIndex() {
+  return queueIndexWrite(buildIndex);
+}
+
+function parseDateBound(value, endOfDay) {
+  if (!value) return null;
+  const date = new Date(value);
+  if (isNaN(date)) {
+    throw new Error(`Invalid date: ${value}`);
+  }
+  // Date-only bounds cover the whole day
+  if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    date.setUTCHours(23, 59, 59, 999);
+  }
+  return date;
+}
+
+/**
+ * Searches archived reports.
+ * @param {object} options
+ * @param {string} [options.query] - Free text; every term must match in one of the searched fields.
+ * @param {string} [options.match] - 'all' (default) or 'any': rank reports matching at least one query term.
+ * @param {string[]} [options.fields] - Fields to match the query against (title, body, tags). Defaults to all.
+ * @param {string[]} [options.tags] - Only reports carrying all of these tags (case-insensitive).
+ * @param {string|Date} [options.from] - Only reports published on or after this date.
+ * @param {string|Date} [options.to] - Only reports published on or before this date.
+ * @param {number} [options.limit] - Maximum number of results (default 20).
+ * @returns {Promise<Array<{url: string, title: string, publicationDate: string|null, date: string|null, tags: string[], score: number}>>}
+ *   Matches, best first (newest first when there is no query).
+ */
+async function searchReports({ query = '', match = 'all', fields = FIELDS, tags = [], from, to, limit = 20 } = {}) {
+  await writeQueue;
+  // A missing index is built under the lock like any other write
+  const index = (await loadIndex()) || (await rebuildIndex()) || emptyIndex();
+  const fromDate = parseDateBound(from, false);
+  const toDate = parseDateBound(to, true);
+  const wantedTags = tags.map(tag => tag.toLowerCase());
+  const queryTerms = [...new Set(tokenize(query))];
+  const searchFields = fields.filter(field => FIELDS.includes(field));
+
+  const matchesTerm = (url, term) => {
+    const postings = index.postings[term] || {};
+    return postings[url] && searchFields.some(field => postings[url][field]);
+  };
+  let candidates = Object.keys(index.documents);
+  if (match === 'any') {
+    candidates = queryTerms.length > 0 ? candidates.filter(url => queryTerms.some(term => matchesTerm(url, term))) : [];
+  } else {
+    for (const term of queryTerms) {
+      candidates = candidates.filter(url => matchesTerm(url, term));
+    }
+  }
+
+  candidates = candidates.filter(url => {
+    const document = index.documents[url];
+    const date = document.date ? new Date(document.date) : null;
+    if ((fromDate || toDate) && !date) return false;
+    if (fromDate && date < fromDate) return false;
+    if (toDate && date > toDate) return false;
+    const documentTags = document.tags.map(tag => tag.toLowerCase());
+    return wantedTags.every(tag => documentTags.includes(tag));
+  });
+
+  const documentCount = Object.keys(index.documents).length;
+  const averageLengths = {};
+  for (const field of FIELDS) {
+    const total = Object.values(index.documents).reduce((sum, document) => sum + document.lengths[field], 0);
+    averageLengths[field] = documentCount > 0 ? total / documentCount || 1 : 1;
+  }
+
+  const results = candidates.map(url => {
+    const document = index.documents[url];
+    let score = 0;
+    for (const term of queryTerms) {
+      const postings = index.postings[term];
+      if (!postings || !postings[url]) continue;
+      const df = Object.keys(postings).length;
+      const idf = Math.log(1 + (documentCount - df + 0.5) / (df + 0.5));
+      for (const field of searchFields) {
+        const tf = postings[url][field] || 0;
+        if (tf === 0) continue;
+        const norm = 1 - B + (B * document.lengths[field]) / averageLengths[field];
+        score += FIELD_WEIGHTS[field] * idf * ((tf * (K1 + 1)) / (tf + K1 * norm));
+      }
+    }
+    return {
+      url,
+      title: document.title,
+      publicationDate: document.publicationDate,
+      date: document.date,
+      tags: document.tags,
+      score
+    };
+  });
+
+  results.sort((a, b) => b.score - a.score || new Date(b.date || 0) - new Date(a.date || 0));
+  return results.slice(0, limit);
+}
+
+module.exports = {
+  INDEX_FILE,
+  tokenize,
+  indexReport,
+  removeReportFromIndex,
+  rebuildIndex,
+  searchReports
+};
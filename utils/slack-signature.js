@@ -0,0 +1,70 @@
+const crypto = require('crypto');
+const logger = require('./logger');
+
+// Requests older than this are rejected to prevent replay attacks
+const MAX_REQUEST_AGE_SECONDS = 60 * 5;
+
+/**
+ * Verifies a Slack request signature (https://api.slack.com/authentication/verifying-requests-from-slack).
+ * @param {string} signingSecret - The app's signing secret.
+ * @param {object} request
+ * @param {string} request.timestamp - Value of the X-Slack-Request-Timestamp header.
+ * @param {string} request.signature - Value of the X-Slack-Signature header.
+ * @param {string} request.rawBody - The unparsed request body.
+ * @param {number} [nowSeconds] - Current time in seconds (for testing).
+ * @returns {boolean} True if the signature is valid and the request is recent.
+ */
+function verifySlackSignature(signingSecret, { timestamp, signature, rawBody }, nowSeconds = Math.floor(Date.now() / 1000)) {
+  if (!signingSecret || !timestamp || !signature || typeof rawBody !== 'string') {
+    return false;
+  }
+
+  const requestTime = parseInt(timestamp, 10);
+  if (isNaN(requestTime) || Math.abs(nowSeconds - requestTime) > MAX_REQUEST_AGE_SECONDS) {
+    return false;
+  }
+
+  const expected = 'v0=' + crypto
+    .createHmac('sha256', signingSecret)
+    .update(`v0:${timestamp}:${rawBody}`, 'utf8')
+    .digest('hex');
+
+  const expectedBuffer = Buffer.from(expected, 'utf8');
+  const signatureBuffer = Buffer.from(signature, 'utf8');
+  return expectedBuffer.length === signatureBuffer.length &&
+    crypto.timingSafeEqual(expectedBuffer, signatureBuffer);
+}
+
+/**
+ * Body-parser `verify` hook that keeps the raw body for signature checks.
+ */
+function captureRawBody(req, res, buf) {
+  req.rawBody = buf.toString('utf8');
+}
+
+/**
+ * Express middleware rejecting requests without a valid Slack signature.
+ * Requires the body parser to be set up with `captureRawBody`.
+ * @param {string} signingSecret - The app's signing secret.
+ * @returns {Function} Express middleware.
+ */
+function requireSlackSignature(signingSecret) {
+  return (req, res, next) => {
+    const valid = verifySlackSignature(signingSecret, {
+      timestamp: req.get('X-Slack-Request-Timestamp'),
+      signature: req.get('X-Slack-Signature'),
+      rawBody: req.rawBody
+    });
+    if (!valid) {
+      logger.warn(`Rejected request to ${req.path} with invalid Slack signature`);
+      return res.status(401).send('Invalid signature');
+    }
+    return next();
+  };
+}
+
+module.exports = {
+  verifySlackSignature,
+  captureRawBody,
+  requireSlackSignature
+};
@@ -0,0 +1,250 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const logger = require('./logger');
+const { getTempPath, acquireFileLock } = require('./file-utils');
+const { loadConfigFromEnv } = require('../config/config');
+
+// Load configuration
+const appConfig = loadConfigFromEnv();
+
+// Constants
+const CACHE_FILE = path.resolve(process.cwd(), appConfig.CACHE_FILE || 'data/processed_reports_cache.json');
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Mutations are chained so concurrent callers never interleave a read-modify-write; the lock file
+// keeps other processes (the CLI, the API server) out while one is in progress
+let writeQueue = Promise.resolve();
+
+/**
+ * Hashes report content so edits to a report invalidate its cached summary.
+ * @param {string} content - Report body.
+ * @returns {string} Hex SHA-256 digest.
+ */
+function hashContent(content) {
+  return crypto.createHash('sha256').update(content || '', 'utf8').digest('hex');
+}
+
+/**
+ * Builds the cache key for a report summary.
+ * @param {object} params
+ * @param {string} params.url - Report URL.
+ * @param {string} params.contentHash - Hash of the report body.
+ * @param {string} params.model - Provider and model identifier, e.g. "gemini:gemini-2.0-flash-lite".
+ * @param {string|number} params.promptVersion - Version of the summarization prompts.
+ * @returns {string} Cache key.
+ */
+function buildCacheKey({ url, contentHash, model, promptVersion }) {
+  return crypto
+    .createHash('sha256')
+    .update([url, contentHash, model, promptVersion].join('|'), 'utf8')
+    .digest('hex');
+}
+
+function isExpired(entry, now = Date.now()) {
+  const expiryDays = appConfig.CACHE_EXPIRY_DAYS;
+  if (!expiryDays || expiryDays <= 0) return false;
+  return now - new Date(entry.createdAt).getTime() > expiryDays * DAY_MS;
+}
+
+/**
+ * Reads the cache file.
+ * @returns {Promise<object>} Entries keyed by cache key; empty for a missing or empty file.
+ * @throws {Error} When the file cannot be read or parsed.
+ */
+async function readCacheFile() {
+  let data;
+  try {
+    data = await fs.readFile(CACHE_FILE, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return {};
+    throw error;
+  }
+  if (!data.trim()) return {};
+  const cache = JSON.parse(data);
+  return cache && typeof cache.entries === 'object' && cache.entries ? cache.entries : {};
+}
+
+/**
+ * Loads all cache entries from disk.
+ * @returns {Promise<object>} Entries keyed by cache key (empty object on error).
+ */
+async function loadCache() {
+  try {
+    return await readCacheFile();
+  } catch (error) {
+    if (error instanceof SyntaxError) {
+      logger.error(`Error decoding JSON from '${CACHE_FILE}': ${error.message}. Treating cache as empty.`);
+    } else {
+      logger.error(`Error loading summary cache from ${CACHE_FILE}: ${error.message}`, { stack: error.stack });
+    }
+    return {};
+  }
+}
+
+async function saveCache(entries) {
+  const tmpPath = getTempPath(CACHE_FILE);
+  try {
+    await fs.mkdir(path.dirname(CACHE_FILE), { recursive: true });
+    await fs.writeFile(tmpPath, JSON.stringify({ version: 1, entries }, null, 2), 'utf8');
+    await fs.rename(tmpPath, CACHE_FILE);
+    return true;
+  } catch (error) {
+    logger.error(`Error saving summary cache to ${CACHE_FILE}: ${error.message}`, { stack: error.stack });
+    return false;
+  }
+}
+
+// Runs a read-modify-write against the cache file in order. Resolves to null without writing when another
+// process holds the lock, or when the file cannot be read unless `replaceUnreadable` is set because the
+// mutation discards every entry anyway.
+function withCache(mutate, { replaceUnreadable = false } = {}) {
+  const operation = writeQueue.then(async () => {
+    const release = await acquireFileLock(CACHE_FILE);
+    if (!release) {
+      return null;
+    }
+    try {
+      return await updateCache(mutate, replaceUnreadable);
+    } finally {
+      await release();
+    }
+  });
+  writeQueue = operation.catch(() => {});
+  return operation;
+}
+
+async function updateCache(mutate, replaceUnreadable) {
+  let entries;
+  try {
+    entries = await readCacheFile();
+  } catch (error) {
+    if (!replaceUnreadable) {
+      logger.error(`Not updating the summary cache: ${CACHE_FILE} could not be read (${error.message}). Run "npm run summary-cache -- clear" to reset it.`);
+      return null;
+    }
+    logger.warn(`Replacing the unreadable summary cache ${CACHE_FILE}: ${error.message}`);
+    entries = {};
+  }
+  const result = await mutate(entries);
+  await saveCache(entries);
+  return result;
+}
+
+// Drops expired entries, then the least recently used ones beyond CACHE_MAX_ENTRIES
+function evict(entries) {
+  const now = Date.now();
+  let removed = 0;
+
+  for (const [key, entry] of Object.entries(entries)) {
+    if (isExpired(entry, now)) {
+      delete entries[key];
+      removed++;
+    }
+  }
+
+  const maxEntries = appConfig.CACHE_MAX_ENTRIES;
+  const keys = Object.keys(entries);
+  if (maxEntries > 0 && keys.length > maxEntries) {
+    keys
+      .sort((a, b) => new Date(entries[a].lastUsedAt) - new Date(entries[b].lastUsedAt))
+      .slice(0, keys.length - maxEntries)
+      .forEach(key => {
+        delete entries[key];
+        removed++;
+      });
+  }
+
+  return removed;
+}
+
+/**
+ * Looks up a cached summary. Expired entries are treated as misses.
+ * @param {object} params - Same fields as buildCacheKey.
+ * @returns {Promise<object|null>} The cached summary or null on a miss.
+ */
+async function getCachedSummary(params) {
+  const key = buildCacheKey(params);
+  const entries = await loadCache();
+  const entry = entries[key];
+  if (!entry || isExpired(entry)) {
+    return null;
+  }
+
+  // Touch the entry so LRU eviction keeps summaries that are still being reused
+  withCache(latest => {
+    if (latest[key]) latest[key].lastUsedAt = new Date().toISOString();
+  });
+  return entry.summary;
+}
+
+/**
+ * Stores a summary in the cache and evicts stale entries.
+ * @param {object} params - Same fields as buildCacheKey.
+ * @param {object} summary - The summary to cache.
+ * @returns {Promise<void>}
+ */
+async function setCachedSummary(params, summary) {
+  const key = buildCacheKey(params);
+  const now = new Date().toISOString();
+  await withCache(entries => {
+    entries[key] = {
+      url: params.url,
+      contentHash: params.contentHash,
+      model: params.model,
+      promptVersion: params.promptVersion,
+      summary,
+      createdAt: now,
+      lastUsedAt: now
+    };
+    const removed = evict(entries);
+    if (removed > 0) {
+      logger.debug(`Evicted ${removed} summary cache entries`);
+    }
+  });
+}
+
+/**
+ * Lists cache entries with their keys and expiry state, most recently created first.
+ * @returns {Promise<Array<object>>}
+ */
+async function listCacheEntries() {
+  const entries = await loadCache();
+  return Object.entries(entries)
+    .map(([key, entry]) => ({ key, ...entry, expired: isExpired(entry) }))
+    .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+}
+
+/**
+ * Removes cache entries.
+ * @param {object} [options]
+ * @param {string} [options.url] - Only remove entries for this report URL.
+ * @param {boolean} [options.expiredOnly] - Only remove expired (and over-capacity) entries.
+ * @returns {Promise<number|null>} Number of removed entries, or null when the cache file could not be read or is locked.
+ *   Clearing every entry also resets an unreadable cache file.
+ */
+function clearCache({ url, expiredOnly } = {}) {
+  return withCache(entries => {
+    if (expiredOnly) {
+      return evict(entries);
+    }
+    let removed = 0;
+    for (const [key, entry] of Object.entries(entries)) {
+      if (!url || entry.url === url) {
+        delete entries[key];
+        removed++;
+      }
+    }
+    return removed;
+  }, { replaceUnreadable: !url && !expiredOnly });
+}
+
+module.exports = {
+  CACHE_FILE,
+  hashContent,
+  buildCacheKey,
+  getCachedSummary,
+  setCachedSummary,
+  listCacheEntries,
+  clearCache
+};
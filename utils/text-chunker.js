@@ -0,0 +1,136 @@
+// Rough token estimate; ~4 characters per token holds well enough for English prose
+const CHARS_PER_TOKEN = 4;
+
+/**
+ * Estimates the number of LLM tokens in a piece of text.
+ * @param {string} text - Input text.
+ * @returns {number} Approximate token count.
+ */
+function estimateTokens(text) {
+  return Math.ceil((text || '').length / CHARS_PER_TOKEN);
+}
+
+// A heading in innerText is a short standalone line without sentence punctuation
+function isHeadingLine(line, nextLine) {
+  const trimmed = line.trim();
+  if (!trimmed || trimmed.length > 80) return false;
+  if (/^#{1,6}\s/.test(trimmed)) return true;
+  if (/[.,;:!?)"'”]$/.test(trimmed)) return false;
+  if (!/^[A-Z0-9]/.test(trimmed)) return false;
+  // Require real content after it so list items and captions are not mistaken for headings
+  return !!nextLine && nextLine.trim().length > trimmed.length;
+}
+
+/**
+ * Splits report text into sections at heading-like lines.
+ * @param {string} text - Report body (innerText).
+ * @returns {Array<{heading: string|null, text: string}>} Sections in document order.
+ */
+function splitIntoSections(text) {
+  const lines = (text || '').split('\n');
+  const sections = [];
+  let current = { heading: null, lines: [] };
+
+  // Index of the next non-blank line, advanced as the scan passes it
+  let next = 0;
+  for (let i = 0; i < lines.length; i++) {
+    if (next <= i) {
+      next = i + 1;
+      while (next < lines.length && !lines[next].trim()) next++;
+    }
+    const nextLine = lines[next];
+    if (isHeadingLine(lines[i], nextLine) && current.lines.some(l => l.trim())) {
+      sections.push(current);
+      current = { heading: lines[i].trim().replace(/^#+\s*/, ''), lines: [lines[i]] };
+    } else {
+      if (current.lines.length === 0 && isHeadingLine(lines[i], nextLine)) {
+        current.heading = lines[i].trim().replace(/^#+\s*/, '');
+      }
+      current.lines.push(lines[i]);
+    }
+  }
+  sections.push(current);
+
+  return sections
+    .map(section => ({ heading: section.heading, text: section.lines.join('\n').trim() }))
+    .filter(section => section.text);
+}
+
+// Splits an oversized block on paragraph, then sentence, then hard character boundaries
+function splitOversized(text, maxTokens) {
+  const maxChars = maxTokens * CHARS_PER_TOKEN;
+  if (text.length <= maxChars) return [text];
+
+  for (const separator of [/\n\s*\n/, /(?<=[.!?])\s+/]) {
+    const parts = text.split(separator).filter(part => part.trim());
+    if (parts.length > 1) {
+      const pieces = [];
+      let buffer = '';
+      for (const part of parts) {
+        for (const piece of splitOversized(part, maxTokens)) {
+          if (buffer && buffer.length + piece.length + 1 > maxChars) {
+            pieces.push(buffer);
+            buffer = piece;
+          } else {
+            buffer = buffer ? `${buffer}\n${piece}` : piece;
+          }
+        }
+      }
+      if (buffer) pieces.push(buffer);
+      return pieces;
+    }
+  }
+
+  const pieces = [];
+  for (let start = 0; start < text.length; start += maxChars) {
+    pieces.push(text.slice(start, start + maxChars));
+  }
+  return pieces;
+}
+
+// Joins the sections and pieces packed into one chunk
+const PART_SEPARATOR = '\n\n';
+
+/**
+ * Groups report sections into chunks that each fit within a token budget.
+ * Consecutive sections are packed together; a section larger than the budget is split on its own.
+ * @param {string} text - Report body.
+ * @param {number} maxTokens - Token budget per chunk.
+ * @returns {Array<{headings: string[], text: string, tokens: number}>} Chunks in document order.
+ */
+function chunkBySections(text, maxTokens) {
+  const chunks = [];
+  const maxChars = maxTokens * CHARS_PER_TOKEN;
+  let current = { headings: [], parts: [], length: 0 };
+
+  const flush = () => {
+    if (current.parts.length > 0) {
+      const chunkText = current.parts.join(PART_SEPARATOR);
+      chunks.push({ headings: current.headings, text: chunkText, tokens: estimateTokens(chunkText) });
+    }
+    current = { headings: [], parts: [], length: 0 };
+  };
+
+  for (const section of splitIntoSections(text)) {
+    for (const piece of splitOversized(section.text, maxTokens)) {
+      // The separator between parts counts against the budget too
+      if (current.parts.length > 0 && current.length + PART_SEPARATOR.length + piece.length > maxChars) {
+        flush();
+      }
+      if (section.heading && !current.headings.includes(section.heading)) {
+        current.headings.push(section.heading);
+      }
+      current.length += (current.parts.length > 0 ? PART_SEPARATOR.length : 0) + piece.length;
+      current.parts.push(piece);
+    }
+  }
+  flush();
+
+  return chunks;
+}
+
+module.exports = {
+  estimateTokens,
+  splitIntoSections,
+  chunkBySections
+};